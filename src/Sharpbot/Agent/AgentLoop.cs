@@ -1,5 +1,6 @@
 using System.Diagnostics;
 using System.Text.Json;
+using System.Threading.Channels;
 using Microsoft.Extensions.Logging;
 using Sharpbot.Agent.Browser;
 using Sharpbot.Agent.Tools;
@@ -336,12 +337,13 @@ public sealed class AgentLoop : IDisposable
             var responsePreview = finalContent.Length > 120 ? finalContent[..120] + "..." : finalContent;
             _logger?.LogInformation("Response to {Channel}:{SenderId}: {Preview}", msg.Channel, msg.SenderId, responsePreview);
 
+            telemetry.Complete();
+
             // Save to session
             session.AddMessage(MessageRoles.User, msg.Content);
-            session.AddMessage(MessageRoles.Assistant, finalContent);
+            session.AddMessage(MessageRoles.Assistant, finalContent, telemetry.ToMessageMetadata());
             _sessions.Save(session);
 
-            telemetry.Complete();
             _logger?.LogInformation("Agent telemetry:\n{Telemetry}", telemetry.ToLogString());
             SafeInvokeTelemetry(telemetry);
 
@@ -423,11 +425,12 @@ public sealed class AgentLoop : IDisposable
             var finalContent = await RunIterativeLoopAsync(messages, _tools, telemetry: telemetry);
             finalContent ??= "Background task completed.";
 
+            telemetry.Complete();
+
             session.AddMessage(MessageRoles.User, $"[System: {msg.SenderId}] {msg.Content}");
-            session.AddMessage(MessageRoles.Assistant, finalContent);
+            session.AddMessage(MessageRoles.Assistant, finalContent, telemetry.ToMessageMetadata());
             _sessions.Save(session);
 
-            telemetry.Complete();
             _logger?.LogInformation("Agent telemetry (system):\n{Telemetry}", telemetry.ToLogString());
             SafeInvokeTelemetry(telemetry);
 
@@ -465,11 +468,12 @@ public sealed class AgentLoop : IDisposable
             ct.ThrowIfCancellationRequested();
 
             // ── Context compaction ─────────────────────────────────────
-            var (compactedMessages, wasCompacted) = await _compactor.CompactIfNeededAsync(messages, ct);
+            var (compactedMessages, wasCompacted) = await _compactor.CompactIfNeededAsync(messages, ct: ct);
             if (wasCompacted)
             {
                 messages = compactedMessages;
                 telemetry?.RecordCompaction();
+                telemetry?.AddStatus("compaction", CompactionStatusMessage, iteration);
             }
 
             // ── Log LLM request ──────────────────────────────────────
@@ -493,6 +497,7 @@ public sealed class AgentLoop : IDisposable
             var effectiveTemp = ResolveTemperature(_model);
             var effectiveMaxTokens = ResolveMaxTokens(_model);
 
+            var llmStart = telemetry?.Elapsed;
             var llmSw = Stopwatch.StartNew();
             var response = await _provider.ChatAsync(
                 messages: messages,
@@ -544,6 +549,7 @@ public sealed class AgentLoop : IDisposable
                 FinishReason = response.FinishReason,
                 HasToolCalls = response.HasToolCalls,
                 ToolCallCount = response.ToolCalls.Count,
+                StartOffset = llmStart,
             });
 
             if (!response.HasToolCalls)
@@ -583,6 +589,7 @@ public sealed class AgentLoop : IDisposable
                 // Plugin hook: OnBeforeToolCallAsync — allow hooks to block a tool call
                 var allowToolCall = await InvokeOnBeforeToolCallAsync(toolCall.Name, toolCall.Arguments);
 
+                var toolStart = telemetry?.Elapsed;
                 var toolSw = Stopwatch.StartNew();
                 string result;
                 bool success = true;
@@ -598,7 +605,8 @@ public sealed class AgentLoop : IDisposable
                 {
                     try
                     {
-                        result = await tools.ExecuteAsync(toolCall.Name, toolCall.Arguments);
+                        using (_execApprovals?.BeginOrigin(telemetry?.SessionKey, toolCall.Id, ct))
+                            result = await tools.ExecuteAsync(toolCall.Name, toolCall.Arguments);
                     }
                     catch (Exception ex)
                     {
@@ -613,6 +621,9 @@ public sealed class AgentLoop : IDisposable
                 // Plugin hook: OnAfterToolCallAsync
                 await InvokeOnAfterToolCallAsync(toolCall.Name, result);
 
+                var resultPreview = ToolCallDetails.PreviewResult(result);
+                var details = ToolCallDetails.Extract(toolCall.Name, toolCall.Arguments, result, success);
+
                 toolActivity?.SetTag("sharpbot.tool.success", success);
                 toolActivity?.SetTag("sharpbot.tool.result_length", result.Length);
 
@@ -645,6 +656,10 @@ public sealed class AgentLoop : IDisposable
                     Success = success,
                     Error = error,
                     ResultLength = result.Length,
+                    Arguments = argsStr,
+                    ResultPreview = resultPreview,
+                    Details = details,
+                    StartOffset = toolStart,
                 });
 
                 messages = _context.AddToolResult(messages, toolCall.Id, toolCall.Name, result);
@@ -741,34 +756,39 @@ public sealed class AgentLoop : IDisposable
         ToolRegistry tools,
         int? maxIterations = null,
         AgentTelemetry? telemetry = null,
+        string? sessionKey = null,
+        string? model = null,
+        double? temperature = null,
         [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken ct = default)
     {
         var iterations = maxIterations ?? _maxIterations;
+        model ??= _model;
 
         for (int iteration = 0; iteration < iterations; iteration++)
         {
             ct.ThrowIfCancellationRequested();
 
             // ── Context compaction ─────────────────────────────────────
-            var (compactedMessages, wasCompacted) = await _compactor.CompactIfNeededAsync(messages, ct);
+            var (compactedMessages, wasCompacted) = await _compactor.CompactIfNeededAsync(messages, model, ct);
             if (wasCompacted)
             {
                 messages = compactedMessages;
                 telemetry?.RecordCompaction();
-                yield return AgentStreamEvent.Status("Context compacted — summarized older messages to stay within limits", iteration);
+                yield return StatusEvent(telemetry, "compaction", CompactionStatusMessage, iteration);
             }
 
             if (iteration > 0)
-                yield return AgentStreamEvent.Status($"Running iteration {iteration + 1}", iteration);
+                yield return StatusEvent(telemetry, "iteration", $"Running iteration {iteration + 1}", iteration);
 
             _logger?.LogInformation(
                 "┌─ LLM Stream Request (iteration {Iteration}) ─────────────\n" +
                 "│ Model: {Model} | Messages: {Count}\n" +
                 "└───────────────────────────────────────────────────────",
-                iteration + 1, _model, messages.Count);
+                iteration + 1, model, messages.Count);
 
-            var effectiveTemp = ResolveTemperature(_model);
-            var effectiveMaxTokens = ResolveMaxTokens(_model);
+            var effectiveTemp = temperature ?? ResolveTemperature(model);
+            var effectiveMaxTokens = ResolveMaxTokens(model);
+            var llmStart = telemetry?.Elapsed;
             var llmSw = Stopwatch.StartNew();
 
             // Stream the LLM response
@@ -777,7 +797,7 @@ public sealed class AgentLoop : IDisposable
             await foreach (var chunk in _provider.ChatStreamAsync(
                 messages: messages,
                 tools: tools.GetDefinitions(),
-                model: _model,
+                model: model,
                 maxTokens: effectiveMaxTokens,
                 temperature: effectiveTemp,
                 ct: ct))
@@ -786,6 +806,10 @@ public sealed class AgentLoop : IDisposable
                 {
                     yield return AgentStreamEvent.TextDelta(chunk.Delta);
                 }
+                else if (chunk.Type == "retry" && chunk.Message != null)
+                {
+                    yield return StatusEvent(telemetry, "retry", chunk.Message, iteration);
+                }
                 else if (chunk.Type == "done" && chunk.Response != null)
                 {
                     llmResponse = chunk.Response;
@@ -815,16 +839,16 @@ public sealed class AgentLoop : IDisposable
 
             // Record OTel metrics
             SharpbotInstrumentation.LlmDuration.Record(llmSw.Elapsed.TotalMilliseconds,
-                new KeyValuePair<string, object?>("model", _model));
+                new KeyValuePair<string, object?>("model", model));
             SharpbotInstrumentation.PromptTokens.Add(llmResponse.Usage.GetValueOrDefault("prompt_tokens"),
-                new KeyValuePair<string, object?>("model", _model));
+                new KeyValuePair<string, object?>("model", model));
             SharpbotInstrumentation.CompletionTokens.Add(llmResponse.Usage.GetValueOrDefault("completion_tokens"),
-                new KeyValuePair<string, object?>("model", _model));
+                new KeyValuePair<string, object?>("model", model));
 
             // Record telemetry
             telemetry?.AddLlmCall(new LlmCallTelemetry
             {
-                Model = _model,
+                Model = model,
                 Iteration = iteration,
                 Duration = llmSw.Elapsed,
                 PromptTokens = llmResponse.Usage.GetValueOrDefault("prompt_tokens"),
@@ -833,6 +857,7 @@ public sealed class AgentLoop : IDisposable
                 FinishReason = llmResponse.FinishReason,
                 HasToolCalls = llmResponse.HasToolCalls,
                 ToolCallCount = llmResponse.ToolCalls.Count,
+                StartOffset = llmStart,
             });
 
             // If no tool calls, we're done — the text was already streamed
@@ -865,11 +890,12 @@ public sealed class AgentLoop : IDisposable
                     "└───────────────────────────────────────────────────────",
                     toolCall.Name, toolCall.Id, Truncate(argsStr, 1000));
 
-                yield return AgentStreamEvent.ToolStart(toolCall.Name, toolCall.Id);
+                yield return AgentStreamEvent.ToolStart(toolCall.Name, toolCall.Id, argsStr);
 
                 // Plugin hook: OnBeforeToolCallAsync
                 var allowToolCall = await InvokeOnBeforeToolCallAsync(toolCall.Name, toolCall.Arguments);
 
+                var toolStart = telemetry?.Elapsed;
                 var toolSw = Stopwatch.StartNew();
                 string result;
                 bool success = true;
@@ -883,9 +909,42 @@ public sealed class AgentLoop : IDisposable
                 }
                 else
                 {
+                    // Exec approvals requested by this tool call are surfaced as stream events
+                    // while the tool waits, so the UI can resolve them inline.
+                    var approvals = Channel.CreateUnbounded<ExecApprovalRequest>();
+                    void OnApprovalRequested(ExecApprovalRequest request)
+                    {
+                        if (request.ToolCallId == toolCall.Id)
+                            approvals.Writer.TryWrite(request);
+                    }
+
+                    if (_execApprovals != null)
+                        _execApprovals.RequestCreated += OnApprovalRequested;
+
+                    Task<string> toolTask;
+                    try
+                    {
+                        using (_execApprovals?.BeginOrigin(sessionKey, toolCall.Id, ct))
+                            toolTask = tools.ExecuteAsync(toolCall.Name, toolCall.Arguments);
+
+                        while (!toolTask.IsCompleted)
+                        {
+                            await Task.WhenAny(toolTask, approvals.Reader.WaitToReadAsync(ct).AsTask());
+                            ct.ThrowIfCancellationRequested();
+                            while (approvals.Reader.TryRead(out var approval))
+                                yield return AgentStreamEvent.ApprovalRequired(toolCall.Id, approval);
+                        }
+                    }
+                    finally
+                    {
+                        if (_execApprovals != null)
+                            _execApprovals.RequestCreated -= OnApprovalRequested;
+                        approvals.Writer.TryComplete();
+                    }
+
                     try
                     {
-                        result = await tools.ExecuteAsync(toolCall.Name, toolCall.Arguments);
+                        result = await toolTask;
                     }
                     catch (Exception ex)
                     {
@@ -899,6 +958,9 @@ public sealed class AgentLoop : IDisposable
                 // Plugin hook: OnAfterToolCallAsync
                 await InvokeOnAfterToolCallAsync(toolCall.Name, result);
 
+                var resultPreview = ToolCallDetails.PreviewResult(result);
+                var details = ToolCallDetails.Extract(toolCall.Name, toolCall.Arguments, result, success);
+
                 // Record OTel + telemetry
                 SharpbotInstrumentation.ToolCallsTotal.Add(1,
                     new KeyValuePair<string, object?>("tool", toolCall.Name));
@@ -915,6 +977,10 @@ public sealed class AgentLoop : IDisposable
                     Success = success,
                     Error = error,
                     ResultLength = result.Length,
+                    Arguments = argsStr,
+                    ResultPreview = resultPreview,
+                    Details = details,
+                    StartOffset = toolStart,
                 });
 
                 _logger?.LogInformation(
@@ -930,7 +996,11 @@ public sealed class AgentLoop : IDisposable
 
                 yield return AgentStreamEvent.ToolEnd(
                     toolCall.Name, toolCall.Id, success,
-                    (int)toolSw.Elapsed.TotalMilliseconds, error, result.Length);
+                    (int)toolSw.Elapsed.TotalMilliseconds, error, result.Length,
+                    resultPreview, details);
+
+                if (success && toolCall.Name == "spawn")
+                    yield return StatusEvent(telemetry, "subagent", SubagentStatusMessage(toolCall.Arguments), iteration);
 
                 messages = _context.AddToolResult(messages, toolCall.Id, toolCall.Name, result);
             }
@@ -939,12 +1009,34 @@ public sealed class AgentLoop : IDisposable
         }
     }
 
+    private const string CompactionStatusMessage = "Context compacted — summarized older messages to stay within limits";
+
+    /// <summary>Record a status event on the turn's telemetry and build its stream event.</summary>
+    /// <summary>Status text for a spawned subagent, built from the spawn call's arguments.</summary>
+    private static string SubagentStatusMessage(Dictionary<string, object?> args)
+    {
+        static string? Read(Dictionary<string, object?> a, string key) =>
+            a.TryGetValue(key, out var val) && val is not null
+                ? val is JsonElement je ? (je.ValueKind == JsonValueKind.String ? je.GetString() : je.ToString()) : val.ToString()
+                : null;
+
+        return $"Subagent [{SubagentManager.DisplayLabel(Read(args, "task") ?? "", Read(args, "label"))}] started";
+    }
+
+    private static AgentStreamEvent StatusEvent(AgentTelemetry? telemetry, string kind, string message, int iteration)
+    {
+        telemetry?.AddStatus(kind, message, iteration);
+        return AgentStreamEvent.Status(message, iteration, kind);
+    }
+
     /// <summary>Process a message directly with streaming. Used by the SSE chat endpoint.</summary>
     public async IAsyncEnumerable<AgentStreamEvent> ProcessDirectStreamingAsync(
         string content,
         string? sessionKey = null,
         string channel = Channels.WellKnown.Cli,
         string chatId = Channels.WellKnown.Direct,
+        string? model = null,
+        double? temperature = null,
         [System.Runtime.CompilerServices.EnumeratorCancellation] CancellationToken ct = default)
     {
         var incomingPreview = content.Length > 80 ? content[..80] + "..." : content;
@@ -965,14 +1057,17 @@ public sealed class AgentLoop : IDisposable
             Channel = msg.Channel,
             SenderId = msg.SenderId,
             SessionKey = effectiveSessionKey,
-            Model = _model,
+            Model = model ?? _model,
         };
 
+        var session = _sessions.GetOrCreate(effectiveSessionKey);
+        var fullContent = new System.Text.StringBuilder();
+        var saved = false;
+
         // Inject per-skill environment variables
         var restoreEnv = _skills.InjectSkillEnvironment();
         try
         {
-            var session = _sessions.GetOrCreate(effectiveSessionKey);
             SetToolContexts(msg.Channel, msg.ChatId);
 
             var messages = await _context.BuildMessagesAsync(
@@ -986,9 +1081,8 @@ public sealed class AgentLoop : IDisposable
             messages = await InvokeOnSystemPromptAsync(messages);
 
             // Stream the iterative loop
-            var fullContent = new System.Text.StringBuilder();
-
-            await foreach (var evt in RunIterativeLoopStreamingAsync(messages, _tools, telemetry: telemetry, ct: ct))
+            await foreach (var evt in RunIterativeLoopStreamingAsync(messages, _tools, telemetry: telemetry, sessionKey: effectiveSessionKey,
+                model: model, temperature: temperature, ct: ct))
             {
                 // Accumulate text for session saving
                 if (evt.Type == "text_delta" && evt.Delta != null)
@@ -1001,11 +1095,12 @@ public sealed class AgentLoop : IDisposable
             var finalContent = fullContent.Length > 0 ? fullContent.ToString() : "I've completed processing but have no response to give.";
             var responsePreview = finalContent.Length > 120 ? finalContent[..120] + "..." : finalContent;
             _logger?.LogInformation("Response to {Channel}:{ChatId}: {Preview}", channel, chatId, responsePreview);
+            telemetry.Complete();
             session.AddMessage(MessageRoles.User, msg.Content);
-            session.AddMessage(MessageRoles.Assistant, finalContent);
+            session.AddMessage(MessageRoles.Assistant, finalContent, telemetry.ToMessageMetadata());
             _sessions.Save(session);
+            saved = true;
 
-            telemetry.Complete();
             _logger?.LogInformation("Agent telemetry (streaming):\n{Telemetry}", telemetry.ToLogString());
             SafeInvokeTelemetry(telemetry);
 
@@ -1021,32 +1116,127 @@ public sealed class AgentLoop : IDisposable
             yield return AgentStreamEvent.Completed(
                 message: finalContent,
                 sessionId: effectiveSessionKey,
-                toolCalls: telemetry.ToolCalls.Select(tc => new Api.ToolCallDto
-                {
-                    Name = tc.Name,
-                    DurationMs = (int)tc.Duration.TotalMilliseconds,
-                    Success = tc.Success,
-                    Error = tc.Error,
-                    ResultLength = tc.ResultLength,
-                    Iteration = tc.Iteration,
-                }).ToList(),
-                stats: new Api.ChatStatsDto
-                {
-                    TotalDurationMs = (int)telemetry.TotalDuration.TotalMilliseconds,
-                    Iterations = telemetry.Iterations,
-                    TotalTokens = telemetry.TotalTokens,
-                    PromptTokens = telemetry.TotalPromptTokens,
-                    CompletionTokens = telemetry.TotalCompletionTokens,
-                    Model = telemetry.Model,
-                    ContextCompactions = telemetry.CompactionCount,
-                });
+                toolCalls: telemetry.ToToolCallDtos(),
+                stats: telemetry.ToStatsDto(),
+                trace: telemetry.ToTraceDto());
         }
         finally
         {
+            // Stopped by the user or the client went away: keep what was produced so far
+            if (!saved && ct.IsCancellationRequested)
+                SaveInterruptedTurn(session, msg.Content, fullContent.ToString(), telemetry);
+
             restoreEnv();
         }
     }
 
+    /// <summary>Persist a cancelled streaming turn with its partial reply, marked as stopped.</summary>
+    private void SaveInterruptedTurn(Session.Session session, string userContent, string partialContent, AgentTelemetry telemetry)
+    {
+        telemetry.Fail("Cancelled");
+        _logger?.LogInformation("Streaming turn for {SessionKey} cancelled after {Chars} chars", session.Key, partialContent.Length);
+
+        var metadata = telemetry.ToMessageMetadata();
+        metadata["stopped"] = true;
+
+        session.AddMessage(MessageRoles.User, userContent);
+        session.AddMessage(MessageRoles.Assistant, partialContent, metadata);
+        _sessions.Save(session);
+
+        SafeInvokeTelemetry(telemetry);
+    }
+
+    /// <summary>
+    /// Estimate what the next turn of a session would put in the context window of
+    /// <paramref name="model"/>: the model the chat picked with <c>/model</c>, or null for the default.
+    /// </summary>
+    public ContextUsage GetContextUsage(string sessionKey, string? model = null)
+    {
+        if (string.IsNullOrWhiteSpace(model)) model = _model;
+        var session = _sessions.GetOrCreate(sessionKey);
+        var history = session.GetHistory(_maxSessionMessages);
+        var sections = _context.BuildSystemPromptSections();
+
+        int SectionTokens(string name) => ContextCompactor.EstimateTokens(
+            string.Join("\n\n---\n\n", sections.Where(s => s.Section == name).Select(s => s.Content)));
+
+        var contextLimit = _compactor.GetContextLimitFor(model);
+        return new ContextUsage
+        {
+            SessionKey = sessionKey,
+            Model = model,
+            SystemPromptTokens = SectionTokens("system"),
+            MemoryTokens = SectionTokens("memory"),
+            SkillsTokens = SectionTokens("skills"),
+            HistoryTokens = ContextCompactor.EstimateTokens(history),
+            HistoryMessages = history.Count,
+            StoredMessages = session.Messages.Count,
+            CompactedThrough = session.CompactedThrough,
+            ContextLimit = contextLimit,
+            CompactionThreshold = ContextCompactor.GetCompactionThreshold(contextLimit),
+        };
+    }
+
+    /// <summary>
+    /// Summarize the older part of a session now instead of waiting for the context to fill up.
+    /// The summary replaces those messages in future LLM context; the stored transcript is kept.
+    /// Returns the number of messages summarized (0 when the session is too short).
+    /// </summary>
+    public async Task<int> CompactSessionAsync(string sessionKey, CancellationToken ct = default)
+    {
+        var session = _sessions.GetOrCreate(sessionKey);
+        var start = Math.Clamp(session.CompactedThrough, 0, session.Messages.Count);
+        var pending = session.Messages
+            .Skip(start)
+            .Select(m => new Dictionary<string, object?>
+            {
+                ["role"] = m.GetValueOrDefault("role"),
+                ["content"] = m.GetValueOrDefault("content"),
+            })
+            .ToList();
+
+        var result = await _compactor.CompactHistoryAsync(pending, session.CompactionSummary, ct);
+        if (result is not { } compaction)
+            return 0;
+
+        session.SetCompaction(compaction.Summary, start + compaction.SummarizedCount);
+        _sessions.Save(session);
+        _logger?.LogInformation("Compacted {Count} messages of {SessionKey}", compaction.SummarizedCount, sessionKey);
+        return compaction.SummarizedCount;
+    }
+
+    /// <summary>Opening messages of a session sent to the model when generating its title.</summary>
+    private const int TitleSourceMessages = 4;
+
+    /// <summary>
+    /// Generate a title for a session from its opening messages and store it. A title the user typed
+    /// is never replaced. Returns the session's title afterwards (null if generation failed).
+    /// </summary>
+    public async Task<string?> GenerateSessionTitleAsync(string sessionKey, CancellationToken ct = default)
+    {
+        var session = _sessions.GetOrCreate(sessionKey);
+        if (session.HasManualTitle || session.Messages.Count == 0)
+            return session.Title;
+
+        var opening = session.Messages
+            .Where(m => m.GetValueOrDefault("role")?.ToString() is MessageRoles.User or MessageRoles.Assistant)
+            .Take(TitleSourceMessages)
+            .Select(m => new Dictionary<string, object?>
+            {
+                ["role"] = m.GetValueOrDefault("role"),
+                ["content"] = m.GetValueOrDefault("content"),
+            })
+            .ToList();
+
+        var title = await _compactor.GenerateTitleAsync(opening, ct);
+        if (title is null)
+            return session.Title;
+
+        session.SetTitle(title, "generated");
+        _sessions.Save(session);
+        return title;
+    }
+
     /// <summary>Process a message directly (for CLI or cron usage).</summary>
     public async Task<string> ProcessDirectAsync(
         string content,
@@ -12,9 +12,11 @@ public sealed record AgentStreamEvent
     /// "text_delta" — incremental LLM text output.
     /// "tool_start" — a tool is about to execute.
     /// "tool_end" — a tool has finished executing.
-    /// "status" — informational status update (e.g., "Running iteration 2").
+    /// "approval_required" — a tool call is waiting for an exec approval decision.
+    /// "status" — status update shown in the message timeline (e.g., "Running iteration 2"), see <see cref="StatusKind"/>.
     /// "done" — final event with full response, stats, and tool calls.
     /// "error" — an error occurred.
+    /// "cancelled" — the turn was stopped before completion.
     /// </summary>
     public required string Type { get; init; }
 
@@ -28,9 +30,19 @@ public sealed record AgentStreamEvent
     public int? ToolDurationMs { get; init; }
     public string? ToolError { get; init; }
     public int? ToolResultLength { get; init; }
+    public string? ToolArguments { get; init; }
+    public string? ToolResult { get; init; }
+    public ToolCallDetails? ToolDetails { get; init; }
+
+    // ── approval_required fields ──
+    public ExecApprovalRequest? Approval { get; init; }
 
     // ── status fields ──
     public string? StatusMessage { get; init; }
+
+    /// <summary>"iteration", "compaction", "subagent", "retry" (a provider request is repeated) or "info".</summary>
+    public string? StatusKind { get; init; }
+
     public int? Iteration { get; init; }
 
     // ── done fields ──
@@ -38,6 +50,7 @@ public sealed record AgentStreamEvent
     public string? SessionId { get; init; }
     public List<ToolCallDto>? ToolCalls { get; init; }
     public ChatStatsDto? Stats { get; init; }
+    public TraceDto? Trace { get; init; }
 
     // ── error fields ──
     public string? Error { get; init; }
@@ -46,18 +59,30 @@ public sealed record AgentStreamEvent
     public static AgentStreamEvent TextDelta(string delta) =>
         new() { Type = "text_delta", Delta = delta };
 
-    public static AgentStreamEvent ToolStart(string name, string callId) =>
-        new() { Type = "tool_start", ToolName = name, ToolCallId = callId };
+    public static AgentStreamEvent ToolStart(string name, string callId, string? arguments = null) =>
+        new() { Type = "tool_start", ToolName = name, ToolCallId = callId, ToolArguments = arguments };
 
-    public static AgentStreamEvent ToolEnd(string name, string callId, bool success, int durationMs, string? error = null, int resultLength = 0) =>
-        new() { Type = "tool_end", ToolName = name, ToolCallId = callId, ToolSuccess = success, ToolDurationMs = durationMs, ToolError = error, ToolResultLength = resultLength };
+    public static AgentStreamEvent ToolEnd(string name, string callId, bool success, int durationMs, string? error = null, int resultLength = 0,
+        string? resultPreview = null, ToolCallDetails? details = null) =>
+        new()
+        {
+            Type = "tool_end", ToolName = name, ToolCallId = callId, ToolSuccess = success, ToolDurationMs = durationMs,
+            ToolError = error, ToolResultLength = resultLength, ToolResult = resultPreview, ToolDetails = details,
+        };
 
-    public static AgentStreamEvent Status(string message, int iteration) =>
-        new() { Type = "status", StatusMessage = message, Iteration = iteration };
+    public static AgentStreamEvent ApprovalRequired(string callId, ExecApprovalRequest approval) =>
+        new() { Type = "approval_required", ToolCallId = callId, Approval = approval };
 
-    public static AgentStreamEvent Completed(string message, string sessionId, List<ToolCallDto> toolCalls, ChatStatsDto stats) =>
-        new() { Type = "done", Message = message, SessionId = sessionId, ToolCalls = toolCalls, Stats = stats };
+    public static AgentStreamEvent Status(string message, int iteration, string kind = "info") =>
+        new() { Type = "status", StatusMessage = message, Iteration = iteration, StatusKind = kind };
+
+    public static AgentStreamEvent Completed(string message, string sessionId, List<ToolCallDto> toolCalls, ChatStatsDto stats,
+        TraceDto? trace = null) =>
+        new() { Type = "done", Message = message, SessionId = sessionId, ToolCalls = toolCalls, Stats = stats, Trace = trace };
 
     public static AgentStreamEvent Failed(string error) =>
         new() { Type = "error", Error = error };
+
+    public static AgentStreamEvent Cancelled(string sessionId) =>
+        new() { Type = "cancelled", SessionId = sessionId };
 }
@@ -15,6 +15,17 @@ public sealed record ToolCallTelemetry
     public string? Error { get; init; }
     public int ResultLength { get; init; }
     public int Iteration { get; init; }
+
+    /// <summary>When the call started, relative to the start of the turn (see <see cref="AgentTelemetry.Elapsed"/>).</summary>
+    public TimeSpan? StartOffset { get; init; }
+
+    /// <summary>Arguments as JSON, for the web UI tool inspector.</summary>
+    public string? Arguments { get; init; }
+
+    /// <summary>Result truncated to <see cref="ToolCallDetails.ResultPreviewLength"/> characters.</summary>
+    public string? ResultPreview { get; init; }
+
+    public ToolCallDetails? Details { get; init; }
 }
 
 /// <summary>
@@ -31,6 +42,22 @@ public sealed record LlmCallTelemetry
     public string FinishReason { get; init; } = "stop";
     public bool HasToolCalls { get; init; }
     public int ToolCallCount { get; init; }
+
+    /// <summary>When the call started, relative to the start of the turn (see <see cref="AgentTelemetry.Elapsed"/>).</summary>
+    public TimeSpan? StartOffset { get; init; }
+}
+
+/// <summary>
+/// A status event raised during a turn (see <see cref="AgentStreamEvent.Status"/>).
+/// </summary>
+public sealed record StatusEventTelemetry
+{
+    public required string Kind { get; init; }
+    public required string Message { get; init; }
+    public int Iteration { get; init; }
+
+    /// <summary>Time since the start of the turn.</summary>
+    public TimeSpan Offset { get; init; }
 }
 
 /// <summary>
@@ -42,6 +69,7 @@ public sealed class AgentTelemetry
     private readonly Stopwatch _stopwatch = Stopwatch.StartNew();
     private readonly List<LlmCallTelemetry> _llmCalls = [];
     private readonly List<ToolCallTelemetry> _toolCalls = [];
+    private readonly List<StatusEventTelemetry> _statusEvents = [];
 
     /// <summary>Channel the message came from.</summary>
     public string Channel { get; set; } = "";
@@ -70,15 +98,27 @@ public sealed class AgentTelemetry
     /// <summary>All tool calls made during this cycle.</summary>
     public IReadOnlyList<ToolCallTelemetry> ToolCalls => _toolCalls;
 
-    /// <summary>Record an LLM call.</summary>
-    public void AddLlmCall(LlmCallTelemetry call) => _llmCalls.Add(call);
+    /// <summary>Status events raised during this cycle, in order.</summary>
+    public IReadOnlyList<StatusEventTelemetry> StatusEvents => _statusEvents;
+
+    /// <summary>Time since the start of the cycle.</summary>
+    public TimeSpan Elapsed => _stopwatch.Elapsed;
+
+    /// <summary>Record an LLM call. Without a start offset the call is assumed to have just ended.</summary>
+    public void AddLlmCall(LlmCallTelemetry call) =>
+        _llmCalls.Add(call.StartOffset is null ? call with { StartOffset = Elapsed - call.Duration } : call);
 
-    /// <summary>Record a tool call.</summary>
-    public void AddToolCall(ToolCallTelemetry call) => _toolCalls.Add(call);
+    /// <summary>Record a tool call. Without a start offset the call is assumed to have just ended.</summary>
+    public void AddToolCall(ToolCallTelemetry call) =>
+        _toolCalls.Add(call.StartOffset is null ? call with { StartOffset = Elapsed - call.Duration } : call);
 
     /// <summary>Record that context compaction occurred.</summary>
     public void RecordCompaction() => CompactionCount++;
 
+    /// <summary>Record a status event, stamped with the time since the start of the cycle.</summary>
+    public void AddStatus(string kind, string message, int iteration) =>
+        _statusEvents.Add(new StatusEventTelemetry { Kind = kind, Message = message, Iteration = iteration, Offset = _stopwatch.Elapsed });
+
     /// <summary>Stop the timer and mark complete.</summary>
     public void Complete()
     {
@@ -126,6 +166,115 @@ public sealed class AgentTelemetry
     public IReadOnlyList<string> ToolsUsed =>
         _toolCalls.Select(c => c.Name).Distinct().ToList();
 
+    // ─── DTO mapping ──────────────────────────────────────────────────
+
+    /// <summary>Map tool call telemetry to the API shape used by the web UI.</summary>
+    public List<Api.ToolCallDto> ToToolCallDtos() =>
+        _toolCalls.Select(tc => new Api.ToolCallDto
+        {
+            Name = tc.Name,
+            CallId = tc.CallId,
+            DurationMs = (int)tc.Duration.TotalMilliseconds,
+            Success = tc.Success,
+            Error = tc.Error,
+            ResultLength = tc.ResultLength,
+            Iteration = tc.Iteration,
+            Arguments = tc.Arguments,
+            Result = tc.ResultPreview,
+            Details = tc.Details,
+        }).ToList();
+
+    /// <summary>Map the aggregate telemetry to the API stats shape used by the web UI.</summary>
+    public Api.ChatStatsDto ToStatsDto() => new()
+    {
+        TotalDurationMs = (int)TotalDuration.TotalMilliseconds,
+        Iterations = Iterations,
+        TotalTokens = TotalTokens,
+        PromptTokens = TotalPromptTokens,
+        CompletionTokens = TotalCompletionTokens,
+        Model = Model,
+        ContextCompactions = CompactionCount,
+    };
+
+    /// <summary>
+    /// Display metadata persisted with the assistant reply so a reopened session
+    /// can show the same tool badges and stats as the live stream.
+    /// </summary>
+    public Dictionary<string, object?> ToMessageMetadata()
+    {
+        var metadata = new Dictionary<string, object?>
+        {
+            ["toolCalls"] = ToToolCallDtos(),
+            ["stats"] = ToStatsDto(),
+        };
+
+        if (_statusEvents.Count > 0)
+            metadata["statusEvents"] = ToStatusEventDtos();
+
+        metadata["trace"] = ToTraceDto();
+        return metadata;
+    }
+
+    /// <summary>
+    /// Lay the cycle out as spans for the web UI trace view: every LLM call and tool call with
+    /// its start offset and duration, plus compactions as instant markers, in start order.
+    /// </summary>
+    public Api.TraceDto ToTraceDto()
+    {
+        var spans = new List<Api.TraceSpanDto>();
+
+        spans.AddRange(_llmCalls.Select(c => new Api.TraceSpanDto
+        {
+            Kind = "llm",
+            Name = c.Model,
+            Iteration = c.Iteration,
+            StartMs = (int)(c.StartOffset ?? TimeSpan.Zero).TotalMilliseconds,
+            DurationMs = (int)c.Duration.TotalMilliseconds,
+            PromptTokens = c.PromptTokens,
+            CompletionTokens = c.CompletionTokens,
+            TotalTokens = c.TotalTokens,
+            FinishReason = c.FinishReason,
+        }));
+
+        spans.AddRange(_toolCalls.Select(c => new Api.TraceSpanDto
+        {
+            Kind = "tool",
+            Name = c.Name,
+            CallId = c.CallId,
+            Iteration = c.Iteration,
+            StartMs = (int)(c.StartOffset ?? TimeSpan.Zero).TotalMilliseconds,
+            DurationMs = (int)c.Duration.TotalMilliseconds,
+            Success = c.Success,
+            Error = c.Error,
+        }));
+
+        spans.AddRange(_statusEvents.Where(e => e.Kind == "compaction").Select(e => new Api.TraceSpanDto
+        {
+            Kind = "compaction",
+            Name = e.Message,
+            Iteration = e.Iteration,
+            StartMs = (int)e.Offset.TotalMilliseconds,
+        }));
+
+        return new Api.TraceDto
+        {
+            TotalDurationMs = (int)TotalDuration.TotalMilliseconds,
+            Success = Success,
+            Error = Error,
+            Spans = spans.OrderBy(span => span.StartMs).ToList(),
+        };
+    }
+
+    /// <summary>Map status events to the API shape used by the web UI timeline.</summary>
+    public List<Api.StatusEventDto> ToStatusEventDtos() =>
+        _statusEvents.Select(e => new Api.StatusEventDto
+        {
+            Kind = e.Kind,
+            Message = e.Message,
+            Iteration = e.Iteration,
+            OffsetMs = (int)e.Offset.TotalMilliseconds,
+        }).ToList();
+
     // ─── Formatting ───────────────────────────────────────────────────
 
     /// <summary>Build a structured log string for the telemetry summary.</summary>
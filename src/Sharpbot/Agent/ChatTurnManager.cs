@@ -0,0 +1,205 @@
+using System.Collections.Concurrent;
+using Microsoft.Extensions.Logging;
+
+namespace Sharpbot.Agent;
+
+/// <summary>
+/// A single web chat turn running in the background.
+/// Buffers every stream event with a sequential id so clients can (re)attach at any point,
+/// and owns the cancellation source for the agent run.
+/// </summary>
+public sealed class ChatTurn : IDisposable
+{
+    private readonly CancellationTokenSource _cts = new();
+    private readonly List<AgentStreamEvent> _events = [];
+    private readonly object _lock = new();
+    private TaskCompletionSource _changed = new(TaskCreationOptions.RunContinuationsAsynchronously);
+
+    internal ChatTurn(string sessionKey) => SessionKey = sessionKey;
+
+    public string Id { get; } = Guid.NewGuid().ToString("N");
+    public string SessionKey { get; }
+    public DateTime StartedAtUtc { get; } = DateTime.UtcNow;
+
+    /// <summary>Token passed to the agent loop; cancelled by <see cref="Cancel"/>.</summary>
+    public CancellationToken Token => _cts.Token;
+
+    /// <summary>True when the turn was stopped explicitly.</summary>
+    public bool CancelRequested { get; private set; }
+
+    /// <summary>True once the agent run has finished (successfully, with an error, or cancelled).</summary>
+    public bool IsCompleted { get; private set; }
+
+    /// <summary>Id of the most recent event (events are numbered from 1).</summary>
+    public long LastEventId { get { lock (_lock) return _events.Count; } }
+
+    public void Cancel()
+    {
+        CancelRequested = true;
+        try { _cts.Cancel(); }
+        catch (ObjectDisposedException) { /* turn already finished */ }
+    }
+
+    internal void Append(AgentStreamEvent evt)
+    {
+        lock (_lock)
+        {
+            _events.Add(evt);
+            SignalUnsafe();
+        }
+    }
+
+    internal void Complete()
+    {
+        lock (_lock)
+        {
+            IsCompleted = true;
+            SignalUnsafe();
+        }
+    }
+
+    /// <summary>
+    /// Snapshot the events after <paramref name="afterId"/>.
+    /// When <c>Completed</c> is true the snapshot contains every remaining event.
+    /// </summary>
+    public (List<(long Id, AgentStreamEvent Event)> Events, bool Completed) GetEventsAfter(long afterId)
+    {
+        lock (_lock)
+        {
+            var start = (int)Math.Clamp(afterId, 0, _events.Count);
+            var batch = new List<(long, AgentStreamEvent)>(_events.Count - start);
+            for (var i = start; i < _events.Count; i++)
+                batch.Add((i + 1, _events[i]));
+            return (batch, IsCompleted);
+        }
+    }
+
+    /// <summary>
+    /// Wait until there are events after <paramref name="afterId"/> or the turn completes.
+    /// Returns false if <paramref name="timeout"/> elapsed first.
+    /// </summary>
+    public async Task<bool> WaitForEventsAsync(long afterId, TimeSpan timeout, CancellationToken ct = default)
+    {
+        Task changed;
+        lock (_lock)
+        {
+            if (_events.Count > afterId || IsCompleted)
+                return true;
+            changed = _changed.Task;
+        }
+
+        try
+        {
+            await changed.WaitAsync(timeout, ct);
+            return true;
+        }
+        catch (TimeoutException)
+        {
+            return false;
+        }
+    }
+
+    private void SignalUnsafe()
+    {
+        var previous = _changed;
+        _changed = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+        previous.TrySetResult();
+    }
+
+    public void Dispose() => _cts.Dispose();
+}
+
+/// <summary>
+/// Runs web chat turns independently of the HTTP request that started them,
+/// so a client can stop a turn from another request or reattach after a network drop.
+/// In-memory only — at most one active turn per session; finished turns are kept briefly for late readers.
+/// </summary>
+public sealed class ChatTurnManager
+{
+    /// <summary>How long a finished turn stays available for clients that reconnect late.</summary>
+    private static readonly TimeSpan FinishedTurnRetention = TimeSpan.FromMinutes(2);
+
+    private readonly ConcurrentDictionary<string, ChatTurn> _turns = new();
+    private readonly ConcurrentDictionary<string, ChatTurn> _activeBySession = new();
+    private readonly ILogger? _logger;
+
+    public ChatTurnManager(ILogger? logger = null)
+    {
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Start a turn in the background. <paramref name="run"/> receives the turn's cancellation token
+    /// and produces the agent stream; every event is buffered on the returned <paramref name="turn"/>.
+    /// Returns false without starting anything if the session already has a running turn, which is
+    /// then returned in <paramref name="turn"/> so the caller can point the client at it.
+    /// </summary>
+    public bool TryStart(string sessionKey, Func<CancellationToken, IAsyncEnumerable<AgentStreamEvent>> run, out ChatTurn turn)
+    {
+        var started = new ChatTurn(sessionKey);
+        while (!_activeBySession.TryAdd(sessionKey, started))
+        {
+            // Lost to a running turn; if it finished in the meantime, try again
+            if (_activeBySession.TryGetValue(sessionKey, out var running))
+            {
+                started.Dispose();
+                turn = running;
+                return false;
+            }
+        }
+
+        turn = started;
+        _turns[started.Id] = started;
+
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await foreach (var evt in run(started.Token))
+                    started.Append(evt);
+            }
+            catch (OperationCanceledException) when (started.CancelRequested)
+            {
+                started.Append(AgentStreamEvent.Cancelled(sessionKey));
+            }
+            catch (Exception ex)
+            {
+                _logger?.LogWarning(ex, "Chat turn {TurnId} for {SessionKey} failed", started.Id, sessionKey);
+                started.Append(AgentStreamEvent.Failed(ex.Message));
+            }
+            finally
+            {
+                started.Complete();
+                _activeBySession.TryRemove(new KeyValuePair<string, ChatTurn>(sessionKey, started));
+                _ = ForgetLaterAsync(started);
+            }
+        });
+
+        return true;
+    }
+
+    /// <summary>Cancel the active turn for a session. Returns false if nothing is running.</summary>
+    public bool Cancel(string sessionKey)
+    {
+        if (!_activeBySession.TryGetValue(sessionKey, out var turn))
+            return false;
+
+        turn.Cancel();
+        return true;
+    }
+
+    /// <summary>Get a running or recently finished turn by id.</summary>
+    public ChatTurn? Get(string turnId) =>
+        _turns.TryGetValue(turnId, out var turn) ? turn : null;
+
+    /// <summary>Get the running turn for a session, if any.</summary>
+    public ChatTurn? GetActive(string sessionKey) =>
+        _activeBySession.TryGetValue(sessionKey, out var turn) ? turn : null;
+
+    private async Task ForgetLaterAsync(ChatTurn turn)
+    {
+        await Task.Delay(FinishedTurnRetention);
+        _turns.TryRemove(turn.Id, out _);
+        turn.Dispose();
+    }
+}
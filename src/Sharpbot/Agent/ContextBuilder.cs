@@ -41,23 +41,33 @@ public sealed class ContextBuilder
         _logger = logger;
     }
 
+    /// <summary>Separator between the sections of the system prompt.</summary>
+    private const string SectionSeparator = "\n\n---\n\n";
+
     /// <summary>Build the system prompt from bootstrap files, memory, and skills.</summary>
-    public string BuildSystemPrompt(List<string>? skillNames = null)
+    public string BuildSystemPrompt(List<string>? skillNames = null) =>
+        string.Join(SectionSeparator, BuildSystemPromptSections(skillNames).Select(s => s.Content));
+
+    /// <summary>
+    /// The system prompt split by origin: "system" (identity and bootstrap files), "memory" and
+    /// "skills". Used to build the prompt and to show what fills the context window.
+    /// </summary>
+    public List<(string Section, string Content)> BuildSystemPromptSections(List<string>? skillNames = null)
     {
-        var parts = new List<string>();
+        var parts = new List<(string Section, string Content)>();
 
         // Core identity
-        parts.Add(GetIdentity());
+        parts.Add(("system", GetIdentity()));
 
         // Bootstrap files
         var bootstrap = LoadBootstrapFiles();
         if (!string.IsNullOrEmpty(bootstrap))
-            parts.Add(bootstrap);
+            parts.Add(("system", bootstrap));
 
         // Memory context
         var memory = _memory.GetMemoryContext();
         if (!string.IsNullOrEmpty(memory))
-            parts.Add($"# Memory\n\n{memory}");
+            parts.Add(("memory", $"# Memory\n\n{memory}"));
 
         // Skills — progressive loading (FR-504):
         //   1. "always" skills → full content loaded into context
@@ -96,7 +106,7 @@ public sealed class ContextBuilder
 
                 var alwaysContent = _skills.LoadSkillsForContext(alwaysSkillNames);
                 if (!string.IsNullOrEmpty(alwaysContent))
-                    parts.Add($"# Active Skills\n\n{alwaysContent}");
+                    parts.Add(("skills", $"# Active Skills\n\n{alwaysContent}"));
             }
 
             // 2. On-demand skills — summaries only
@@ -119,7 +129,7 @@ public sealed class ContextBuilder
                     summaryLines.Add($"  </skill>");
                 }
                 summaryLines.Add("</available_skills>");
-                parts.Add(string.Join("\n", summaryLines));
+                parts.Add(("skills", string.Join("\n", summaryLines)));
             }
 
             // 3. Unavailable skills
@@ -137,18 +147,18 @@ public sealed class ContextBuilder
                 }
                 lines.Add("</unavailable_skills>");
 
-                parts.Add($"""
+                parts.Add(("skills", $"""
                     # Unavailable Skills
 
                     The following skills are installed but have unmet requirements.
                     You can try to help the user install the missing dependencies.
 
                     {string.Join("\n", lines)}
-                    """);
+                    """));
             }
         }
 
-        return string.Join("\n\n---\n\n", parts);
+        return parts;
     }
 
     private string GetIdentity()
@@ -84,6 +84,19 @@ public sealed class ContextCompactor
         _logger = logger;
     }
 
+    /// <summary>Context window limit this compactor works against.</summary>
+    public int ContextLimit => GetContextLimitFor(null);
+
+    /// <summary>
+    /// Context window limit for a turn run on <paramref name="model"/> (null = the default model).
+    /// A configured <c>maxContextTokens</c> applies to every model.
+    /// </summary>
+    public int GetContextLimitFor(string? model) =>
+        _contextLimitOverride ?? GetContextLimit(string.IsNullOrWhiteSpace(model) ? _model : model);
+
+    /// <summary>Estimated token count at which a context of <paramref name="contextLimit"/> tokens is compacted.</summary>
+    public static int GetCompactionThreshold(int contextLimit) => (int)(contextLimit * CompactionThreshold);
+
     /// <summary>Get the context window limit for a model.</summary>
     public static int GetContextLimit(string model)
     {
@@ -95,6 +108,9 @@ public sealed class ContextCompactor
         return DefaultContextLimit;
     }
 
+    /// <summary>Estimate the token count of a piece of text (same heuristic as <see cref="EstimateTokens(List{Dictionary{string, object?}})"/>).</summary>
+    public static int EstimateTokens(string text) => (int)(text.Length / CharsPerToken);
+
     /// <summary>
     /// Estimate the total token count of a message list.
     /// Uses a simple character-based heuristic (chars / 4).
@@ -129,16 +145,18 @@ public sealed class ContextCompactor
     }
 
     /// <summary>
-    /// Check whether the messages need compaction and, if so, compact them.
+    /// Check whether the messages need compaction against the context window of <paramref name="model"/>
+    /// (null = the default model) and, if so, compact them.
     /// Returns the (possibly compacted) message list and whether compaction occurred.
     /// </summary>
     public async Task<(List<Dictionary<string, object?>> Messages, bool WasCompacted)> CompactIfNeededAsync(
         List<Dictionary<string, object?>> messages,
+        string? model = null,
         CancellationToken ct = default)
     {
         var estimatedTokens = EstimateTokens(messages);
-        var contextLimit = _contextLimitOverride ?? GetContextLimit(_model);
-        var threshold = (int)(contextLimit * CompactionThreshold);
+        var contextLimit = GetContextLimitFor(model);
+        var threshold = GetCompactionThreshold(contextLimit);
 
         _logger?.LogDebug(
             "Context check: ~{Tokens} tokens estimated, limit={Limit}, threshold={Threshold}",
@@ -203,16 +221,7 @@ public sealed class ContextCompactor
         var result = new List<Dictionary<string, object?>> { systemPrompt };
 
         // Insert summary as a system message so the agent has context
-        result.Add(new Dictionary<string, object?>
-        {
-            ["role"] = MessageRoles.User,
-            ["content"] = "[Earlier conversation summary]\n" + summary,
-        });
-        result.Add(new Dictionary<string, object?>
-        {
-            ["role"] = MessageRoles.Assistant,
-            ["content"] = "Understood. I have the context from our earlier conversation. How can I help?",
-        });
+        result.AddRange(BuildSummaryMessages(summary));
 
         result.AddRange(toPreserve);
         result.Add(currentUserMsg);
@@ -220,6 +229,97 @@ public sealed class ContextCompactor
         return result;
     }
 
+    /// <summary>
+    /// Summarize the older part of a stored session history on demand (the web UI's "/compact").
+    /// Unlike <see cref="CompactIfNeededAsync"/> this ignores the threshold, and the history has no
+    /// system prompt or pending user message. <paramref name="previousSummary"/> is folded into the
+    /// new summary so repeated compactions don't lose earlier context.
+    /// Returns null when the history is too short to be worth summarizing.
+    /// </summary>
+    public async Task<(string Summary, int SummarizedCount)?> CompactHistoryAsync(
+        List<Dictionary<string, object?>> history,
+        string? previousSummary = null,
+        CancellationToken ct = default)
+    {
+        var summarizeCount = history.Count - CalculatePreserveCount(history);
+        if (summarizeCount < MinMessagesToSummarize)
+            return null;
+
+        var toSummarize = history.GetRange(0, summarizeCount);
+        if (!string.IsNullOrWhiteSpace(previousSummary))
+            toSummarize.InsertRange(0, BuildSummaryMessages(previousSummary));
+
+        _logger?.LogInformation("Manual compaction: summarizing {Count} messages", summarizeCount);
+        var summary = await SummarizeMessagesAsync(toSummarize, ct);
+        return (summary, summarizeCount);
+    }
+
+    /// <summary>Max characters kept of a generated session title.</summary>
+    private const int MaxTitleLength = 80;
+
+    /// <summary>
+    /// Generate a short title for a conversation from its opening messages.
+    /// Returns null when the model gives nothing usable, so callers can keep their fallback.
+    /// </summary>
+    public async Task<string?> GenerateTitleAsync(List<Dictionary<string, object?>> messages, CancellationToken ct = default)
+    {
+        var titleMessages = new List<Dictionary<string, object?>>
+        {
+            new()
+            {
+                ["role"] = MessageRoles.System,
+                ["content"] = """
+                    You write titles for chat conversations. Reply with a title of at most six words that
+                    names the topic of the conversation below. No quotes, no trailing punctuation, no preamble.
+                    """
+            },
+            new()
+            {
+                ["role"] = MessageRoles.User,
+                ["content"] = $"Conversation:\n\n{BuildTranscript(messages)}"
+            }
+        };
+
+        try
+        {
+            var response = await _provider.ChatAsync(
+                messages: titleMessages,
+                tools: null,
+                model: _model,
+                maxTokens: 32,
+                temperature: _temperature,
+                ct: ct);
+
+            var title = response.Content?
+                .Split('\n', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .FirstOrDefault()?
+                .Trim('"', '\'', '*', '#', ' ')
+                .TrimEnd('.');
+
+            return string.IsNullOrWhiteSpace(title) ? null : Truncate(title, MaxTitleLength);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger?.LogWarning(ex, "Failed to generate conversation title");
+            return null;
+        }
+    }
+
+    /// <summary>The user/assistant pair that stands in for summarized messages in the LLM context.</summary>
+    public static List<Dictionary<string, object?>> BuildSummaryMessages(string summary) =>
+    [
+        new()
+        {
+            ["role"] = MessageRoles.User,
+            ["content"] = "[Earlier conversation summary]\n" + summary,
+        },
+        new()
+        {
+            ["role"] = MessageRoles.Assistant,
+            ["content"] = "Understood. I have the context from our earlier conversation. How can I help?",
+        },
+    ];
+
     /// <summary>
     /// Calculate how many messages from the end of the conversation body to preserve.
     /// Adaptive: ensures at least <see cref="MinMessagesToSummarize"/> messages are available for summarization.
@@ -0,0 +1,38 @@
+namespace Sharpbot.Agent;
+
+/// <summary>
+/// Estimated size of the context the next turn of a session would send, split by origin.
+/// Uses the same chars/4 heuristic as <see cref="ContextCompactor"/>, so it predicts when
+/// compaction kicks in. Memories injected per message by semantic search are not included.
+/// </summary>
+public sealed record ContextUsage
+{
+    public required string SessionKey { get; init; }
+    public required string Model { get; init; }
+
+    /// <summary>Identity and bootstrap files (AGENTS.md, SOUL.md, ...).</summary>
+    public int SystemPromptTokens { get; init; }
+
+    /// <summary>Pinned notes from memory/MEMORY.md.</summary>
+    public int MemoryTokens { get; init; }
+
+    /// <summary>Always-loaded skill content and the skill summaries.</summary>
+    public int SkillsTokens { get; init; }
+
+    /// <summary>Session history sent with the next turn (including any compaction summary).</summary>
+    public int HistoryTokens { get; init; }
+
+    /// <summary>Number of history messages sent with the next turn.</summary>
+    public int HistoryMessages { get; init; }
+
+    /// <summary>Total messages stored in the session transcript.</summary>
+    public int StoredMessages { get; init; }
+
+    /// <summary>Leading transcript messages replaced by a compaction summary (0 = never compacted).</summary>
+    public int CompactedThrough { get; init; }
+
+    public int ContextLimit { get; init; }
+    public int CompactionThreshold { get; init; }
+
+    public int EstimatedTokens => SystemPromptTokens + MemoryTokens + SkillsTokens + HistoryTokens;
+}
@@ -1,6 +1,10 @@
 using System.Collections.Concurrent;
+using System.Globalization;
 using System.Text.Json;
+using Microsoft.Data.Sqlite;
+using Microsoft.Extensions.Logging;
 using Sharpbot.Config;
+using Sharpbot.Database;
 
 namespace Sharpbot.Agent;
 
@@ -21,12 +25,31 @@ public sealed record ExecApprovalRequest
     public required string Ask { get; init; }
     public required DateTime CreatedAtUtc { get; init; }
     public required DateTime ExpiresAtUtc { get; init; }
+
+    /// <summary>Session whose agent turn asked for the command (null outside a chat turn).</summary>
+    public string? SessionKey { get; init; }
+
+    /// <summary>Tool call that is waiting on this approval.</summary>
+    public string? ToolCallId { get; init; }
+}
+
+/// <summary>A settled approval request: allow-once, allow-always, deny, expired or cancelled.</summary>
+public sealed record ExecApprovalHistoryEntry
+{
+    /// <summary>Row id in the history table; later entries have higher ids (the paging cursor).</summary>
+    public required long HistoryId { get; init; }
+    public required ExecApprovalRequest Request { get; init; }
+    public required string Outcome { get; init; }
+    public required DateTime SettledAtUtc { get; init; }
 }
 
 internal sealed record ExecApprovalPending
 {
     public required ExecApprovalRequest Request { get; init; }
     public required TaskCompletionSource<ExecApprovalDecision> Tcs { get; init; }
+
+    /// <summary>Cancelled when the agent turn that asked stops; the request is then settled as cancelled.</summary>
+    public CancellationToken TurnCancellation { get; init; }
 }
 
 internal sealed record ExecApprovalsFile
@@ -36,17 +59,25 @@ internal sealed record ExecApprovalsFile
 }
 
 /// <summary>
-/// Holds pending exec approvals and a persistent executable allowlist.
+/// Holds pending exec approvals, a persistent executable allowlist and the history of settled
+/// approvals (stored in SQLite next to the sessions).
 /// </summary>
 public sealed class ExecApprovalManager
 {
+    /// <summary>Session/tool call (and its turn's cancellation) that the current async flow is executing on behalf of.</summary>
+    private static readonly AsyncLocal<(string? SessionKey, string? ToolCallId, CancellationToken TurnCancellation)> Origin = new();
+
     private readonly ConcurrentDictionary<string, ExecApprovalPending> _pending = new();
+    private readonly SharpbotDb _db;
+    private readonly ILogger? _logger;
     private readonly HashSet<string> _allowlist;
     private readonly object _allowlistLock = new();
     private readonly string _filePath;
 
-    public ExecApprovalManager(ExecToolConfig execConfig)
+    public ExecApprovalManager(ExecToolConfig execConfig, SharpbotDb db, ILogger? logger = null)
     {
+        _db = db;
+        _logger = logger;
         _filePath = Path.Combine(Utils.Helpers.GetDataPath(), "exec-approvals.json");
 
         // Merge config allowlist + persisted allowlist into one effective set.
@@ -57,6 +88,26 @@ public sealed class ExecApprovalManager
             AddAllowlistInternal(entry);
     }
 
+    /// <summary>Raised when a command is held for approval, so a chat stream can show it inline.</summary>
+    public event Action<ExecApprovalRequest>? RequestCreated;
+
+    /// <summary>
+    /// Tag requests created by tool code started inside this scope with their session and tool call,
+    /// and stop waiting on them when <paramref name="turnCancellation"/> fires. The tools are shared
+    /// across sessions and take no cancellation token, so the origin travels with the async flow instead.
+    /// </summary>
+    public IDisposable BeginOrigin(string? sessionKey, string? toolCallId, CancellationToken turnCancellation = default)
+    {
+        var previous = Origin.Value;
+        Origin.Value = (sessionKey, toolCallId, turnCancellation);
+        return new OriginScope(previous);
+    }
+
+    private sealed class OriginScope((string?, string?, CancellationToken) previous) : IDisposable
+    {
+        public void Dispose() => Origin.Value = previous;
+    }
+
     public string CreateRequest(
         string command,
         string workingDirectory,
@@ -79,14 +130,23 @@ public sealed class ExecApprovalManager
                 Ask = ask,
                 CreatedAtUtc = now,
                 ExpiresAtUtc = now.Add(timeout),
+                SessionKey = Origin.Value.SessionKey,
+                ToolCallId = Origin.Value.ToolCallId,
             },
             Tcs = new TaskCompletionSource<ExecApprovalDecision>(TaskCreationOptions.RunContinuationsAsynchronously),
+            TurnCancellation = Origin.Value.TurnCancellation,
         };
 
         _pending[id] = pending;
+        RequestCreated?.Invoke(pending.Request);
         return id;
     }
 
+    /// <summary>
+    /// Wait for the operator's decision. Returns null when the request expires; throws
+    /// <see cref="OperationCanceledException"/> when <paramref name="ct"/> or the requesting turn is
+    /// cancelled, so a stopped turn never falls through to the ask fallback.
+    /// </summary>
     public async Task<ExecApprovalDecision?> WaitForDecisionAsync(string approvalId, CancellationToken ct = default)
     {
         if (!_pending.TryGetValue(approvalId, out var pending))
@@ -100,22 +160,117 @@ public sealed class ExecApprovalManager
         }
 
         using var timeoutCts = new CancellationTokenSource(timeout);
-        using var linked = CancellationTokenSource.CreateLinkedTokenSource(ct, timeoutCts.Token);
+        using var linked = CancellationTokenSource.CreateLinkedTokenSource(ct, pending.TurnCancellation, timeoutCts.Token);
 
+        string outcome = "cancelled";
         try
         {
-            return await pending.Tcs.Task.WaitAsync(linked.Token);
+            var decision = await pending.Tcs.Task.WaitAsync(linked.Token);
+            outcome = ToOutcome(decision);
+            return decision;
         }
-        catch (OperationCanceledException)
+        catch (OperationCanceledException) when (timeoutCts.IsCancellationRequested
+            && !ct.IsCancellationRequested && !pending.TurnCancellation.IsCancellationRequested)
         {
+            outcome = "expired";
             return null;
         }
         finally
         {
             _pending.TryRemove(approvalId, out _);
+            AddHistory(pending.Request, outcome);
+        }
+    }
+
+    /// <summary>
+    /// Settled approvals, most recent first: up to <paramref name="limit"/> entries older than
+    /// <paramref name="before"/> (a <see cref="ExecApprovalHistoryEntry.HistoryId"/>; null = from the newest).
+    /// </summary>
+    public List<ExecApprovalHistoryEntry> GetHistory(int limit = 50, long? before = null)
+    {
+        using var conn = _db.CreateConnection();
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = $"""
+            SELECT id, request_id, command, working_directory, resolved_executable_path, security, ask,
+                   session_key, tool_call_id, outcome, created_at, expires_at, settled_at
+            FROM exec_approval_history
+            {(before.HasValue ? "WHERE id < @before" : "")}
+            ORDER BY id DESC
+            LIMIT @limit
+            """;
+        if (before.HasValue) cmd.Parameters.AddWithValue("@before", before.Value);
+        cmd.Parameters.AddWithValue("@limit", limit);
+
+        var history = new List<ExecApprovalHistoryEntry>();
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+        {
+            history.Add(new ExecApprovalHistoryEntry
+            {
+                HistoryId = reader.GetInt64(0),
+                Request = new ExecApprovalRequest
+                {
+                    Id = reader.GetString(1),
+                    Command = reader.GetString(2),
+                    WorkingDirectory = reader.GetString(3),
+                    ResolvedExecutablePath = reader.IsDBNull(4) ? null : reader.GetString(4),
+                    Security = reader.GetString(5),
+                    Ask = reader.GetString(6),
+                    SessionKey = reader.IsDBNull(7) ? null : reader.GetString(7),
+                    ToolCallId = reader.IsDBNull(8) ? null : reader.GetString(8),
+                    CreatedAtUtc = ParseUtc(reader.GetString(10)),
+                    ExpiresAtUtc = ParseUtc(reader.GetString(11)),
+                },
+                Outcome = reader.GetString(9),
+                SettledAtUtc = ParseUtc(reader.GetString(12)),
+            });
         }
+
+        return history;
     }
 
+    private void AddHistory(ExecApprovalRequest request, string outcome)
+    {
+        try
+        {
+            using var conn = _db.CreateConnection();
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = """
+                INSERT INTO exec_approval_history (request_id, command, working_directory, resolved_executable_path,
+                    security, ask, session_key, tool_call_id, outcome, created_at, expires_at, settled_at)
+                VALUES (@rid, @cmd, @wd, @exe, @security, @ask, @sk, @tc, @outcome, @created, @expires, @settled)
+                """;
+            cmd.Parameters.AddWithValue("@rid", request.Id);
+            cmd.Parameters.AddWithValue("@cmd", request.Command);
+            cmd.Parameters.AddWithValue("@wd", request.WorkingDirectory);
+            cmd.Parameters.AddWithValue("@exe", (object?)request.ResolvedExecutablePath ?? DBNull.Value);
+            cmd.Parameters.AddWithValue("@security", request.Security);
+            cmd.Parameters.AddWithValue("@ask", request.Ask);
+            cmd.Parameters.AddWithValue("@sk", (object?)request.SessionKey ?? DBNull.Value);
+            cmd.Parameters.AddWithValue("@tc", (object?)request.ToolCallId ?? DBNull.Value);
+            cmd.Parameters.AddWithValue("@outcome", outcome);
+            cmd.Parameters.AddWithValue("@created", request.CreatedAtUtc.ToString("o"));
+            cmd.Parameters.AddWithValue("@expires", request.ExpiresAtUtc.ToString("o"));
+            cmd.Parameters.AddWithValue("@settled", DateTime.UtcNow.ToString("o"));
+            cmd.ExecuteNonQuery();
+        }
+        catch (SqliteException ex)
+        {
+            // The decision has been made either way; a history write must not turn it into a tool error
+            _logger?.LogWarning(ex, "Failed to record exec approval {Id} ({Outcome}) in the history", request.Id, outcome);
+        }
+    }
+
+    private static DateTime ParseUtc(string value) =>
+        DateTime.Parse(value, CultureInfo.InvariantCulture, DateTimeStyles.RoundtripKind);
+
+    private static string ToOutcome(ExecApprovalDecision decision) => decision switch
+    {
+        ExecApprovalDecision.AllowOnce => "allow-once",
+        ExecApprovalDecision.AllowAlways => "allow-always",
+        _ => "deny",
+    };
+
     public bool Resolve(string approvalId, ExecApprovalDecision decision)
     {
         if (!_pending.TryGetValue(approvalId, out var pending))
@@ -54,7 +54,7 @@ public sealed class SubagentManager
         string? originChatId = null)
     {
         var taskId = Guid.NewGuid().ToString()[..8];
-        var displayLabel = label ?? (task.Length > 30 ? task[..30] + "..." : task);
+        var displayLabel = DisplayLabel(task, label);
 
         var origin = new SubagentOrigin(
             originChannel ?? Channels.WellKnown.Cli,
@@ -68,6 +68,10 @@ public sealed class SubagentManager
         return Task.FromResult($"Subagent [{displayLabel}] started (id: {taskId}). I'll notify you when it completes.");
     }
 
+    /// <summary>Short label shown for a subagent: the caller's label, or the start of the task.</summary>
+    public static string DisplayLabel(string task, string? label) =>
+        !string.IsNullOrWhiteSpace(label) ? label : task.Length > 30 ? task[..30] + "..." : task;
+
     private async Task RunSubagentAsync(string taskId, string task, string label, SubagentOrigin origin)
     {
         _logger?.LogInformation("Subagent [{TaskId}] starting task: {Label}", taskId, label);
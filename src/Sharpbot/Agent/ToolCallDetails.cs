@@ -0,0 +1,111 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+
+namespace Sharpbot.Agent;
+
+/// <summary>
+/// Tool-specific facts shown in the web UI tool inspector: exit code for exec,
+/// URLs for web tools, files for filesystem tools. Extracted from the full
+/// arguments and result, so they survive the result preview truncation.
+/// </summary>
+public sealed record ToolCallDetails
+{
+    /// <summary>Max characters of a tool result kept for display (stream events and stored metadata).</summary>
+    public const int ResultPreviewLength = 4000;
+
+    private static readonly Regex ExitCodePattern = new(@"^Exit code: (-?\d+)\s*$", RegexOptions.Multiline | RegexOptions.Compiled);
+
+    public int? ExitCode { get; init; }
+    public List<string>? Urls { get; init; }
+    public List<string>? Files { get; init; }
+
+    /// <summary>Truncate a tool result for display.</summary>
+    public static string PreviewResult(string result) =>
+        result.Length <= ResultPreviewLength ? result : result[..ResultPreviewLength];
+
+    /// <summary>Extract inspector details for a tool call, or null for tools without any.</summary>
+    public static ToolCallDetails? Extract(string toolName, Dictionary<string, object?> args, string result, bool success)
+    {
+        switch (toolName)
+        {
+            case "exec":
+                return new ToolCallDetails { ExitCode = ExtractExitCode(result, success) };
+
+            case "web_fetch":
+            {
+                var urls = new List<string>();
+                AddIfPresent(urls, ReadString(args, "url"));
+                AddIfPresent(urls, ReadJsonString(result, "finalUrl"));
+                return urls.Count > 0 ? new ToolCallDetails { Urls = urls } : null;
+            }
+
+            case "http_request":
+            case "browser_navigate":
+            {
+                var url = ReadString(args, "url");
+                return url is null ? null : new ToolCallDetails { Urls = [url] };
+            }
+
+            case "read_file":
+            case "write_file":
+            case "edit_file":
+            case "list_dir":
+            {
+                var path = ReadString(args, "path");
+                return path is null ? null : new ToolCallDetails { Files = [path] };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /// <summary>
+    /// The shell tool only prints "Exit code: N" for non-zero exits. Timeouts, spawn errors and
+    /// backgrounded commands have no exit code yet.
+    /// </summary>
+    private static int? ExtractExitCode(string result, bool success)
+    {
+        var match = ExitCodePattern.Match(result);
+        if (match.Success && int.TryParse(match.Groups[1].Value, out var code))
+            return code;
+
+        if (!success
+            || result.StartsWith("Error", StringComparison.Ordinal)
+            || result.StartsWith("Process started in background", StringComparison.Ordinal)
+            || result.StartsWith("Command still running", StringComparison.Ordinal))
+            return null;
+
+        return 0;
+    }
+
+    private static void AddIfPresent(List<string> list, string? value)
+    {
+        if (!string.IsNullOrWhiteSpace(value) && !list.Contains(value))
+            list.Add(value);
+    }
+
+    private static string? ReadString(Dictionary<string, object?> args, string key)
+    {
+        if (!args.TryGetValue(key, out var val) || val is null) return null;
+        if (val is JsonElement je) return je.ValueKind == JsonValueKind.String ? je.GetString() : je.ToString();
+        return val.ToString();
+    }
+
+    private static string? ReadJsonString(string json, string property)
+    {
+        try
+        {
+            using var doc = JsonDocument.Parse(json);
+            return doc.RootElement.ValueKind == JsonValueKind.Object
+                && doc.RootElement.TryGetProperty(property, out var value)
+                && value.ValueKind == JsonValueKind.String
+                    ? value.GetString()
+                    : null;
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+}
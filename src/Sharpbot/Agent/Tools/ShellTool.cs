@@ -250,7 +250,16 @@ public sealed class ExecTool : ToolBase
             resolvedExecutablePath: executable.ResolvedPath,
             timeout: timeout);
 
-        var decision = await _approvalManager.WaitForDecisionAsync(id);
+        ExecApprovalDecision? decision;
+        try
+        {
+            decision = await _approvalManager.WaitForDecisionAsync(id);
+        }
+        catch (OperationCanceledException)
+        {
+            return $"Error: Command not run: the turn was stopped while it waited for approval ({id[..8]}).";
+        }
+
         if (decision is null)
             return ApplyFallbackPolicy(policySatisfied, $"approval timeout ({_approvalTimeoutSec}s)");
 
@@ -2,6 +2,7 @@ using System.Text.Json;
 using System.Text.Json.Serialization;
 using Sharpbot.Agent;
 using Sharpbot.Channels;
+using Sharpbot.Media;
 using Sharpbot.Services;
 
 namespace Sharpbot.Api;
@@ -15,19 +16,35 @@ public static class ChatApi
         DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
     };
 
+    /// <summary>Reconnection delay suggested to SSE clients.</summary>
+    private const int SseRetryMs = 2000;
+
+    private static readonly TimeSpan SseKeepAliveInterval = TimeSpan.FromSeconds(15);
+
     public static void MapChatApi(this WebApplication app)
     {
         var group = app.MapGroup("/api/chat").WithTags("Chat");
 
         group.MapPost("/", SendMessage);
         group.MapPost("/stream", StreamMessage);
+        group.MapGet("/turns/{turnId}/stream", ResumeStream);
+        group.MapPost("/sessions/{key}/cancel", CancelTurn);
         group.MapGet("/sessions", ListSessions);
+        group.MapGet("/sessions/{key}/messages", GetSessionMessages);
+        group.MapPost("/sessions/{key}/fork", ForkSession);
+        group.MapPost("/sessions/{key}/compact", CompactSession);
+        group.MapPost("/sessions/{key}/clear", ClearSession);
+        group.MapPatch("/sessions/{key}", UpdateSession);
+        group.MapPost("/sessions/{key}/title", GenerateSessionTitle);
+        group.MapGet("/sessions/{key}/export", ExportSession);
+        group.MapPost("/sessions/import", ImportSession);
         group.MapDelete("/sessions/{key}", DeleteSession);
         group.MapGet("/context-info", GetContextInfo);
+        group.MapGet("/search", SearchMessages);
     }
 
     /// <summary>Send a message to the agent and get a response.</summary>
-    private static async Task<IResult> SendMessage(ChatRequest request, SharpbotHostedService gateway)
+    private static async Task<IResult> SendMessage(ChatRequest request, SharpbotHostedService gateway, MediaPipelineService media)
     {
         if (!gateway.IsReady || gateway.Agent is null)
         {
@@ -43,7 +60,7 @@ public static class ChatApi
         try
         {
             var (content, telemetry) = await gateway.Agent.ProcessDirectWithTelemetryAsync(
-                content: request.Message,
+                content: WithAttachments(request.Message, request.MediaAssetIds, media),
                 sessionKey: sessionKey,
                 channel: "web",
                 chatId: request.SessionId ?? "default");
@@ -53,25 +70,9 @@ public static class ChatApi
                 Message = content,
                 SessionId = sessionKey,
                 Timestamp = DateTime.UtcNow,
-                ToolCalls = telemetry.ToolCalls.Select(tc => new ToolCallDto
-                {
-                    Name = tc.Name,
-                    DurationMs = (int)tc.Duration.TotalMilliseconds,
-                    Success = tc.Success,
-                    Error = tc.Error,
-                    ResultLength = tc.ResultLength,
-                    Iteration = tc.Iteration,
-                }).ToList(),
-                Stats = new ChatStatsDto
-                {
-                    TotalDurationMs = (int)telemetry.TotalDuration.TotalMilliseconds,
-                    Iterations = telemetry.Iterations,
-                    TotalTokens = telemetry.TotalTokens,
-                    PromptTokens = telemetry.TotalPromptTokens,
-                    CompletionTokens = telemetry.TotalCompletionTokens,
-                    Model = telemetry.Model,
-                    ContextCompactions = telemetry.CompactionCount,
-                },
+                ToolCalls = telemetry.ToToolCallDtos(),
+                Stats = telemetry.ToStatsDto(),
+                Trace = telemetry.ToTraceDto(),
             });
         }
         catch (Exception ex)
@@ -84,8 +85,13 @@ public static class ChatApi
         }
     }
 
-    /// <summary>Send a message and stream the response as Server-Sent Events.</summary>
-    private static async Task StreamMessage(ChatRequest request, SharpbotHostedService gateway, HttpContext httpContext)
+    /// <summary>
+    /// Send a message and stream the response as Server-Sent Events.
+    /// The turn runs in the background; the <c>X-Chat-Turn-Id</c> header identifies it for
+    /// <c>GET /turns/{turnId}/stream</c> if the connection drops before <c>done</c>.
+    /// </summary>
+    private static async Task StreamMessage(ChatRequest request, SharpbotHostedService gateway, ChatTurnManager turns,
+        MediaPipelineService media, HttpContext httpContext)
     {
         var response = httpContext.Response;
 
@@ -99,53 +105,166 @@ public static class ChatApi
             return;
         }
 
+        if (request.Temperature is < 0 or > 2)
+        {
+            response.StatusCode = 400;
+            response.ContentType = "text/event-stream";
+            await response.StartAsync();
+            await WriteSseEvent(response, "error", new { error = "Temperature must be between 0 and 2." });
+            await response.Body.FlushAsync();
+            return;
+        }
+
+        var agent = gateway.Agent;
         var sessionKey = request.SessionId ?? "web:default";
+        var content = WithAttachments(request.Message, request.MediaAssetIds, media);
+
+        // Not tied to RequestAborted — a dropped connection must not kill the turn, only POST /sessions/{key}/cancel does
+        var started = turns.TryStart(sessionKey, ct => agent.ProcessDirectStreamingAsync(
+            content: content,
+            sessionKey: sessionKey,
+            channel: "web",
+            chatId: request.SessionId ?? "default",
+            model: string.IsNullOrWhiteSpace(request.Model) ? null : request.Model.Trim(),
+            temperature: request.Temperature,
+            ct: ct), out var turn);
+
+        response.Headers["X-Chat-Turn-Id"] = turn.Id;
+        if (!started)
+        {
+            // Two agent loops on one history would interleave; the client can follow or stop the running turn
+            response.StatusCode = 409;
+            await response.WriteAsJsonAsync(new
+            {
+                error = true,
+                message = "A reply is already being generated in this chat, possibly in another window. Retry when it has finished.",
+                activeTurnId = turn.Id,
+            });
+            return;
+        }
+        await PipeTurnEventsAsync(turn, afterId: 0, httpContext);
+    }
+
+    /// <summary>
+    /// Append uploaded web media to a message using the same <c>[type: path] [media_asset_id: id]</c>
+    /// markers the messaging channels emit, so the agent treats web attachments like Telegram media.
+    /// Unknown, foreign-channel and rejected assets are skipped.
+    /// </summary>
+    private static string WithAttachments(string message, List<string>? assetIds, MediaPipelineService media)
+    {
+        if (assetIds is not { Count: > 0 })
+            return message;
+
+        var parts = new List<string>();
+        if (!string.IsNullOrWhiteSpace(message))
+            parts.Add(message);
+
+        foreach (var id in assetIds.Distinct())
+        {
+            var asset = media.GetById(id);
+            if (asset is null || asset.Channel != "web" || asset.PolicyDecision == "reject")
+                continue;
+
+            var kind = asset.MimeType.Split('/')[0] switch
+            {
+                "image" => "image",
+                "audio" => "audio",
+                "video" => "video",
+                _ => "file",
+            };
+            parts.Add(asset.PolicyDecision == "allow" && asset.LocalPath is not null
+                ? $"[{kind}: {asset.LocalPath}] [media_asset_id: {asset.Id}]"
+                : $"[{kind}: {asset.FileName} ({asset.PolicyDecision})] [media_asset_id: {asset.Id}]");
+        }
+
+        return parts.Count > 0 ? string.Join("\n", parts) : message;
+    }
+
+    /// <summary>
+    /// Reattach to a running (or just finished) turn. Replays every event after
+    /// <c>Last-Event-ID</c> (header, or <c>lastEventId</c> query for clients that cannot set it), then follows live.
+    /// </summary>
+    private static async Task<IResult> ResumeStream(string turnId, ChatTurnManager turns, HttpContext httpContext, long? lastEventId = null)
+    {
+        var turn = turns.Get(turnId);
+        if (turn is null)
+            return Results.NotFound(new { error = $"Turn '{turnId}' not found or expired." });
+
+        var afterId = lastEventId ?? 0;
+        if (long.TryParse(httpContext.Request.Headers["Last-Event-ID"].ToString(), out var headerId))
+            afterId = headerId;
+
+        httpContext.Response.Headers["X-Chat-Turn-Id"] = turn.Id;
+        await PipeTurnEventsAsync(turn, afterId, httpContext);
+        return Results.Empty;
+    }
+
+    /// <summary>Write a turn's buffered and live events as SSE until the turn completes or the client goes away.</summary>
+    private static async Task PipeTurnEventsAsync(ChatTurn turn, long afterId, HttpContext httpContext)
+    {
+        var response = httpContext.Response;
+        var ct = httpContext.RequestAborted;
 
         response.StatusCode = 200;
         response.ContentType = "text/event-stream";
         response.Headers.CacheControl = "no-cache";
         response.Headers.Connection = "keep-alive";
         response.Headers["X-Accel-Buffering"] = "no"; // Disable nginx buffering
-        await response.StartAsync();
-
-        var ct = httpContext.RequestAborted;
+        await response.StartAsync(ct);
 
         try
         {
-            await foreach (var evt in gateway.Agent.ProcessDirectStreamingAsync(
-                content: request.Message,
-                sessionKey: sessionKey,
-                channel: "web",
-                chatId: request.SessionId ?? "default",
-                ct: ct))
+            await response.WriteAsync($"retry: {SseRetryMs}\n\n", ct);
+            await response.Body.FlushAsync(ct);
+
+            var lastId = afterId;
+            while (true)
             {
-                await WriteSseEvent(response, evt.Type, evt);
-                await response.Body.FlushAsync();
+                var (events, completed) = turn.GetEventsAfter(lastId);
+                foreach (var (id, evt) in events)
+                {
+                    await WriteSseEvent(response, evt.Type, evt, id);
+                    lastId = id;
+                }
+                await response.Body.FlushAsync(ct);
+
+                if (completed)
+                    break;
+
+                // Comment line keeps proxies from closing an idle stream during long tool calls
+                if (!await turn.WaitForEventsAsync(lastId, SseKeepAliveInterval, ct))
+                {
+                    await response.WriteAsync(": keep-alive\n\n", ct);
+                    await response.Body.FlushAsync(ct);
+                }
             }
         }
-        catch (OperationCanceledException)
+        catch (OperationCanceledException) when (ct.IsCancellationRequested)
         {
-            // Client disconnected — that's fine
+            // Client disconnected — the turn keeps running and can be resumed
         }
-        catch (Exception ex)
+    }
+
+    /// <summary>Stop the in-flight streaming turn for a session.</summary>
+    private static IResult CancelTurn(string key, ChatTurnManager turns)
+    {
+        var decodedKey = DecodeSessionKey(key);
+        var cancelled = turns.Cancel(decodedKey);
+        return Results.Json(new
         {
-            try
-            {
-                await WriteSseEvent(response, "error", new { error = ex.Message });
-                await response.Body.FlushAsync();
-            }
-            catch
-            {
-                // Response may already be completed
-            }
-        }
+            success = true,
+            cancelled,
+            message = cancelled ? $"Turn for '{decodedKey}' cancelled." : $"No active turn for '{decodedKey}'.",
+        });
     }
 
     /// <summary>Write a single SSE event to the response stream.</summary>
-    private static async Task WriteSseEvent(HttpResponse response, string eventType, object data)
+    private static async Task WriteSseEvent(HttpResponse response, string eventType, object data, long? id = null)
     {
         var json = JsonSerializer.Serialize(data, SseJsonOptions);
-        var payload = $"event: {eventType}\ndata: {json}\n\n";
+        var payload = id is null
+            ? $"event: {eventType}\ndata: {json}\n\n"
+            : $"id: {id}\nevent: {eventType}\ndata: {json}\n\n";
         await response.WriteAsync(payload);
     }
 
@@ -156,48 +275,359 @@ public static class ChatApi
         return Results.Json(sessions);
     }
 
-    /// <summary>Get context info (token estimation) for the current or specified session.</summary>
-    private static IResult GetContextInfo(SharpbotHostedService gateway, string? sessionId = null)
+    /// <summary>
+    /// Full-text search across the messages of every session (web and channel sessions).
+    /// Snippets mark matches with STX/ETX control characters for the client to highlight.
+    /// </summary>
+    private static IResult SearchMessages(SharpbotHostedService gateway, string? q = null, int limit = 50)
+    {
+        if (string.IsNullOrWhiteSpace(q))
+            return Results.BadRequest(new { error = true, message = "Query parameter 'q' is required." });
+
+        var results = gateway.SessionManager.Search(q, Math.Clamp(limit, 1, 200));
+        return Results.Json(new { query = q, count = results.Count, results });
+    }
+
+    /// <summary>
+    /// Get the stored transcript of a session, newest page first.
+    /// Pass <c>before</c> (a message index) to page backwards through long histories.
+    /// </summary>
+    private static IResult GetSessionMessages(string key, SharpbotHostedService gateway, int? before = null, int limit = 50)
+    {
+        var decodedKey = DecodeSessionKey(key);
+        var sessions = gateway.SessionManager;
+        if (!sessions.Exists(decodedKey))
+            return Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
+
+        var session = sessions.GetOrCreate(decodedKey);
+        var (page, offset) = session.GetPage(before, Math.Clamp(limit, 1, 200));
+
+        return Results.Json(new
+        {
+            sessionKey = decodedKey,
+            total = session.Messages.Count,
+            offset,
+            hasMore = offset > 0,
+            messages = page.Select((m, i) => new Dictionary<string, object?>(m) { ["index"] = offset + i }),
+        });
+    }
+
+    /// <summary>
+    /// Fork a session at a user message so an edited version (or the same message, to regenerate
+    /// the reply) can be sent on a new branch. The fork holds every message before <c>index</c>;
+    /// the original session is left untouched.
+    /// </summary>
+    private static IResult ForkSession(string key, ForkSessionRequest request, SharpbotHostedService gateway)
+    {
+        var decodedKey = DecodeSessionKey(key);
+        var sessions = gateway.SessionManager;
+        if (!sessions.Exists(decodedKey))
+            return Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
+
+        var source = sessions.GetOrCreate(decodedKey);
+        if (request.Index < 0 || request.Index >= source.Messages.Count
+            || source.Messages[request.Index].GetValueOrDefault("role")?.ToString() != MessageRoles.User)
+        {
+            return Results.BadRequest(new { error = true, message = $"Message {request.Index} of '{decodedKey}' is not a user message." });
+        }
+
+        // Forks are answered from the web UI, so they are web sessions whatever channel the source came from
+        var forkKey = NewWebSessionKey(sessions);
+
+        var kind = request.Kind == "regenerate" ? "regenerate" : "edit";
+        var fork = sessions.Fork(source, request.Index, forkKey, kind);
+        return Results.Json(new
+        {
+            sessionKey = fork.Key,
+            forkedFrom = decodedKey,
+            forkIndex = request.Index,
+            forkKind = kind,
+        });
+    }
+
+    /// <summary>A fresh "web:&lt;unix ms&gt;" key not used by any stored session.</summary>
+    private static string NewWebSessionKey(Session.SessionManager sessions)
+    {
+        var key = $"web:{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}";
+        while (sessions.Exists(key))
+            key = $"web:{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}-{Random.Shared.Next(1000)}";
+        return key;
+    }
+
+    /// <summary>
+    /// Export a session as JSON: metadata plus the full transcript with tool calls, stats and traces.
+    /// POST the document to <c>/sessions/import</c> to restore it.
+    /// </summary>
+    private static IResult ExportSession(string key, SharpbotHostedService gateway)
+    {
+        var decodedKey = DecodeSessionKey(key);
+        var sessions = gateway.SessionManager;
+        if (!sessions.Exists(decodedKey))
+            return Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
+
+        return Results.Json(Session.SessionManager.Export(sessions.GetOrCreate(decodedKey)));
+    }
+
+    /// <summary>Restore a JSON session export as a new web session; the exported key is kept as <c>importedFrom</c>.</summary>
+    private static IResult ImportSession(SessionImportRequest request, SharpbotHostedService gateway)
+    {
+        if (request.Format != Session.SessionManager.ExportFormat || request.Messages is null)
+            return Results.BadRequest(new { error = true, message = "Not a Sharpbot session export." });
+        if (request.Version > Session.SessionManager.ExportVersion)
+            return Results.BadRequest(new { error = true, message = $"Export version {request.Version} is newer than this Sharpbot supports." });
+
+        for (var i = 0; i < request.Messages.Count; i++)
+        {
+            var message = request.Messages[i];
+            if (!message.TryGetValue("role", out var role) || role.ValueKind != JsonValueKind.String
+                || !message.TryGetValue("content", out var content) || content.ValueKind != JsonValueKind.String)
+            {
+                return Results.BadRequest(new { error = true, message = $"Message {i} has no role or content." });
+            }
+        }
+
+        var sessions = gateway.SessionManager;
+        var session = sessions.Import(NewWebSessionKey(sessions), request.Key, request.Metadata, request.Messages);
+        return Results.Json(new
+        {
+            success = true,
+            sessionKey = session.Key,
+            importedFrom = request.Key,
+            messageCount = session.Messages.Count,
+        });
+    }
+
+    /// <summary>
+    /// Summarize the older messages of a session now (the chat's "/compact"). The transcript stays
+    /// intact; later turns see the summary in place of the summarized messages.
+    /// </summary>
+    private static async Task<IResult> CompactSession(
+        string key, SharpbotHostedService gateway, ChatTurnManager turns, CancellationToken ct)
+    {
+        if (!gateway.IsReady || gateway.Agent is null)
+        {
+            return Results.Json(new
+            {
+                error = true,
+                message = gateway.Error ?? "Agent is not ready. Please configure an API key in Settings.",
+            }, statusCode: 503);
+        }
+
+        var decodedKey = DecodeSessionKey(key);
+        if (turns.GetActive(decodedKey) is not null)
+        {
+            // The running turn saves its messages when it ends, past the range being summarized
+            return Results.Json(new
+            {
+                error = true,
+                message = "A reply is being generated in this chat. Compact it once the reply has finished.",
+            }, statusCode: 409);
+        }
+
+        var sessions = gateway.SessionManager;
+        if (!sessions.Exists(decodedKey))
+            return Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
+
+        var before = Agent.ContextCompactor.EstimateTokens(sessions.GetOrCreate(decodedKey).GetHistory(int.MaxValue));
+        var summarized = await gateway.Agent.CompactSessionAsync(decodedKey, ct);
+        var session = sessions.GetOrCreate(decodedKey);
+
+        return Results.Json(new
+        {
+            success = true,
+            sessionKey = decodedKey,
+            summarizedMessages = summarized,
+            compactedThrough = session.CompactedThrough,
+            estimatedTokensBefore = before,
+            estimatedTokensAfter = Agent.ContextCompactor.EstimateTokens(session.GetHistory(int.MaxValue)),
+            message = summarized > 0
+                ? $"Summarized {summarized} messages."
+                : "Not enough conversation to compact yet.",
+        });
+    }
+
+    /// <summary>Rename and/or pin a session. Omitted fields are left as they are; an empty title clears it.</summary>
+    private static IResult UpdateSession(string key, UpdateSessionRequest request, SharpbotHostedService gateway)
+    {
+        var decodedKey = DecodeSessionKey(key);
+        var sessions = gateway.SessionManager;
+        if (!sessions.Exists(decodedKey))
+            return Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
+
+        var session = sessions.GetOrCreate(decodedKey);
+        if (request.Title is not null)
+            session.SetTitle(request.Title);
+        if (request.Pinned is { } pinned)
+            session.SetPinned(pinned);
+        sessions.Save(session);
+
+        return Results.Json(new { success = true, sessionKey = decodedKey, title = session.Title, pinned = session.Pinned });
+    }
+
+    /// <summary>
+    /// Generate a session title with the LLM from the opening messages. Titles the user typed are kept.
+    /// </summary>
+    private static async Task<IResult> GenerateSessionTitle(string key, SharpbotHostedService gateway, CancellationToken ct)
+    {
+        if (!gateway.IsReady || gateway.Agent is null)
+        {
+            return Results.Json(new
+            {
+                error = true,
+                message = gateway.Error ?? "Agent is not ready. Please configure an API key in Settings.",
+            }, statusCode: 503);
+        }
+
+        var decodedKey = DecodeSessionKey(key);
+        if (!gateway.SessionManager.Exists(decodedKey))
+            return Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
+
+        var title = await gateway.Agent.GenerateSessionTitleAsync(decodedKey, ct);
+        return Results.Json(new { success = title is not null, sessionKey = decodedKey, title });
+    }
+
+    /// <summary>
+    /// Get context info (token estimation) for the current or specified session: what the next
+    /// turn would send, split into system prompt, memory, skills and history. <paramref name="model"/>
+    /// is the chat's <c>/model</c> choice, whose context window the estimate is measured against.
+    /// </summary>
+    private static IResult GetContextInfo(SharpbotHostedService gateway, string? sessionId = null, string? model = null)
     {
         var key = sessionId ?? "web:default";
-        var session = gateway.SessionManager.GetOrCreate(key);
-        var messages = session.Messages;
-        var estimatedTokens = Agent.ContextCompactor.EstimateTokens(messages);
+        if (gateway.Agent is null)
+        {
+            // Agent not configured yet: history only, against the configured model's limit
+            var session = gateway.SessionManager.GetOrCreate(key);
+            var historyTokens = Agent.ContextCompactor.EstimateTokens(session.GetHistory(int.MaxValue));
+            model = string.IsNullOrWhiteSpace(model) ? gateway.Config?.Agents.Defaults.Model ?? "unknown" : model;
+            var limit = gateway.Config?.Agents.Defaults.MaxContextTokens
+                ?? Agent.ContextCompactor.GetContextLimit(model);
+            var threshold = Agent.ContextCompactor.GetCompactionThreshold(limit);
 
-        var model = gateway.Config?.Agents.Defaults.Model ?? "unknown";
-        var contextLimit = gateway.Config?.Agents.Defaults.MaxContextTokens
-            ?? Agent.ContextCompactor.GetContextLimit(model);
-        var threshold = (int)(contextLimit * 0.80);
+            return Results.Json(new
+            {
+                sessionKey = key,
+                messageCount = session.Messages.Count,
+                estimatedTokens = historyTokens,
+                contextLimit = limit,
+                compactionThreshold = threshold,
+                willCompact = historyTokens > threshold,
+                model,
+                headroom = limit - historyTokens,
+                breakdown = new { systemPrompt = 0, memory = 0, skills = 0, history = historyTokens },
+                historyMessages = session.Messages.Count,
+                compactedThrough = session.CompactedThrough,
+            });
+        }
 
+        var usage = gateway.Agent.GetContextUsage(key, model);
         return Results.Json(new
         {
             sessionKey = key,
-            messageCount = messages.Count,
-            estimatedTokens,
-            contextLimit,
-            compactionThreshold = threshold,
-            willCompact = estimatedTokens > threshold,
-            model,
-            headroom = contextLimit - estimatedTokens,
+            messageCount = usage.StoredMessages,
+            estimatedTokens = usage.EstimatedTokens,
+            contextLimit = usage.ContextLimit,
+            compactionThreshold = usage.CompactionThreshold,
+            willCompact = usage.EstimatedTokens > usage.CompactionThreshold,
+            model = usage.Model,
+            headroom = usage.ContextLimit - usage.EstimatedTokens,
+            breakdown = new
+            {
+                systemPrompt = usage.SystemPromptTokens,
+                memory = usage.MemoryTokens,
+                skills = usage.SkillsTokens,
+                history = usage.HistoryTokens,
+            },
+            historyMessages = usage.HistoryMessages,
+            compactedThrough = usage.CompactedThrough,
         });
     }
 
+    /// <summary>
+    /// Delete every message of a session but keep the session (title, pin, fork origin).
+    /// Refused while a turn is running: it would save its messages back into the cleared history.
+    /// </summary>
+    private static IResult ClearSession(string key, SharpbotHostedService gateway, ChatTurnManager turns)
+    {
+        var decodedKey = DecodeSessionKey(key);
+        if (turns.GetActive(decodedKey) is not null)
+        {
+            return Results.Json(new
+            {
+                error = true,
+                message = "A reply is being generated in this chat. Stop it before clearing.",
+            }, statusCode: 409);
+        }
+
+        var sessions = gateway.SessionManager;
+        if (!sessions.Exists(decodedKey))
+            return Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
+
+        var session = sessions.GetOrCreate(decodedKey);
+        session.Clear();
+        sessions.Save(session);
+        return Results.Json(new { success = true, message = $"Session '{decodedKey}' cleared." });
+    }
+
     /// <summary>Delete a chat session.</summary>
     private static IResult DeleteSession(string key, SharpbotHostedService gateway)
     {
-        // URL-decode and restore colon
-        var decodedKey = Uri.UnescapeDataString(key).Replace('_', ':');
+        var decodedKey = DecodeSessionKey(key);
         var deleted = gateway.SessionManager.Delete(decodedKey);
         return deleted
             ? Results.Json(new { success = true, message = $"Session '{decodedKey}' deleted." })
             : Results.NotFound(new { error = true, message = $"Session '{decodedKey}' not found." });
     }
+
+    /// <summary>URL-decode a session key path segment and restore the colon (sent as '_').</summary>
+    private static string DecodeSessionKey(string key) =>
+        Uri.UnescapeDataString(key).Replace('_', ':');
 }
 
 public record ChatRequest
 {
     public string Message { get; init; } = "";
     public string? SessionId { get; init; }
+
+    /// <summary>Model for this turn only (streaming endpoint); defaults to the configured model.</summary>
+    public string? Model { get; init; }
+
+    /// <summary>Sampling temperature for this turn only (streaming endpoint).</summary>
+    public double? Temperature { get; init; }
+
+    /// <summary>Ids of media assets uploaded through <c>/api/media/ingest</c> to send with the message.</summary>
+    public List<string>? MediaAssetIds { get; init; }
+}
+
+public record ForkSessionRequest
+{
+    /// <summary>Index of the user message to replace; the fork keeps everything before it.</summary>
+    public int Index { get; init; }
+
+    /// <summary>"edit" (new text for the message) or "regenerate" (same text, new reply).</summary>
+    public string Kind { get; init; } = "edit";
+}
+
+/// <summary>A session export document (see <c>GET /api/chat/sessions/{key}/export</c>).</summary>
+public record SessionImportRequest
+{
+    public string? Format { get; init; }
+    public int Version { get; init; }
+
+    /// <summary>Key of the exported session, recorded as <c>importedFrom</c>.</summary>
+    public string? Key { get; init; }
+
+    public Dictionary<string, JsonElement>? Metadata { get; init; }
+    public List<Dictionary<string, JsonElement>>? Messages { get; init; }
+}
+
+public record UpdateSessionRequest
+{
+    /// <summary>New title; an empty string clears it. Null leaves the title unchanged.</summary>
+    public string? Title { get; init; }
+
+    /// <summary>Pin (true) or unpin (false) the session. Null leaves it unchanged.</summary>
+    public bool? Pinned { get; init; }
 }
 
 public record ChatResponse
@@ -207,16 +637,59 @@ public record ChatResponse
     public DateTime Timestamp { get; init; }
     public List<ToolCallDto> ToolCalls { get; init; } = [];
     public ChatStatsDto? Stats { get; init; }
+    public TraceDto? Trace { get; init; }
 }
 
 public record ToolCallDto
 {
     public string Name { get; init; } = "";
+    public string? CallId { get; init; }
     public int DurationMs { get; init; }
     public bool Success { get; init; } = true;
     public string? Error { get; init; }
     public int ResultLength { get; init; }
     public int Iteration { get; init; }
+    public string? Arguments { get; init; }
+    public string? Result { get; init; }
+    public ToolCallDetails? Details { get; init; }
+}
+
+/// <summary>A status event of a turn (iteration, compaction, subagent, retry), kept for the message timeline.</summary>
+public record StatusEventDto
+{
+    public string Kind { get; init; } = "info";
+    public string Message { get; init; } = "";
+    public int Iteration { get; init; }
+    public int OffsetMs { get; init; }
+}
+
+/// <summary>Per-turn trace for the web UI waterfall: LLM calls, tool calls and compactions on one time axis.</summary>
+public record TraceDto
+{
+    public int TotalDurationMs { get; init; }
+    public bool Success { get; init; } = true;
+    public string? Error { get; init; }
+    public List<TraceSpanDto> Spans { get; init; } = [];
+}
+
+/// <summary>
+/// One bar of a <see cref="TraceDto"/>. <c>Kind</c> is "llm" (Name = model), "tool" (Name = tool)
+/// or "compaction" (an instant, DurationMs = 0). Offsets are from the start of the turn.
+/// </summary>
+public record TraceSpanDto
+{
+    public string Kind { get; init; } = "";
+    public string Name { get; init; } = "";
+    public string? CallId { get; init; }
+    public int Iteration { get; init; }
+    public int StartMs { get; init; }
+    public int DurationMs { get; init; }
+    public int? PromptTokens { get; init; }
+    public int? CompletionTokens { get; init; }
+    public int? TotalTokens { get; init; }
+    public string? FinishReason { get; init; }
+    public bool Success { get; init; } = true;
+    public string? Error { get; init; }
 }
 
 public record ChatStatsDto
@@ -18,6 +18,7 @@ public static class ExecApprovalsApi
         var group = app.MapGroup("/api/exec/approvals").WithTags("ExecApprovals");
 
         group.MapGet("/pending", GetPending);
+        group.MapGet("/history", GetHistory);
         group.MapPost("/{id}/resolve", ResolveApproval);
         group.MapGet("/config", GetConfig);
     }
@@ -33,6 +34,7 @@ public static class ExecApprovalsApi
                 resolvedExecutablePath = p.ResolvedExecutablePath,
                 security = p.Security,
                 ask = p.Ask,
+                sessionKey = p.SessionKey,
                 createdAtUtc = p.CreatedAtUtc,
                 expiresAtUtc = p.ExpiresAtUtc,
             })
@@ -45,6 +47,39 @@ public static class ExecApprovalsApi
         }, JsonOptions);
     }
 
+    /// <summary>
+    /// Settled approvals, newest first. Pass the previous page's <c>nextBefore</c> as <c>before</c>
+    /// to page back through older entries.
+    /// </summary>
+    private static IResult GetHistory(ExecApprovalManager approvals, int? limit, long? before)
+    {
+        var pageSize = Math.Clamp(limit ?? 50, 1, 200);
+        var entries = approvals.GetHistory(pageSize + 1, before);
+        var hasMore = entries.Count > pageSize;
+        var history = entries
+            .Take(pageSize)
+            .Select(h => new
+            {
+                historyId = h.HistoryId,
+                id = h.Request.Id,
+                command = h.Request.Command,
+                workingDirectory = h.Request.WorkingDirectory,
+                sessionKey = h.Request.SessionKey,
+                outcome = h.Outcome,
+                createdAtUtc = h.Request.CreatedAtUtc,
+                settledAtUtc = h.SettledAtUtc,
+            })
+            .ToList();
+
+        return Results.Json(new
+        {
+            count = history.Count,
+            history,
+            hasMore,
+            nextBefore = hasMore ? history[^1].historyId : (long?)null,
+        }, JsonOptions);
+    }
+
     private static async Task<IResult> ResolveApproval(
         string id,
         HttpRequest request,
@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Sharpbot.Logging;
 
 namespace Sharpbot.Api;
@@ -5,11 +6,22 @@ namespace Sharpbot.Api;
 /// <summary>Logs API — view recent log entries from the in-memory ring buffer.</summary>
 public static class LogsApi
 {
+    private static readonly JsonSerializerOptions SseJsonOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>Reconnection delay suggested to SSE clients.</summary>
+    private const int SseRetryMs = 2000;
+
+    private static readonly TimeSpan SseKeepAliveInterval = TimeSpan.FromSeconds(15);
+
+    /// <summary>Max entries written per wake-up of a live tail (the ring buffer holds 1000).</summary>
+    private const int StreamBatchLimit = 1000;
+
     public static void MapLogsApi(this WebApplication app)
     {
         var group = app.MapGroup("/api/logs").WithTags("Logs");
 
         group.MapGet("/", GetLogs);
+        group.MapGet("/stream", StreamLogs);
         group.MapDelete("/", ClearLogs);
     }
 
@@ -24,19 +36,8 @@ public static class LogsApi
     {
         category ??= "agent";
 
-        LogLevel? minLevel = level?.ToLowerInvariant() switch
-        {
-            "trace" => LogLevel.Trace,
-            "debug" => LogLevel.Debug,
-            "info" or "information" => LogLevel.Information,
-            "warn" or "warning" => LogLevel.Warning,
-            "error" => LogLevel.Error,
-            "critical" => LogLevel.Critical,
-            _ => null,
-        };
-
         var entries = buffer.GetEntries(
-            minLevel: minLevel,
+            minLevel: ParseLevel(level),
             category: category,
             search: search,
             limit: Math.Clamp(limit, 1, 1000),
@@ -44,25 +45,103 @@ public static class LogsApi
 
         return Results.Json(new
         {
-            entries = entries.Select(e => new
-            {
-                id = e.Id,
-                timestamp = e.Timestamp.ToString("o"),
-                level = e.Level.ToString(),
-                category = e.Category,
-                message = e.Message,
-                exception = e.Exception,
-            }),
+            entries = entries.Select(ToDto),
             count = entries.Count,
             totalEntries = buffer.TotalEntries,
             bufferSize = buffer.Count,
         });
     }
 
+    /// <summary>
+    /// Follow the log as Server-Sent Events: one <c>log</c> event per new entry matching the filters,
+    /// with the entry id as the event id. Starts after <c>Last-Event-ID</c> (header, sent by EventSource
+    /// on reconnect) or <c>afterId</c>, so a client that loaded the tail with <c>GET /api/logs</c> picks up
+    /// where it left off; without either only entries written from now on are sent.
+    /// </summary>
+    private static async Task StreamLogs(
+        LogRingBuffer buffer,
+        HttpContext httpContext,
+        string? level = null,
+        string? category = null,
+        string? search = null,
+        long? afterId = null)
+    {
+        category ??= "agent";
+        var minLevel = ParseLevel(level);
+        var lastId = afterId ?? buffer.TotalEntries;
+        if (long.TryParse(httpContext.Request.Headers["Last-Event-ID"].ToString(), out var headerId))
+            lastId = headerId;
+
+        var response = httpContext.Response;
+        var ct = httpContext.RequestAborted;
+
+        response.StatusCode = 200;
+        response.ContentType = "text/event-stream";
+        response.Headers.CacheControl = "no-cache";
+        response.Headers.Connection = "keep-alive";
+        response.Headers["X-Accel-Buffering"] = "no"; // Disable nginx buffering
+        await response.StartAsync(ct);
+
+        try
+        {
+            await response.WriteAsync($"retry: {SseRetryMs}\n\n", ct);
+            await response.Body.FlushAsync(ct);
+
+            while (true)
+            {
+                // Entries past the head read here are left for the next pass, so none is sent twice
+                var head = buffer.TotalEntries;
+                if (head > lastId)
+                {
+                    var entries = buffer.GetEntries(minLevel, category, search, StreamBatchLimit, afterId: lastId);
+                    foreach (var entry in entries.Where(e => e.Id <= head))
+                    {
+                        var json = JsonSerializer.Serialize(ToDto(entry), SseJsonOptions);
+                        await response.WriteAsync($"id: {entry.Id}\nevent: log\ndata: {json}\n\n", ct);
+                    }
+                    await response.Body.FlushAsync(ct);
+                    lastId = head;
+                }
+
+                // Comment line keeps proxies from closing a quiet stream
+                if (!await buffer.WaitForEntriesAsync(lastId, SseKeepAliveInterval, ct))
+                {
+                    await response.WriteAsync(": keep-alive\n\n", ct);
+                    await response.Body.FlushAsync(ct);
+                }
+            }
+        }
+        catch (OperationCanceledException) when (ct.IsCancellationRequested)
+        {
+            // Client went away (tab closed or filters changed)
+        }
+    }
+
     /// <summary>Clear all buffered log entries.</summary>
     private static IResult ClearLogs(LogRingBuffer buffer)
     {
         buffer.Clear();
         return Results.Json(new { success = true, message = "Log buffer cleared" });
     }
+
+    private static LogLevel? ParseLevel(string? level) => level?.ToLowerInvariant() switch
+    {
+        "trace" => LogLevel.Trace,
+        "debug" => LogLevel.Debug,
+        "info" or "information" => LogLevel.Information,
+        "warn" or "warning" => LogLevel.Warning,
+        "error" => LogLevel.Error,
+        "critical" => LogLevel.Critical,
+        _ => null,
+    };
+
+    private static object ToDto(LogEntry e) => new
+    {
+        id = e.Id,
+        timestamp = e.Timestamp.ToString("o"),
+        level = e.Level.ToString(),
+        category = e.Category,
+        message = e.Message,
+        exception = e.Exception,
+    };
 }
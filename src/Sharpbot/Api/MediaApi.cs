@@ -44,10 +44,17 @@ public static class MediaApi
         }, JsonOptions);
     }
 
+    /// <summary>
+    /// Register media. JSON bodies describe media that is already on disk (channels, integrations);
+    /// multipart bodies carry the file itself (web chat uploads).
+    /// </summary>
     private static async Task<IResult> Ingest(HttpRequest request, MediaPipelineService mediaPipeline)
     {
         try
         {
+            if (request.HasFormContentType)
+                return await IngestUpload(request, mediaPipeline);
+
             var payload = await JsonSerializer.DeserializeAsync<MediaIngestRequest>(request.Body, JsonOptions);
             if (payload is null || string.IsNullOrWhiteSpace(payload.Channel) || string.IsNullOrWhiteSpace(payload.ChatId))
                 return Results.BadRequest(new { error = true, message = "channel and chatId are required." });
@@ -65,6 +72,52 @@ public static class MediaApi
         }
     }
 
+    /// <summary>
+    /// Store an uploaded file under the media directory and run it through the policy gate as a
+    /// <c>web</c> channel asset. Form fields: <c>file</c>, <c>chatId</c> (session key) and
+    /// <c>itemCount</c> (files sent with the same message).
+    /// </summary>
+    private static async Task<IResult> IngestUpload(HttpRequest request, MediaPipelineService mediaPipeline)
+    {
+        var form = await request.ReadFormAsync();
+        var file = form.Files.GetFile("file");
+        var chatId = form["chatId"].ToString();
+        if (file is null || string.IsNullOrWhiteSpace(chatId))
+            return Results.BadRequest(new { error = true, message = "file and chatId are required." });
+
+        var fileName = Path.GetFileName(file.FileName);
+        var extension = Path.GetExtension(fileName);
+        if (extension.Length > 10 || !extension.Skip(1).All(char.IsLetterOrDigit))
+            extension = "";
+
+        var localPath = Path.Combine(Utils.Helpers.GetMediaPath(), $"web_{Guid.NewGuid():N}{extension}");
+        await using (var fs = File.Create(localPath))
+            await file.CopyToAsync(fs);
+
+        var asset = mediaPipeline.RegisterInbound(new MediaIngestRequest
+        {
+            Channel = "web",
+            ChatId = chatId,
+            MimeType = string.IsNullOrWhiteSpace(file.ContentType) ? "application/octet-stream" : file.ContentType,
+            FileName = fileName,
+            SizeBytes = file.Length,
+            SourceType = "upload",
+            SourceRef = fileName,
+            LocalPath = localPath,
+            ItemCountInMessage = int.TryParse(form["itemCount"], out var itemCount) ? itemCount : 1,
+        }, actor: "api/media/ingest");
+
+        // Rejected uploads are not kept; quarantined ones stay on disk for review
+        if (asset.PolicyDecision == "reject")
+            File.Delete(localPath);
+
+        return Results.Json(new
+        {
+            success = true,
+            asset = ToDto(asset),
+        }, JsonOptions);
+    }
+
     private static IResult ListAssets(MediaPipelineService mediaPipeline, int limit = 50)
     {
         var assets = mediaPipeline.ListRecent(limit);
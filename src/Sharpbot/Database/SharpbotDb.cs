@@ -5,7 +5,7 @@ namespace Sharpbot.Database;
 /// <summary>
 /// Central SQLite database for Sharpbot.
 /// Manages the connection string, schema initialisation, and connection factory.
-/// All runtime data (sessions, usage, cron, logs) is stored in a single file.
+/// All runtime data (sessions, usage, cron, logs, exec approval history) is stored in a single file.
 /// </summary>
 public sealed class SharpbotDb : IDisposable
 {
@@ -65,6 +65,7 @@ public sealed class SharpbotDb : IDisposable
                 role            TEXT NOT NULL,
                 content         TEXT NOT NULL,
                 timestamp       TEXT NOT NULL,
+                metadata_json   TEXT,
                 FOREIGN KEY (session_key) REFERENCES sessions(key) ON DELETE CASCADE
             );
             CREATE INDEX IF NOT EXISTS idx_messages_session
@@ -139,6 +140,23 @@ public sealed class SharpbotDb : IDisposable
             CREATE INDEX IF NOT EXISTS idx_logs_level
                 ON logs(level, timestamp);
 
+            -- ── Exec Approval History ────────────────────────────────────
+            CREATE TABLE IF NOT EXISTS exec_approval_history (
+                id                          INTEGER PRIMARY KEY AUTOINCREMENT,
+                request_id                  TEXT NOT NULL,
+                command                     TEXT NOT NULL,
+                working_directory           TEXT NOT NULL,
+                resolved_executable_path    TEXT,
+                security                    TEXT NOT NULL,
+                ask                         TEXT NOT NULL,
+                session_key                 TEXT,
+                tool_call_id                TEXT,
+                outcome                     TEXT NOT NULL,
+                created_at                  TEXT NOT NULL,
+                expires_at                  TEXT NOT NULL,
+                settled_at                  TEXT NOT NULL
+            );
+
             -- ── Semantic Memory Embeddings ──────────────────────────────
             CREATE TABLE IF NOT EXISTS memory_embeddings (
                 id              INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -154,6 +172,65 @@ public sealed class SharpbotDb : IDisposable
             CREATE INDEX IF NOT EXISTS idx_memory_source
                 ON memory_embeddings(source);
         """);
+
+        // ── Column migrations for databases created by older versions ──
+        EnsureColumn(conn, "messages", "metadata_json", "TEXT");
+
+        EnsureMessageSearchIndex(conn);
+    }
+
+    /// <summary>
+    /// Full-text index over message content (FTS5, external content), kept in sync by triggers.
+    /// Built from the existing messages the first time it is created.
+    /// </summary>
+    private static void EnsureMessageSearchIndex(SqliteConnection conn)
+    {
+        bool exists;
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'";
+            exists = cmd.ExecuteScalar() != null;
+        }
+
+        Execute(conn, """
+            CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                content,
+                content = 'messages',
+                content_rowid = 'id',
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+
+            CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+            END;
+            CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+            END;
+            CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+                INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+                INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+            END;
+        """);
+
+        if (!exists)
+            Execute(conn, "INSERT INTO messages_fts(messages_fts) VALUES ('rebuild');");
+    }
+
+    /// <summary>Add a column to an existing table if it is not there yet.</summary>
+    private static void EnsureColumn(SqliteConnection conn, string table, string column, string type)
+    {
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = $"PRAGMA table_info({table})";
+            using var reader = cmd.ExecuteReader();
+            while (reader.Read())
+            {
+                if (string.Equals(reader.GetString(1), column, StringComparison.OrdinalIgnoreCase))
+                    return;
+            }
+        }
+
+        Execute(conn, $"ALTER TABLE {table} ADD COLUMN {column} {type};");
     }
 
     private static void Execute(SqliteConnection conn, string sql)
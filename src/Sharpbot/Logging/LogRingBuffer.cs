@@ -29,6 +29,7 @@ public sealed class LogRingBuffer
     private int _head;   // next write position
     private int _count;
     private readonly object _lock = new();
+    private TaskCompletionSource _changed = new(TaskCreationOptions.RunContinuationsAsynchronously);
 
     private readonly SharpbotDb? _db;
 
@@ -71,23 +72,28 @@ public sealed class LogRingBuffer
     /// <summary>Add a log entry to the buffer (and optionally persist to SQLite).</summary>
     public void Add(LogLevel level, string category, string message, string? exception = null)
     {
-        var entry = new LogEntry
-        {
-            Id = Interlocked.Increment(ref _nextId),
-            Timestamp = DateTime.UtcNow,
-            Level = level,
-            Category = category,
-            Message = message,
-            Exception = exception,
-        };
-
-        // Write to in-memory ring buffer
+        // Id and write happen under one lock, so an id at or below TotalEntries is always readable
+        LogEntry entry;
+        TaskCompletionSource changed;
         lock (_lock)
         {
+            entry = new LogEntry
+            {
+                Id = ++_nextId,
+                Timestamp = DateTime.UtcNow,
+                Level = level,
+                Category = category,
+                Message = message,
+                Exception = exception,
+            };
             _buffer[_head] = entry;
             _head = (_head + 1) % _capacity;
             if (_count < _capacity) _count++;
+
+            changed = _changed;
+            _changed = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
         }
+        changed.TrySetResult(); // wake live tails
 
         // Persist to SQLite (fire-and-forget; don't block the logger)
         if (_db != null)
@@ -256,8 +262,33 @@ public sealed class LogRingBuffer
         }
     }
 
-    /// <summary>Total entries ever written (monotonic across restarts with SQLite).</summary>
-    public long TotalEntries => Interlocked.Read(ref _nextId);
+    /// <summary>Total entries ever written (monotonic across restarts with SQLite). Also the id of the newest entry.</summary>
+    public long TotalEntries { get { lock (_lock) return _nextId; } }
+
+    /// <summary>
+    /// Wait until an entry newer than <paramref name="afterId"/> is written.
+    /// Returns false if <paramref name="timeout"/> elapsed first.
+    /// </summary>
+    public async Task<bool> WaitForEntriesAsync(long afterId, TimeSpan timeout, CancellationToken ct = default)
+    {
+        Task changed;
+        lock (_lock)
+        {
+            if (_nextId > afterId)
+                return true;
+            changed = _changed.Task;
+        }
+
+        try
+        {
+            await changed.WaitAsync(timeout, ct);
+            return true;
+        }
+        catch (TimeoutException)
+        {
+            return false;
+        }
+    }
 
     /// <summary>Current entries in the in-memory buffer.</summary>
     public int Count { get { lock (_lock) return _count; } }
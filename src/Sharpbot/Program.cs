@@ -74,7 +74,10 @@ builder.Services.AddSingleton<SessionManager>(sp =>
 builder.Services.AddSingleton<CronService>(sp =>
     new CronService(db, sp.GetRequiredService<ILoggerFactory>().CreateLogger("cron")));
 
-builder.Services.AddSingleton(sp => new ExecApprovalManager(sharpbotConfig.Tools.Exec));
+builder.Services.AddSingleton(sp => new ExecApprovalManager(
+    sharpbotConfig.Tools.Exec, db, sp.GetRequiredService<ILoggerFactory>().CreateLogger("exec-approvals")));
+builder.Services.AddSingleton(sp =>
+    new ChatTurnManager(sp.GetRequiredService<ILoggerFactory>().CreateLogger("chat-turns")));
 builder.Services.AddSingleton<IOcrProcessor>(sp =>
 {
     var logger = sp.GetRequiredService<ILoggerFactory>().CreateLogger("media-ocr");
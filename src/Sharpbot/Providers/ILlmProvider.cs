@@ -33,7 +33,10 @@ public interface ILlmProvider
         double temperature = 0.7,
         CancellationToken ct = default);
 
-    /// <summary>Send a streaming chat completion request. Yields text deltas followed by a final "done" chunk.</summary>
+    /// <summary>
+    /// Send a streaming chat completion request. Yields text deltas followed by a final "done" chunk;
+    /// "retry" chunks may come first when the request is repeated after a transient failure.
+    /// </summary>
     IAsyncEnumerable<StreamChunk> ChatStreamAsync(
         List<Dictionary<string, object?>> messages,
         List<Dictionary<string, object?>>? tools = null,
@@ -1,6 +1,8 @@
 using System.ClientModel;
+using System.ClientModel.Primitives;
 using System.Diagnostics;
 using System.Runtime.CompilerServices;
+using System.Runtime.ExceptionServices;
 using System.Text;
 using System.Text.Json;
 using Microsoft.Extensions.Logging;
@@ -22,6 +24,12 @@ public sealed class OpenAiCompatibleProvider : ILlmProvider
     private readonly ProviderSpec? _gateway;
     private readonly ILogger? _logger;
 
+    /// <summary>Tries per chat request, counting the first (the SDK's own default is 1 + 3 retries).</summary>
+    private const int MaxChatAttempts = 4;
+
+    /// <summary>Longest wait before a retry, whatever a Retry-After header asks for.</summary>
+    private static readonly TimeSpan MaxRetryDelay = TimeSpan.FromSeconds(30);
+
     // Separate embedding client configuration (may use different endpoint/key than chat)
     private readonly string? _embeddingApiKey;
     private readonly string? _embeddingApiBase;
@@ -60,7 +68,13 @@ public sealed class OpenAiCompatibleProvider : ILlmProvider
 
         var credential = new ApiKeyCredential(apiKey ?? "no-key");
         _openAiClient = new OpenAIClient(credential, options);
-        _client = _openAiClient.GetChatClient(resolvedModel);
+
+        // Chat requests are retried here instead of in the SDK pipeline, so streaming turns can
+        // report each retry (see ChatStreamAsync). Embeddings keep the SDK's retry policy.
+        var chatOptions = new OpenAIClientOptions { RetryPolicy = new ClientRetryPolicy(maxRetries: 0) };
+        if (options.Endpoint != null)
+            chatOptions.Endpoint = options.Endpoint;
+        _client = new OpenAIClient(credential, chatOptions).GetChatClient(resolvedModel);
     }
 
     public async Task<LlmResponse> ChatAsync(
@@ -112,7 +126,22 @@ public sealed class OpenAiCompatibleProvider : ILlmProvider
                 resolvedModel, messages.Count, toolCount, maxTokens, temperature);
 
             var sw = System.Diagnostics.Stopwatch.StartNew();
-            var completion = await _client.CompleteChatAsync(chatMessages, options, ct);
+            ClientResult<ChatCompletion> completion;
+            for (var attempt = 1; ; attempt++)
+            {
+                try
+                {
+                    completion = await _client.CompleteChatAsync(chatMessages, options, ct);
+                    break;
+                }
+                catch (Exception e) when (attempt < MaxChatAttempts && IsTransient(e, ct))
+                {
+                    var delay = RetryDelay(e, attempt);
+                    _logger?.LogWarning("LLM request failed ({Reason}), retrying in {Delay}s (attempt {Next} of {Max})",
+                        DescribeFailure(e), delay.TotalSeconds, attempt + 1, MaxChatAttempts);
+                    await Task.Delay(delay, ct);
+                }
+            }
             sw.Stop();
 
             var response = ParseResponse(completion.Value);
@@ -193,29 +222,45 @@ public sealed class OpenAiCompatibleProvider : ILlmProvider
 
         var sw = Stopwatch.StartNew();
 
-        AsyncCollectionResult<StreamingChatCompletionUpdate>? stream = null;
-        LlmResponse? errorResponse = null;
-
-        try
+        // The request goes out on the first MoveNextAsync. A failure there comes before any output,
+        // so transient ones are retried (reported as "retry" chunks); failures mid-stream are not.
+        IAsyncEnumerator<StreamingChatCompletionUpdate> updates;
+        var hasUpdate = false;
+        for (var attempt = 1; ; attempt++)
         {
-            stream = _client.CompleteChatStreamingAsync(chatMessages, options, ct);
-        }
-        catch (Exception e)
-        {
-            activity?.SetStatus(ActivityStatusCode.Error, e.Message);
-            _logger?.LogError(e, "Error starting LLM stream");
-            errorResponse = new LlmResponse
+            IAsyncEnumerator<StreamingChatCompletionUpdate>? started = null;
+            Exception? failure = null;
+            try
             {
-                Content = $"Error calling LLM: {e.Message}",
-                FinishReason = "error",
-            };
-        }
+                started = _client.CompleteChatStreamingAsync(chatMessages, options, ct).GetAsyncEnumerator(ct);
+                hasUpdate = await started.MoveNextAsync();
+            }
+            catch (Exception e)
+            {
+                failure = e;
+            }
 
-        // If error occurred during setup, emit error and stop
-        if (errorResponse != null)
-        {
-            yield return StreamChunk.Done(errorResponse);
-            yield break;
+            if (failure is null)
+            {
+                updates = started!;
+                break;
+            }
+
+            if (started != null)
+                await started.DisposeAsync();
+            if (attempt >= MaxChatAttempts || !IsTransient(failure, ct))
+            {
+                activity?.SetStatus(ActivityStatusCode.Error, failure.Message);
+                _logger?.LogError(failure, "Error starting LLM stream");
+                ExceptionDispatchInfo.Capture(failure).Throw();
+            }
+
+            var delay = RetryDelay(failure, attempt);
+            _logger?.LogWarning("LLM stream request failed ({Reason}), retrying in {Delay}s (attempt {Next} of {Max})",
+                DescribeFailure(failure), delay.TotalSeconds, attempt + 1, MaxChatAttempts);
+            yield return StreamChunk.Retry(
+                $"{DescribeFailure(failure)}, retrying in {delay.TotalSeconds:0.#}s (attempt {attempt + 1} of {MaxChatAttempts})");
+            await Task.Delay(delay, ct);
         }
 
         // Accumulate the full response from streaming chunks
@@ -224,54 +269,63 @@ public sealed class OpenAiCompatibleProvider : ILlmProvider
         string? finishReason = null;
         Dictionary<string, int>? usage = null;
 
-        await foreach (var update in stream!.WithCancellation(ct))
+        try
         {
-            // Text content deltas
-            foreach (var part in update.ContentUpdate)
+            for (; hasUpdate; hasUpdate = await updates.MoveNextAsync())
             {
-                if (part.Kind == ChatMessageContentPartKind.Text && !string.IsNullOrEmpty(part.Text))
-                {
-                    contentBuilder.Append(part.Text);
-                    yield return StreamChunk.TextDelta(part.Text);
-                }
-            }
+                var update = updates.Current;
 
-            // Tool call deltas — accumulate across updates
-            foreach (var tcUpdate in update.ToolCallUpdates)
-            {
-                if (!toolCallBuilders.TryGetValue(tcUpdate.Index, out var builder2))
+                // Text content deltas
+                foreach (var part in update.ContentUpdate)
                 {
-                    builder2 = (tcUpdate.ToolCallId ?? "", tcUpdate.FunctionName ?? "", new StringBuilder());
-                    toolCallBuilders[tcUpdate.Index] = builder2;
+                    if (part.Kind == ChatMessageContentPartKind.Text && !string.IsNullOrEmpty(part.Text))
+                    {
+                        contentBuilder.Append(part.Text);
+                        yield return StreamChunk.TextDelta(part.Text);
+                    }
                 }
-                else
+
+                // Tool call deltas — accumulate across updates
+                foreach (var tcUpdate in update.ToolCallUpdates)
                 {
-                    // Update id and name if they arrive in a later chunk
-                    if (!string.IsNullOrEmpty(tcUpdate.ToolCallId))
-                        builder2.Id = tcUpdate.ToolCallId;
-                    if (!string.IsNullOrEmpty(tcUpdate.FunctionName))
-                        builder2.Name = tcUpdate.FunctionName;
-                    toolCallBuilders[tcUpdate.Index] = builder2;
-                }
+                    if (!toolCallBuilders.TryGetValue(tcUpdate.Index, out var builder2))
+                    {
+                        builder2 = (tcUpdate.ToolCallId ?? "", tcUpdate.FunctionName ?? "", new StringBuilder());
+                        toolCallBuilders[tcUpdate.Index] = builder2;
+                    }
+                    else
+                    {
+                        // Update id and name if they arrive in a later chunk
+                        if (!string.IsNullOrEmpty(tcUpdate.ToolCallId))
+                            builder2.Id = tcUpdate.ToolCallId;
+                        if (!string.IsNullOrEmpty(tcUpdate.FunctionName))
+                            builder2.Name = tcUpdate.FunctionName;
+                        toolCallBuilders[tcUpdate.Index] = builder2;
+                    }
 
-                var argsUpdate = tcUpdate.FunctionArgumentsUpdate?.ToString();
-                if (!string.IsNullOrEmpty(argsUpdate))
-                    toolCallBuilders[tcUpdate.Index].Args.Append(argsUpdate);
-            }
+                    var argsUpdate = tcUpdate.FunctionArgumentsUpdate?.ToString();
+                    if (!string.IsNullOrEmpty(argsUpdate))
+                        toolCallBuilders[tcUpdate.Index].Args.Append(argsUpdate);
+                }
 
-            if (update.FinishReason.HasValue)
-                finishReason = update.FinishReason.Value.ToString();
+                if (update.FinishReason.HasValue)
+                    finishReason = update.FinishReason.Value.ToString();
 
-            if (update.Usage != null)
-            {
-                usage = new Dictionary<string, int>
+                if (update.Usage != null)
                 {
-                    ["prompt_tokens"] = update.Usage.InputTokenCount,
-                    ["completion_tokens"] = update.Usage.OutputTokenCount,
-                    ["total_tokens"] = update.Usage.TotalTokenCount,
-                };
+                    usage = new Dictionary<string, int>
+                    {
+                        ["prompt_tokens"] = update.Usage.InputTokenCount,
+                        ["completion_tokens"] = update.Usage.OutputTokenCount,
+                        ["total_tokens"] = update.Usage.TotalTokenCount,
+                    };
+                }
             }
         }
+        finally
+        {
+            await updates.DisposeAsync();
+        }
 
         sw.Stop();
 
@@ -563,6 +617,40 @@ public sealed class OpenAiCompatibleProvider : ILlmProvider
         };
     }
 
+    /// <summary>
+    /// Whether a failed chat request is worth repeating: timeouts, rate limits, server errors and
+    /// dropped connections, as the SDK's own retry policy treats them. Never once the caller cancelled.
+    /// </summary>
+    private static bool IsTransient(Exception e, CancellationToken ct) => !ct.IsCancellationRequested && e switch
+    {
+        ClientResultException { Status: 408 or 429 or >= 500 } => true,
+        ClientResultException => false,
+        HttpRequestException or IOException or TimeoutException or OperationCanceledException => true,
+        _ => false,
+    };
+
+    /// <summary>Wait before retry number <paramref name="attempt"/>: the server's Retry-After if given, else 1s, 2s, 4s...</summary>
+    private static TimeSpan RetryDelay(Exception e, int attempt)
+    {
+        if (e is ClientResultException cre
+            && cre.GetRawResponse()?.Headers.TryGetValue("Retry-After", out var retryAfter) == true
+            && double.TryParse(retryAfter, System.Globalization.NumberStyles.Float, System.Globalization.CultureInfo.InvariantCulture, out var seconds)
+            && seconds >= 0)
+        {
+            return TimeSpan.FromSeconds(Math.Min(seconds, MaxRetryDelay.TotalSeconds));
+        }
+
+        return TimeSpan.FromSeconds(Math.Min(Math.Pow(2, attempt - 1), MaxRetryDelay.TotalSeconds));
+    }
+
+    private static string DescribeFailure(Exception e) => e switch
+    {
+        ClientResultException { Status: 429 } => "Provider rate limit (429)",
+        ClientResultException { Status: > 0 } cre => $"Provider error {cre.Status}",
+        TimeoutException or OperationCanceledException => "Provider request timed out",
+        _ => "Provider connection failed",
+    };
+
     private static string FormatDuration(TimeSpan ts)
     {
         if (ts.TotalMinutes >= 1) return $"{ts.TotalMinutes:F1}m";
@@ -5,7 +5,10 @@ namespace Sharpbot.Providers;
 /// </summary>
 public sealed record StreamChunk
 {
-    /// <summary>"text_delta" for incremental text, "done" for the final aggregated response.</summary>
+    /// <summary>
+    /// "text_delta" for incremental text, "retry" when a failed request is about to be sent again
+    /// (before any text), "done" for the final aggregated response.
+    /// </summary>
     public required string Type { get; init; }
 
     /// <summary>Incremental text content (only for "text_delta" chunks).</summary>
@@ -14,6 +17,10 @@ public sealed record StreamChunk
     /// <summary>Full aggregated response (only for "done" chunk).</summary>
     public LlmResponse? Response { get; init; }
 
+    /// <summary>Why and when the request is retried (only for "retry" chunks).</summary>
+    public string? Message { get; init; }
+
     public static StreamChunk TextDelta(string delta) => new() { Type = "text_delta", Delta = delta };
+    public static StreamChunk Retry(string message) => new() { Type = "retry", Message = message };
     public static StreamChunk Done(LlmResponse response) => new() { Type = "done", Response = response };
 }
@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Microsoft.Data.Sqlite;
 using Microsoft.Extensions.Logging;
 using Sharpbot.Database;
@@ -18,36 +19,158 @@ public sealed class Session
 
     public Session(string key) => Key = key;
 
-    /// <summary>Add a message to the session.</summary>
-    public void AddMessage(string role, string content)
+    /// <summary>
+    /// Add a message to the session.
+    /// Optional metadata (tool calls, stats) is stored alongside the message for display
+    /// but never sent back to the LLM.
+    /// </summary>
+    public void AddMessage(string role, string content, Dictionary<string, object?>? metadata = null)
     {
-        Messages.Add(new()
+        var message = new Dictionary<string, object?>
         {
             ["role"] = role,
             ["content"] = content,
             ["timestamp"] = DateTime.Now.ToString("o"),
-        });
+        };
+
+        if (metadata != null)
+        {
+            foreach (var (key, value) in metadata)
+            {
+                if (!SessionManager.CoreMessageFields.Contains(key))
+                    message[key] = value;
+            }
+        }
+
+        Messages.Add(message);
+        UpdatedAt = DateTime.Now;
+    }
+
+    /// <summary>Summary standing in for the first <see cref="CompactedThrough"/> messages, if compacted.</summary>
+    public string? CompactionSummary => Metadata.GetValueOrDefault(CompactionSummaryKey) switch
+    {
+        string text => text,
+        JsonElement { ValueKind: JsonValueKind.String } el => el.GetString(),
+        _ => null,
+    };
+
+    /// <summary>Number of leading messages replaced by <see cref="CompactionSummary"/> in the LLM context.</summary>
+    public int CompactedThrough => Metadata.GetValueOrDefault(CompactedThroughKey) switch
+    {
+        int count => count,
+        JsonElement { ValueKind: JsonValueKind.Number } el => el.GetInt32(),
+        _ => 0,
+    };
+
+    private const string CompactionSummaryKey = "compactionSummary";
+    private const string CompactedThroughKey = "compactedThrough";
+
+    /// <summary>Title shown in the sidebar, renamed by the user or generated from the conversation.</summary>
+    public string? Title => Metadata.GetValueOrDefault(TitleKey) switch
+    {
+        string text => text,
+        JsonElement { ValueKind: JsonValueKind.String } el => el.GetString(),
+        _ => null,
+    };
+
+    /// <summary>Whether the session is pinned to the top of the sidebar.</summary>
+    public bool Pinned => Metadata.GetValueOrDefault(PinnedKey) switch
+    {
+        bool pinned => pinned,
+        JsonElement { ValueKind: JsonValueKind.True } => true,
+        _ => false,
+    };
+
+    private const string TitleKey = "title";
+    private const string TitleSourceKey = "titleSource";
+    private const string PinnedKey = "pinned";
+
+    /// <summary>
+    /// Set the title, recording whether it was typed by the user ("manual") or generated ("generated").
+    /// A blank title clears it, so the sidebar falls back to the first user message.
+    /// Does not touch <see cref="UpdatedAt"/>: renaming must not reorder the session list.
+    /// </summary>
+    public void SetTitle(string? title, string source = "manual")
+    {
+        if (string.IsNullOrWhiteSpace(title))
+        {
+            Metadata.Remove(TitleKey);
+            Metadata.Remove(TitleSourceKey);
+            return;
+        }
+
+        Metadata[TitleKey] = title.Trim();
+        Metadata[TitleSourceKey] = source;
+    }
+
+    /// <summary>Whether the current title was typed by the user (generated titles may be replaced).</summary>
+    public bool HasManualTitle => Title != null && Metadata.GetValueOrDefault(TitleSourceKey) switch
+    {
+        string source => source == "manual",
+        JsonElement { ValueKind: JsonValueKind.String } el => el.GetString() == "manual",
+        _ => true,
+    };
+
+    /// <summary>Pin or unpin the session. Like <see cref="SetTitle"/>, this leaves <see cref="UpdatedAt"/> alone.</summary>
+    public void SetPinned(bool pinned)
+    {
+        if (pinned)
+            Metadata[PinnedKey] = true;
+        else
+            Metadata.Remove(PinnedKey);
+    }
+
+    /// <summary>
+    /// Replace the first <paramref name="throughIndex"/> messages with <paramref name="summary"/> in the
+    /// LLM context. The stored transcript is untouched, so the UI still shows every message.
+    /// </summary>
+    public void SetCompaction(string summary, int throughIndex)
+    {
+        Metadata[CompactionSummaryKey] = summary;
+        Metadata[CompactedThroughKey] = throughIndex;
+        Metadata["compactedAt"] = DateTime.Now.ToString("o");
         UpdatedAt = DateTime.Now;
     }
 
     /// <summary>Get message history for LLM context.</summary>
     public List<Dictionary<string, object?>> GetHistory(int maxMessages = 50)
     {
-        var recent = Messages.Count > maxMessages
+        var start = Math.Clamp(CompactedThrough, 0, Messages.Count);
+        var recent = Messages.Count - start > maxMessages
             ? Messages.GetRange(Messages.Count - maxMessages, maxMessages)
-            : Messages;
+            : Messages.GetRange(start, Messages.Count - start);
 
-        return recent.Select(m => new Dictionary<string, object?>
+        var history = recent.Select(m => new Dictionary<string, object?>
         {
             ["role"] = m.GetValueOrDefault("role"),
             ["content"] = m.GetValueOrDefault("content"),
         }).ToList();
+
+        if (start > 0 && CompactionSummary is { } summary)
+            history.InsertRange(0, Agent.ContextCompactor.BuildSummaryMessages(summary));
+
+        return history;
+    }
+
+    /// <summary>
+    /// Get a page of the stored transcript, oldest first.
+    /// Returns up to <paramref name="limit"/> messages ending just before index <paramref name="before"/>
+    /// (or the end of the transcript when null), along with the index of the first returned message.
+    /// </summary>
+    public (List<Dictionary<string, object?>> Messages, int Offset) GetPage(int? before = null, int limit = 50)
+    {
+        var end = Math.Clamp(before ?? Messages.Count, 0, Messages.Count);
+        var start = Math.Max(0, end - Math.Max(1, limit));
+        return (Messages.GetRange(start, end - start), start);
     }
 
     /// <summary>Clear all messages in the session.</summary>
     public void Clear()
     {
         Messages.Clear();
+        Metadata.Remove(CompactionSummaryKey);
+        Metadata.Remove(CompactedThroughKey);
+        Metadata.Remove("compactedAt");
         UpdatedAt = DateTime.Now;
     }
 }
@@ -58,6 +181,14 @@ public sealed class Session
 /// </summary>
 public sealed class SessionManager
 {
+    /// <summary>Message fields stored in dedicated columns; everything else goes to metadata_json.</summary>
+    internal static readonly HashSet<string> CoreMessageFields = ["role", "content", "timestamp"];
+
+    private static readonly JsonSerializerOptions MetadataJsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+    };
+
     private readonly SharpbotDb _db;
     private readonly Dictionary<string, Session> _cache = [];
     private readonly ILogger? _logger;
@@ -87,7 +218,7 @@ public sealed class SessionManager
 
             // Load session metadata
             using var sessionCmd = conn.CreateCommand();
-            sessionCmd.CommandText = "SELECT created_at, updated_at FROM sessions WHERE key = @key";
+            sessionCmd.CommandText = "SELECT created_at, updated_at, metadata_json FROM sessions WHERE key = @key";
             sessionCmd.Parameters.AddWithValue("@key", key);
 
             using var reader = sessionCmd.ExecuteReader();
@@ -95,22 +226,35 @@ public sealed class SessionManager
 
             var createdAt = DateTime.Parse(reader.GetString(0));
             var updatedAt = DateTime.Parse(reader.GetString(1));
+            var sessionMetadata = reader.IsDBNull(2) ? null : DeserializeSessionMetadata(reader.GetString(2));
 
             // Load messages ordered by insertion
             using var msgCmd = conn.CreateCommand();
-            msgCmd.CommandText = "SELECT role, content, timestamp FROM messages WHERE session_key = @key ORDER BY id";
+            msgCmd.CommandText = "SELECT role, content, timestamp, metadata_json FROM messages WHERE session_key = @key ORDER BY id";
             msgCmd.Parameters.AddWithValue("@key", key);
 
             var messages = new List<Dictionary<string, object?>>();
             using var msgReader = msgCmd.ExecuteReader();
             while (msgReader.Read())
             {
-                messages.Add(new()
+                var message = new Dictionary<string, object?>
                 {
                     ["role"] = msgReader.GetString(0),
                     ["content"] = msgReader.GetString(1),
                     ["timestamp"] = msgReader.GetString(2),
-                });
+                };
+
+                // Display-only metadata (tool calls, stats) round-trips as raw JSON
+                var metadata = msgReader.IsDBNull(3)
+                    ? null
+                    : JsonSerializer.Deserialize<Dictionary<string, JsonElement>>(msgReader.GetString(3));
+                if (metadata != null)
+                {
+                    foreach (var (field, value) in metadata)
+                        message[field] = value;
+                }
+
+                messages.Add(message);
             }
 
             return new Session(key)
@@ -118,6 +262,7 @@ public sealed class SessionManager
                 Messages = messages,
                 CreatedAt = createdAt,
                 UpdatedAt = updatedAt,
+                Metadata = sessionMetadata ?? [],
             };
         }
         catch (Exception e)
@@ -141,12 +286,13 @@ public sealed class SessionManager
                 cmd.Transaction = tx;
                 cmd.CommandText = """
                     INSERT INTO sessions (key, created_at, updated_at, metadata_json)
-                    VALUES (@key, @created, @updated, '{}')
-                    ON CONFLICT(key) DO UPDATE SET updated_at = @updated
+                    VALUES (@key, @created, @updated, @meta)
+                    ON CONFLICT(key) DO UPDATE SET updated_at = @updated, metadata_json = @meta
                     """;
                 cmd.Parameters.AddWithValue("@key", session.Key);
                 cmd.Parameters.AddWithValue("@created", session.CreatedAt.ToString("o"));
                 cmd.Parameters.AddWithValue("@updated", session.UpdatedAt.ToString("o"));
+                cmd.Parameters.AddWithValue("@meta", JsonSerializer.Serialize(session.Metadata, MetadataJsonOptions));
                 cmd.ExecuteNonQuery();
             }
 
@@ -165,14 +311,15 @@ public sealed class SessionManager
                 using var cmd = conn.CreateCommand();
                 cmd.Transaction = tx;
                 cmd.CommandText = """
-                    INSERT INTO messages (session_key, role, content, timestamp)
-                    VALUES (@key, @role, @content, @ts)
+                    INSERT INTO messages (session_key, role, content, timestamp, metadata_json)
+                    VALUES (@key, @role, @content, @ts, @meta)
                     """;
 
                 var keyParam = cmd.Parameters.Add("@key", SqliteType.Text);
                 var roleParam = cmd.Parameters.Add("@role", SqliteType.Text);
                 var contentParam = cmd.Parameters.Add("@content", SqliteType.Text);
                 var tsParam = cmd.Parameters.Add("@ts", SqliteType.Text);
+                var metaParam = cmd.Parameters.Add("@meta", SqliteType.Text);
 
                 foreach (var msg in session.Messages)
                 {
@@ -180,6 +327,7 @@ public sealed class SessionManager
                     roleParam.Value = msg.GetValueOrDefault("role")?.ToString() ?? "";
                     contentParam.Value = msg.GetValueOrDefault("content")?.ToString() ?? "";
                     tsParam.Value = msg.GetValueOrDefault("timestamp")?.ToString() ?? DateTime.Now.ToString("o");
+                    metaParam.Value = SerializeMetadata(msg);
                     cmd.ExecuteNonQuery();
                 }
             }
@@ -193,6 +341,135 @@ public sealed class SessionManager
         }
     }
 
+    /// <summary>Serialize the non-core fields of a message, or DBNull when there are none.</summary>
+    private static object SerializeMetadata(Dictionary<string, object?> message)
+    {
+        var metadata = message
+            .Where(kv => !CoreMessageFields.Contains(kv.Key) && kv.Value != null)
+            .ToDictionary(kv => kv.Key, kv => kv.Value);
+
+        return metadata.Count > 0
+            ? JsonSerializer.Serialize(metadata, MetadataJsonOptions)
+            : DBNull.Value;
+    }
+
+    /// <summary>Session-level metadata (e.g. fork origin) round-trips as raw JSON values.</summary>
+    private static Dictionary<string, object?>? DeserializeSessionMetadata(string json)
+    {
+        var values = JsonSerializer.Deserialize<Dictionary<string, JsonElement>>(json);
+        return values?.ToDictionary(kv => kv.Key, kv => (object?)kv.Value);
+    }
+
+    /// <summary>Whether a session exists in the cache or the database.</summary>
+    public bool Exists(string key)
+    {
+        if (_cache.ContainsKey(key))
+            return true;
+
+        using var conn = _db.CreateConnection();
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT 1 FROM sessions WHERE key = @key";
+        cmd.Parameters.AddWithValue("@key", key);
+        return cmd.ExecuteScalar() != null;
+    }
+
+    /// <summary>
+    /// Fork a session just before message <paramref name="atIndex"/>: the new session gets a copy of
+    /// the earlier messages and records <c>forkedFrom</c>/<c>forkIndex</c>/<c>forkKind</c> so the UI can list branches.
+    /// </summary>
+    public Session Fork(Session source, int atIndex, string newKey, string kind = "edit")
+    {
+        var fork = new Session(newKey)
+        {
+            Messages = source.Messages
+                .Take(atIndex)
+                .Select(m => new Dictionary<string, object?>(m))
+                .ToList(),
+            Metadata = new()
+            {
+                ["forkedFrom"] = source.Key,
+                ["forkIndex"] = atIndex,
+                ["forkKind"] = kind,
+            },
+        };
+
+        // A compaction that lies entirely before the fork point still applies to the copied messages
+        if (source.CompactionSummary is { } summary && source.CompactedThrough <= atIndex)
+            fork.SetCompaction(summary, source.CompactedThrough);
+
+        Save(fork);
+        return fork;
+    }
+
+    /// <summary>Identifies a session export document produced by <see cref="Export"/>.</summary>
+    public const string ExportFormat = "sharpbot-session";
+
+    /// <summary>Version of the export document; <see cref="Import"/> reads this version and older.</summary>
+    public const int ExportVersion = 1;
+
+    /// <summary>Session metadata dropped on import: fork links point at sessions of the exporting instance.</summary>
+    private static readonly string[] ImportDroppedMetadata = ["forkedFrom", "forkIndex", "forkKind", "pinned"];
+
+    /// <summary>
+    /// Snapshot of a session for download: session metadata and the stored transcript, including each
+    /// message's tool calls, stats and trace. <see cref="Import"/> restores it.
+    /// </summary>
+    public static Dictionary<string, object?> Export(Session session) => new()
+    {
+        ["format"] = ExportFormat,
+        ["version"] = ExportVersion,
+        ["exportedAt"] = DateTime.Now.ToString("o"),
+        ["key"] = session.Key,
+        ["createdAt"] = session.CreatedAt.ToString("o"),
+        ["updatedAt"] = session.UpdatedAt.ToString("o"),
+        ["metadata"] = session.Metadata,
+        ["messages"] = session.Messages,
+    };
+
+    /// <summary>
+    /// Restore an exported transcript as the new session <paramref name="newKey"/>, recording
+    /// <c>importedFrom</c>/<c>importedAt</c>. Core fields become strings as in <see cref="Load"/>;
+    /// everything else round-trips as raw JSON. Callers validate that every message has a role and content.
+    /// </summary>
+    public Session Import(
+        string newKey,
+        string? sourceKey,
+        IReadOnlyDictionary<string, JsonElement>? metadata,
+        IEnumerable<IReadOnlyDictionary<string, JsonElement>> messages)
+    {
+        var session = new Session(newKey)
+        {
+            Messages = messages.Select(m =>
+            {
+                var message = new Dictionary<string, object?>
+                {
+                    ["role"] = m["role"].GetString(),
+                    ["content"] = m["content"].GetString(),
+                    ["timestamp"] = m.TryGetValue("timestamp", out var ts) && ts.ValueKind == JsonValueKind.String
+                        ? ts.GetString()
+                        : DateTime.Now.ToString("o"),
+                };
+                foreach (var (field, value) in m)
+                {
+                    if (!CoreMessageFields.Contains(field) && field != "index")
+                        message[field] = value;
+                }
+                return message;
+            }).ToList(),
+        };
+
+        foreach (var (key, value) in metadata ?? new Dictionary<string, JsonElement>())
+        {
+            if (!ImportDroppedMetadata.Contains(key))
+                session.Metadata[key] = value;
+        }
+        session.Metadata["importedFrom"] = sourceKey;
+        session.Metadata["importedAt"] = DateTime.Now.ToString("o");
+
+        Save(session);
+        return session;
+    }
+
     /// <summary>Delete a session.</summary>
     public bool Delete(string key)
     {
@@ -207,7 +484,75 @@ public sealed class SessionManager
         return cmd.ExecuteNonQuery() > 0;
     }
 
-    /// <summary>List all sessions with message counts.</summary>
+    /// <summary>Marks the start of a matched term in <see cref="Search"/> snippets (STX).</summary>
+    public const char SnippetMatchStart = '\u0002';
+
+    /// <summary>Marks the end of a matched term in <see cref="Search"/> snippets (ETX).</summary>
+    public const char SnippetMatchEnd = '\u0003';
+
+    /// <summary>
+    /// Full-text search over the content of every stored message, best matches first.
+    /// Each term matches as a prefix. Each hit carries the session key, the message index within
+    /// its session and a snippet with matches wrapped in <see cref="SnippetMatchStart"/>/<see cref="SnippetMatchEnd"/>.
+    /// </summary>
+    public List<Dictionary<string, object?>> Search(string query, int limit = 50)
+    {
+        var results = new List<Dictionary<string, object?>>();
+
+        // Quote every term so FTS5 operators and punctuation in the query are taken literally
+        var terms = System.Text.RegularExpressions.Regex.Matches(query, @"[\p{L}\p{N}_]+")
+            .Select(m => $"\"{m.Value}\"*")
+            .ToList();
+        if (terms.Count == 0)
+            return results;
+
+        using var conn = _db.CreateConnection();
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = """
+            SELECT m.session_key, m.role, m.timestamp,
+                   snippet(messages_fts, 0, @start, @end, '…', 16),
+                   (SELECT COUNT(*) FROM messages p WHERE p.session_key = m.session_key AND p.id < m.id)
+            FROM messages_fts
+            JOIN messages m ON m.id = messages_fts.rowid
+            WHERE messages_fts MATCH @query
+            ORDER BY rank
+            LIMIT @limit
+            """;
+        cmd.Parameters.AddWithValue("@query", string.Join(" ", terms));
+        cmd.Parameters.AddWithValue("@start", SnippetMatchStart.ToString());
+        cmd.Parameters.AddWithValue("@end", SnippetMatchEnd.ToString());
+        cmd.Parameters.AddWithValue("@limit", limit);
+
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+        {
+            results.Add(new Dictionary<string, object?>
+            {
+                ["sessionKey"] = reader.GetString(0),
+                ["role"] = reader.GetString(1),
+                ["timestamp"] = reader.GetString(2),
+                ["snippet"] = reader.GetString(3),
+                ["index"] = reader.GetInt32(4),
+            });
+        }
+
+        return results;
+    }
+
+    /// <summary>Max characters of the first user message returned as a session's <c>preview</c>.</summary>
+    private const int SessionPreviewLength = 120;
+
+    /// <summary>
+    /// Session metadata the list carries, for the branch switcher. The rest (compaction summaries,
+    /// import details) can be large and is only read with the session itself.
+    /// </summary>
+    private static readonly string[] ListedMetadata = ["forkedFrom", "forkIndex", "forkKind"];
+
+    /// <summary>
+    /// List all sessions with message counts. Each entry carries its <c>title</c> and <c>pinned</c> flag,
+    /// the fork fields of its metadata (null when it is not a fork) and a <c>preview</c> of the first
+    /// user message for untitled sessions.
+    /// </summary>
     public List<Dictionary<string, object?>> ListSessions()
     {
         var sessions = new List<Dictionary<string, object?>>();
@@ -215,22 +560,37 @@ public sealed class SessionManager
         using var conn = _db.CreateConnection();
         using var cmd = conn.CreateCommand();
         cmd.CommandText = """
-            SELECT s.key, s.created_at, s.updated_at, COUNT(m.id) AS message_count
+            SELECT s.key, s.created_at, s.updated_at, COUNT(m.id) AS message_count, s.metadata_json,
+                   (SELECT substr(f.content, 1, @previewLength) FROM messages f
+                    WHERE f.session_key = s.key AND f.role = @userRole
+                    ORDER BY f.id LIMIT 1) AS preview
             FROM sessions s
             LEFT JOIN messages m ON m.session_key = s.key
             GROUP BY s.key
             ORDER BY s.updated_at DESC
             """;
+        cmd.Parameters.AddWithValue("@previewLength", SessionPreviewLength);
+        cmd.Parameters.AddWithValue("@userRole", MessageRoles.User);
 
         using var reader = cmd.ExecuteReader();
         while (reader.Read())
         {
+            var metadata = reader.IsDBNull(4) ? null : DeserializeSessionMetadata(reader.GetString(4));
+            var view = new Session(reader.GetString(0)) { Metadata = metadata ?? [] };
+            var listed = ListedMetadata
+                .Where(view.Metadata.ContainsKey)
+                .ToDictionary(k => k, k => view.Metadata[k]);
+
             sessions.Add(new()
             {
-                ["key"] = reader.GetString(0),
+                ["key"] = view.Key,
                 ["created_at"] = reader.GetString(1),
                 ["updated_at"] = reader.GetString(2),
                 ["messageCount"] = reader.GetInt32(3),
+                ["metadata"] = listed.Count > 0 ? listed : null,
+                ["title"] = view.Title,
+                ["pinned"] = view.Pinned,
+                ["preview"] = reader.IsDBNull(5) ? null : reader.GetString(5),
             });
         }
 
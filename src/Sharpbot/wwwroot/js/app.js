@@ -5,7 +5,11 @@
 const API = {
     chat: '/api/chat',
     chatStream: '/api/chat/stream',
+    chatTurns: '/api/chat/turns',
     sessions: '/api/chat/sessions',
+    sessionImport: '/api/chat/sessions/import',
+    contextInfo: '/api/chat/context-info',
+    chatSearch: '/api/chat/search',
     status: '/api/status',
     config: '/api/config',
     onboard: '/api/config/onboard',
@@ -13,20 +17,25 @@ const API = {
     channels: '/api/channels',
     skills: '/api/skills',
     logs: '/api/logs',
+    logsStream: '/api/logs/stream',
     usage: '/api/usage',
     usageHistory: '/api/usage/history',
     execApprovalsPending: '/api/exec/approvals/pending',
+    execApprovalsHistory: '/api/exec/approvals/history',
     execApprovalsResolve: '/api/exec/approvals',
     mediaConfig: '/api/media/config',
+    mediaIngest: '/api/media/ingest',
     mediaAssets: '/api/media/assets',
     mediaStats: '/api/media/stats',
     mediaCleanup: '/api/media/cleanup',
 };
 
 // ── State ───────────────────────────────────────────────────────────────────
-let currentSessionId = 'web:default';
-let isProcessing = false;
-let chatHistory = []; // local display history
+let currentSessionId = 'web:default'; // session of the focused chat pane
+let knownSessions = new Map(); // session key -> list entry (incl. fork metadata) from the last loadSessions()
+let sessionModels = new Map(); // session key -> model chosen with /model for that chat
+
+const HISTORY_PAGE_SIZE = 50;
 
 // ── Initialization ──────────────────────────────────────────────────────────
 document.addEventListener('DOMContentLoaded', () => {
@@ -39,9 +48,15 @@ document.addEventListener('DOMContentLoaded', () => {
     initChannels();
     initLogs();
     initUsage();
+    initApprovals();
     initTheme();
     initSidebar();
+    initSessionSearch();
+    initSessionExport();
+    initShortcuts();
     loadSessions();
+    initChatPanes();
+    initRouter();
     loadStatus();
 });
 
@@ -74,538 +89,3137 @@ function switchTab(tab) {
     if (tab === 'sessions') loadSessionsPanel();
     if (tab === 'skills') loadSkills();
     if (tab === 'channels') loadChannels();
-    if (tab === 'logs') { loadLogs(); startLogsAutoRefresh(); }
+    if (tab === 'logs') loadLogs();
+    else stopLogsStream();
     if (tab === 'usage') loadUsage();
+    if (tab === 'approvals') loadExecApprovals();
 
     // Close mobile sidebar
     document.getElementById('sidebar')?.classList.remove('open');
+    syncRoute(true);
+}
+
+// ── Routing ─────────────────────────────────────────────────────────────────
+// The URL hash mirrors what is on screen, so reloads, links and back/forward work:
+// #/chat/<sessionKey>, #/logs?level=error&search=..., #/usage?from=...&to=..., #/skills/<name>.
+// Switching tabs or chats adds a history entry; editing filters replaces the current one.
+
+let routeHash = null; // hash of what is on screen; null until the router has started
+let routeApplying = false; // restoring state from the URL: syncs replace instead of push
+
+function initRouter() {
+    const onNavigate = () => {
+        if (location.hash !== routeHash) applyRoute(location.hash);
+    };
+    window.addEventListener('hashchange', onNavigate);
+    window.addEventListener('popstate', onNavigate);
+    applyRoute(location.hash);
+}
+
+// Session keys keep their ':' so chat URLs stay readable
+function encodeRouteSegment(value) {
+    return encodeURIComponent(value).replace(/%3A/gi, ':');
+}
+
+function parseRoute(hash) {
+    const route = hash.replace(/^#\/?/, '');
+    const q = route.indexOf('?');
+    const [tab, ...rest] = (q < 0 ? route : route.slice(0, q)).split('/');
+    let item = null;
+    try {
+        item = rest.length > 0 && rest.join('/') ? decodeURIComponent(rest.join('/')) : null;
+    } catch { /* malformed escape: ignore the item */ }
+    return { tab: tab || 'chat', item, params: new URLSearchParams(q < 0 ? '' : route.slice(q + 1)) };
+}
+
+// Restore a tab, and its chat, filters or selection, from a URL hash
+function applyRoute(hash) {
+    let { tab, item, params } = parseRoute(hash);
+    if (!document.querySelector(`.nav-link[data-tab="${CSS.escape(tab)}"]`)) {
+        tab = 'chat';
+        item = null;
+    }
+
+    routeHash = hash;
+    routeApplying = true;
+    try {
+        if (tab === 'chat' && item && item !== currentSessionId) openSession(item);
+        if (tab === 'logs') applyLogsRoute(params);
+        if (tab === 'usage') applyUsageRoute(params);
+        if (tab === 'skills') applySkillsRoute(item, params);
+        switchTab(tab);
+    } finally {
+        routeApplying = false;
+    }
+}
+
+// The hash for the current tab and its state; defaults are left out
+function currentRoute() {
+    const tab = document.querySelector('.nav-link.active')?.dataset.tab || 'chat';
+    const params = new URLSearchParams();
+    let path = tab;
+
+    if (tab === 'chat') {
+        path += `/${encodeRouteSegment(currentSessionId)}`;
+    } else if (tab === 'logs') {
+        const level = document.getElementById('logs-level-filter')?.value ?? LOGS_DEFAULT_LEVEL;
+        const search = document.getElementById('logs-search')?.value || '';
+        if (level !== LOGS_DEFAULT_LEVEL) params.set('level', level || 'all');
+        if (search) params.set('search', search);
+    } else if (tab === 'usage') {
+        if (usageActivePeriod === 'custom') {
+            const from = document.getElementById('usage-date-from')?.value;
+            const to = document.getElementById('usage-date-to')?.value;
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+        } else if (usageActivePeriod !== USAGE_DEFAULT_PERIOD) {
+            params.set('period', usageActivePeriod);
+        }
+        if (_sessionsSort !== 'recent') params.set('sort', _sessionsSort);
+    } else if (tab === 'skills') {
+        if (selectedSkill) path += `/${encodeRouteSegment(selectedSkill)}`;
+        const query = document.getElementById('skills-search')?.value.trim();
+        const filter = document.getElementById('skills-filter')?.value || 'all';
+        if (query) params.set('q', query);
+        if (filter !== 'all') params.set('filter', filter);
+    }
+
+    const query = params.toString();
+    return `#/${path}${query ? `?${query}` : ''}`;
+}
+
+/** Write the on-screen state to the URL; `push` adds a history entry instead of replacing the current one. */
+function syncRoute(push = false) {
+    if (routeHash === null) return;
+    const hash = currentRoute();
+    if (hash === routeHash) return;
+    routeHash = hash;
+    if (push && !routeApplying) history.pushState(null, '', hash);
+    else history.replaceState(null, '', hash);
 }
 
 // ============================================================================
 // Chat
 // ============================================================================
 function initChat() {
-    const input = document.getElementById('chat-input');
-    const sendBtn = document.getElementById('send-btn');
-    const newChatBtn = document.getElementById('new-chat-btn');
+    // New chat
+    document.getElementById('new-chat-btn').addEventListener('click', () => startNewChat());
+
+    initAttachments();
+    initVoice();
+
+    document.getElementById('context-meter').addEventListener('click', toggleContextPopover);
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#context-popover, #context-meter')) {
+            document.getElementById('context-popover').classList.add('hidden');
+        }
+    });
 
-    // Send message
-    sendBtn.addEventListener('click', () => sendMessage());
+    // Code block actions and remote image placeholders (rendered by markdown.js, so delegate)
+    const messagesEl = document.getElementById('chat-panes');
+    messagesEl.classList.toggle('code-wrap', localStorage.getItem('sharpbot-code-wrap') === 'true');
+    messagesEl.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-code-action]');
+        if (button) handleCodeAction(button);
+        const placeholder = e.target.closest('.image-placeholder');
+        if (placeholder) loadRemoteImage(placeholder);
+    });
+
+    // Inline editors: Enter (Ctrl/Cmd+Enter in a message edit) submits, Escape cancels
+    messagesEl.addEventListener('keydown', (e) => {
+        if (e.target.closest('.regenerate-popover')) {
+            if (e.key === 'Escape') closeRegeneratePopover();
+            if (e.key === 'Enter') submitRegenerate(e.target.closest('.regenerate-popover').querySelector('.btn-primary'));
+            return;
+        }
+        const editor = e.target.closest('.message-edit');
+        if (!editor) return;
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            submitEditMessage(editor.querySelector('.btn-primary'));
+        } else if (e.key === 'Escape') {
+            cancelEditMessage(editor.querySelector('.btn-ghost'));
+        }
+    });
+}
+
+// Wire up the composer of a chat pane: it sends to whichever chat the pane shows
+function initComposer(pane) {
+    const el = pane.el;
+    const input = el.querySelector('.chat-input');
+
+    // Composer actions always go to the focused pane; pointerdown comes before the click
+    el.addEventListener('pointerdown', () => focusPane(pane));
+    el.addEventListener('focusin', () => focusPane(pane));
+
+    el.querySelector('.send-btn:not(.stop-btn)').addEventListener('click', () => sendMessage(null, {}, [], pane));
+    el.querySelector('.stop-btn').addEventListener('click', () => stopGeneration(chatState(pane.key)));
 
     // Enter to send, Shift+Enter for new line
     input.addEventListener('keydown', (e) => {
+        if (handleSlashMenuKey(e)) return;
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
-            sendMessage();
+            sendMessage(null, {}, [], pane);
         }
     });
 
-    // Auto-resize textarea
+    // Auto-resize textarea and keep the draft
     input.addEventListener('input', () => {
-        input.style.height = 'auto';
-        input.style.height = Math.min(input.scrollHeight, 200) + 'px';
-    });
-
-    // New chat
-    newChatBtn.addEventListener('click', () => {
-        currentSessionId = 'web:' + Date.now();
-        chatHistory = [];
-        renderMessages();
-        document.getElementById('welcome-message').classList.remove('hidden');
-        input.focus();
+        resizeComposer(input);
+        saveDraft(pane);
+        updateSlashMenu();
     });
+    input.addEventListener('blur', () => setTimeout(closeSlashMenu, 150));
 
     // Suggestion chips
-    document.querySelectorAll('.suggestion-chip').forEach(chip => {
+    el.querySelectorAll('.suggestion-chip').forEach(chip => {
         chip.addEventListener('click', () => {
             input.value = chip.dataset.msg;
-            sendMessage();
+            sendMessage(null, {}, [], pane);
         });
     });
+
+    initComposerAttachments(pane);
+    initVoiceButton(pane);
 }
 
-async function sendMessage() {
-    const input = document.getElementById('chat-input');
-    const message = input.value.trim();
-    if (!message || isProcessing) return;
+function resizeComposer(input) {
+    input.style.height = 'auto';
+    if (input.value) input.style.height = Math.min(input.scrollHeight, 200) + 'px';
+}
 
-    // Hide welcome
-    const welcome = document.getElementById('welcome-message');
-    if (welcome) welcome.classList.add('hidden');
+function startNewChat(newTab = false) {
+    showChat(newChatKey(), newTab);
+    focusedPane.el.querySelector('.chat-input').focus();
+}
 
-    // Add user message
-    chatHistory.push({ role: 'user', content: message });
-    renderMessages();
+// ── Chat tabs & panes ───────────────────────────────────────────────────────
+// Every open chat keeps its own state (transcript, paging, in-flight turn) keyed by session, so a
+// turn keeps streaming into its own session whichever chat is on screen. Open chats are tabs; the
+// chat panel shows one pane, or two side by side when split, each with its own composer.
+// currentSessionId follows the focused pane.
+
+const MAX_CHAT_PANES = 2;
+
+const chatStates = new Map(); // session key -> chat state, see chatState()
+let chatTabs = []; // session keys of the open tabs, in tab strip order
+let chatPanes = []; // { el, key, attachments }: the pane element, the chat it shows, its pending uploads
+let focusedPane = null;
+
+function chatState(key) {
+    let chat = chatStates.get(key);
+    if (!chat) {
+        chat = {
+            key,
+            history: [], // local display history
+            historyOffset: 0, // server index of the oldest loaded message (0 = whole transcript loaded)
+            historyRequested: false, // first page asked for (or nothing stored yet)
+            historyRequest: 0, // bumped per load, so a reopened chat ignores stale pages
+            isLoadingHistory: false,
+            isProcessing: false,
+            abortController: null, // aborts the in-flight /api/chat/stream request
+            unread: false, // a turn finished while no pane showed the chat
+            draft: null, // composer text not sent yet; null until read from ChatStore
+            draftSaveTimer: null,
+            cachedCount: 0, // leading history messages that came from the ChatStore cache
+        };
+        chatStates.set(key, chat);
+    }
+    return chat;
+}
 
-    // Clear input
-    input.value = '';
-    input.style.height = 'auto';
+function panesShowing(key) {
+    return chatPanes.filter(p => p.key === key);
+}
 
-    // Add a streaming assistant message placeholder
-    const assistantMsg = {
-        role: 'assistant',
-        content: '',
-        toolCalls: [],
-        stats: null,
-        timestamp: null,
-        isStreaming: true,
-    };
-    chatHistory.push(assistantMsg);
+function paneFromElement(el) {
+    return chatPanes.find(p => p.el.contains(el)) || focusedPane;
+}
 
-    isProcessing = true;
-    updateSendButton();
-    renderMessages();
-    scrollToBottom();
+function chatFromElement(el) {
+    return chatState(paneFromElement(el).key);
+}
 
-    try {
-        const response = await fetch(API.chatStream, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message, sessionId: currentSessionId }),
+// A fresh web session key; nothing is stored for it until the first message
+function newChatKey() {
+    const key = 'web:' + Date.now();
+    chatState(key).historyRequested = true;
+    return key;
+}
+
+function initChatPanes() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem('sharpbot-chat-tabs')); } catch { /* start fresh */ }
+    chatTabs = saved?.tabs?.length ? saved.tabs : [currentSessionId];
+    const paneKeys = (saved?.panes || []).filter(key => chatTabs.includes(key)).slice(0, MAX_CHAT_PANES);
+    if (paneKeys.length === 0) paneKeys.push(chatTabs[0]);
+
+    paneKeys.forEach(key => addChatPane(key));
+    focusPane(chatPanes[Math.min(saved?.focused || 0, chatPanes.length - 1)]);
+    focusedPane.el.querySelector('.chat-input').focus();
+}
+
+function persistChatTabs() {
+    localStorage.setItem('sharpbot-chat-tabs', JSON.stringify({
+        tabs: chatTabs,
+        panes: chatPanes.map(p => p.key),
+        focused: chatPanes.indexOf(focusedPane),
+    }));
+}
+
+function addChatPane(key) {
+    const el = document.getElementById('chat-pane-template').content.firstElementChild.cloneNode(true);
+    const pane = { el, key: null, attachments: [] };
+    document.getElementById('chat-panes').appendChild(el);
+    chatPanes.push(pane);
+    initComposer(pane);
+    showChatInPane(pane, key);
+    return pane;
+}
+
+function removeChatPane(pane) {
+    pane.attachments.forEach(att => att.xhr?.abort());
+    pane.el.remove();
+    chatPanes = chatPanes.filter(p => p !== pane);
+    focusPane(focusedPane === pane ? chatPanes[0] : focusedPane);
+    dropIdleChatStates();
+}
+
+function focusPane(pane) {
+    const changed = focusedPane !== pane || currentSessionId !== pane.key;
+    focusedPane = pane;
+    chatPanes.forEach(p => p.el.classList.toggle('focused', p === pane && chatPanes.length > 1));
+    if (!changed) return;
+
+    currentSessionId = pane.key;
+    renderChatTitle();
+    document.querySelectorAll('#sessions-list .session-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.key === currentSessionId);
+    });
+    loadContextInfo();
+    renderChatTabs();
+    persistChatTabs();
+    syncRoute(true);
+}
+
+// Put a chat in a pane, keeping whatever state the chat already has (a running turn included)
+function showChatInPane(pane, key) {
+    const chat = chatState(key);
+    const previousKey = pane.key;
+    pane.key = key;
+    if (previousKey !== key) restoreDraft(pane);
+    if (!chatTabs.includes(key)) chatTabs.push(key);
+    chat.unread = false;
+    renderMessages(pane);
+    updateSendButton(pane);
+    if (!chat.historyRequested) loadSessionHistory(key);
+    dropIdleChatStates();
+}
+
+/**
+ * Show a chat in the focused pane (or the pane already showing it). A chat that has no tab
+ * replaces the focused tab, unless that tab is mid-turn, shown in the other pane too, or
+ * `newTab` is set; then it opens in a tab of its own next to it.
+ */
+function showChat(key, newTab = false) {
+    const pane = chatPanes.find(p => p.key === key) || focusedPane;
+    if (!chatTabs.includes(key)) {
+        const at = chatTabs.indexOf(focusedPane.key);
+        const replace = !newTab && at >= 0
+            && !chatState(focusedPane.key).isProcessing
+            && panesShowing(focusedPane.key).length === 1;
+        chatTabs.splice(replace ? at : at + 1, replace ? 1 : 0, key);
+    }
+    showChatInPane(pane, key);
+    focusPane(pane);
+    renderChatTabs();
+    persistChatTabs();
+}
+
+function closeChatTab(key, force = false) {
+    const chat = chatState(key);
+    if (chat.isProcessing) {
+        if (!force && !confirm('This chat is still replying. Stop the reply and close it?')) return;
+        stopGeneration(chat);
+    }
+
+    const at = chatTabs.indexOf(key);
+    if (at < 0) return;
+    chatTabs.splice(at, 1);
+    if (chatTabs.length === 0) chatTabs.push(key === 'web:default' ? newChatKey() : 'web:default');
+
+    for (const pane of panesShowing(key)) {
+        if (chatPanes.length > 1) removeChatPane(pane);
+        else showChatInPane(pane, chatTabs[Math.min(at, chatTabs.length - 1)]);
+    }
+    focusPane(focusedPane);
+    renderChatTabs();
+    persistChatTabs();
+    dropIdleChatStates();
+}
+
+window.toggleChatSplit = function() {
+    if (chatPanes.length > 1) {
+        removeChatPane(chatPanes.find(p => p !== focusedPane));
+    } else {
+        // The second pane shows the next tab, or a new chat when there is only one tab
+        const other = chatTabs.find(key => key !== focusedPane.key);
+        const key = other || newChatKey();
+        if (!other) chatTabs.push(key);
+        focusPane(addChatPane(key));
+    }
+    renderChatTabs();
+    persistChatTabs();
+};
+
+// Forget the state of chats that are neither open nor running a turn
+function dropIdleChatStates() {
+    for (const [key, chat] of chatStates) {
+        if (!chatTabs.includes(key) && !chat.isProcessing) chatStates.delete(key);
+    }
+}
+
+function renderChatTabs() {
+    const strip = document.getElementById('chat-tabs');
+    const tabs = chatTabs.map(key => {
+        const chat = chatStates.get(key);
+        const classes = ['chat-tab'];
+        if (key === currentSessionId) classes.push('active');
+        else if (chatPanes.some(p => p.key === key)) classes.push('shown');
+        const indicator = chat?.isProcessing
+            ? '<span class="chat-tab-spinner" title="Replying…"></span>'
+            : chat?.unread ? '<span class="chat-tab-dot" title="New reply"></span>' : '';
+        return `
+            <div class="${classes.join(' ')}" data-key="${escapeHtml(key)}" title="${escapeHtml(key)}">
+                ${indicator}
+                <span class="chat-tab-title">${escapeHtml(sessionTitle(key))}</span>
+                <button class="chat-tab-close" data-key="${escapeHtml(key)}" title="Close tab">✕</button>
+            </div>
+        `;
+    }).join('');
+
+    strip.innerHTML = `
+        <div class="chat-tab-list">${tabs}</div>
+        <button class="chat-tab-action" onclick="startNewChat(true)" title="New chat in a new tab">+</button>
+        <button class="chat-tab-action ${chatPanes.length > 1 ? 'active' : ''}" onclick="toggleChatSplit()"
+            title="${chatPanes.length > 1 ? 'Close the other pane' : 'Show two chats side by side'}">◫ Split</button>
+    `;
+
+    strip.querySelectorAll('.chat-tab').forEach(tab => {
+        tab.addEventListener('click', (e) => {
+            if (!e.target.closest('.chat-tab-close')) showChat(tab.dataset.key);
+        });
+        tab.addEventListener('auxclick', (e) => {
+            if (e.button === 1) closeChatTab(tab.dataset.key);
         });
+    });
+    strip.querySelectorAll('.chat-tab-close').forEach(btn => {
+        btn.addEventListener('click', () => closeChatTab(btn.dataset.key));
+    });
+}
 
-        if (!response.ok) {
-            // Fallback: try to parse error from response
-            let errorText = 'Server error';
-            try {
-                const errData = await response.json();
-                errorText = errData.message || errData.error || errorText;
-            } catch { errorText = `HTTP ${response.status}`; }
-            assistantMsg.content = `⚠️ ${errorText}`;
-            assistantMsg.isError = true;
-            assistantMsg.isStreaming = false;
-            renderMessages();
-            isProcessing = false;
-            updateSendButton();
-            return;
+// ── Drafts, transcript cache & failed sends ─────────────────────────────────
+// Backed by ChatStore (IndexedDB, see chat-store.js): composer drafts per session, a copy of
+// recently viewed transcripts shown while the server copy loads (or when it can't be reached),
+// and the last failed send of a chat, which keeps its Retry button across reloads.
+
+const DRAFT_SAVE_DELAY_MS = 300;
+
+// Put the draft of the pane's chat in its composer, reading it from the store the first time
+function restoreDraft(pane) {
+    const chat = chatState(pane.key);
+    const input = pane.el.querySelector('.chat-input');
+    input.value = chat.draft || '';
+    resizeComposer(input);
+    if (chat.draft !== null) return;
+
+    ChatStore.getDraft(chat.key).then(text => {
+        if (chat.draft !== null) return; // typed into meanwhile
+        chat.draft = text || '';
+        if (pane.key === chat.key && chat.draft) {
+            input.value = chat.draft;
+            resizeComposer(input);
         }
+    });
+}
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-
-            // Parse SSE events from buffer
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // keep incomplete line in buffer
-
-            let eventType = null;
-            for (const line of lines) {
-                if (line.startsWith('event: ')) {
-                    eventType = line.slice(7).trim();
-                } else if (line.startsWith('data: ') && eventType) {
-                    try {
-                        const data = JSON.parse(line.slice(6));
-                        handleStreamEvent(eventType, data, assistantMsg);
-                    } catch (e) {
-                        console.warn('Failed to parse SSE data:', line, e);
-                    }
-                    eventType = null;
-                }
-            }
-        }
+function saveDraft(pane) {
+    const chat = chatState(pane.key);
+    chat.draft = pane.el.querySelector('.chat-input').value;
+    clearTimeout(chat.draftSaveTimer);
+    chat.draftSaveTimer = setTimeout(() => ChatStore.saveDraft(chat.key, chat.draft.trim() ? chat.draft : ''), DRAFT_SAVE_DELAY_MS);
+}
 
-        // Mark streaming complete
-        assistantMsg.isStreaming = false;
-        if (!assistantMsg.content) {
-            assistantMsg.content = "I've completed processing but have no response to give.";
-        }
-    } catch (err) {
-        assistantMsg.content = (assistantMsg.content || '') + `\n⚠️ Network error: ${err.message}`;
-        assistantMsg.isError = true;
-        assistantMsg.isStreaming = false;
+function clearComposer(pane) {
+    const input = pane.el.querySelector('.chat-input');
+    input.value = '';
+    resizeComposer(input);
+    saveDraft(pane);
+}
+
+// Show the cached copy of a chat while its first page loads, unless something is on screen already
+async function showCachedTranscript(chat, request) {
+    const cached = await ChatStore.getTranscript(chat.key);
+    if (!cached || request !== chat.historyRequest || chat.history.length > 0) return;
+    chat.history = cached.messages;
+    chat.historyOffset = cached.offset;
+    chat.cachedCount = cached.messages.length;
+}
+
+// Cache what the server has of a chat: failed turns and a reply still streaming are left out
+function cacheTranscript(chat) {
+    const messages = chat.history
+        .filter((msg, pos) => !msg.isStreaming && !isFailedTurn(chat, pos))
+        .map(({ isEditing, ...msg }) => msg);
+    ChatStore.saveTranscript(chat.key, messages, chat.historyOffset);
+}
+
+// Keep a failed turn on screen with a Retry button, and in the store so a reload keeps it too
+function failTurn(chat, msg, error) {
+    msg.isError = true;
+    msg.error = error;
+    msg.isStreaming = false;
+    const prompt = chat.history[chat.history.indexOf(msg) - 1];
+    if (prompt?.role === 'user') {
+        ChatStore.saveFailedTurn(chat.key, {
+            text: prompt.content,
+            attachments: prompt.attachments || [],
+            overrides: msg.overrides || {},
+            error,
+        });
     }
+}
 
-    isProcessing = false;
-    updateSendButton();
-    renderMessages();
-    loadSessions(); // refresh session list
+// Append the chat's stored failed send to its freshly loaded history
+async function restoreFailedTurn(chat) {
+    const turn = await ChatStore.getFailedTurn(chat.key);
+    if (!turn) return;
+
+    // After a dropped connection the message may have reached the server after all
+    const lastPrompt = chat.history.findLast(m => m.role === 'user');
+    if (lastPrompt?.index != null && lastPrompt.content === turn.text) {
+        ChatStore.clearFailedTurn(chat.key);
+        return;
+    }
+
+    chat.history.push(
+        { role: 'user', content: turn.text, attachments: turn.attachments || [] },
+        { role: 'assistant', content: '', toolCalls: [], isError: true, error: turn.error, overrides: turn.overrides || {} },
+    );
 }
 
-function handleStreamEvent(eventType, data, assistantMsg) {
-    switch (eventType) {
-        case 'text_delta':
-            if (data.delta) {
-                assistantMsg.content = (assistantMsg.content || '') + data.delta;
-                renderStreamingMessage(assistantMsg);
-            }
-            break;
+async function retryMessage(button) {
+    const pane = paneFromElement(button);
+    const chat = chatState(pane.key);
+    const pos = parseInt(button.dataset.msgIndex, 10);
+    const prompt = chat.history[pos - 1];
+    if (prompt?.role !== 'user' || chat.isProcessing) return;
 
-        case 'tool_start':
-            assistantMsg.toolCalls.push({
-                name: data.toolName,
-                callId: data.toolCallId,
-                success: true,
-                durationMs: 0,
-                isRunning: true,
-            });
-            renderStreamingMessage(assistantMsg);
-            break;
+    button.disabled = true;
+    if (!await resendFrom(pane, pos - 1, prompt.content, 'retry', chat.history[pos]?.overrides || {})) button.disabled = false;
+}
 
-        case 'tool_end':
-            // Find the matching tool call and update it
-            for (let i = assistantMsg.toolCalls.length - 1; i >= 0; i--) {
-                if (assistantMsg.toolCalls[i].callId === data.toolCallId) {
-                    assistantMsg.toolCalls[i].success = data.toolSuccess !== false;
-                    assistantMsg.toolCalls[i].durationMs = data.toolDurationMs || 0;
-                    assistantMsg.toolCalls[i].error = data.toolError;
-                    assistantMsg.toolCalls[i].resultLength = data.toolResultLength || 0;
-                    assistantMsg.toolCalls[i].isRunning = false;
-                    break;
-                }
-            }
-            renderStreamingMessage(assistantMsg);
-            break;
+// Stop the turn another window is running in this chat, so a rejected send can be retried
+async function stopRunningTurn(button) {
+    const pane = paneFromElement(button);
+    const chat = chatState(pane.key);
+    const msg = chat.history[parseInt(button.dataset.msgIndex, 10)];
+    button.disabled = true;
+    try {
+        const response = await fetch(`${API.sessions}/${encodeSessionKey(chat.key)}/cancel`, { method: 'POST' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        showToast(data.cancelled ? 'Stopped the running reply — Retry to send your message' : 'The reply has already finished');
+        if (msg) delete msg.busyTurnId;
+        renderChat(chat.key);
+    } catch (err) {
+        button.disabled = false;
+        showToast(`Failed to stop the reply: ${err.message}`);
+    }
+}
 
-        case 'status':
-            // Show status events (compaction, iterations) as inline notices
-            if (data.statusMessage) {
-                const isCompaction = data.statusMessage.toLowerCase().includes('compact');
-                const icon = isCompaction ? '🗜️' : 'ℹ️';
-                assistantMsg.content = (assistantMsg.content || '') +
-                    `\n\n> ${icon} *${data.statusMessage}*\n\n`;
-                renderStreamingMessage(assistantMsg);
-            }
+// Re-render every pane showing a chat, and the tab strip (busy spinner, unread dot)
+function renderChat(key) {
+    for (const pane of panesShowing(key)) {
+        renderMessages(pane);
+        updateSendButton(pane);
+    }
+    renderChatTabs();
+}
+
+function handleCodeAction(button) {
+    const block = button.closest('.code-block');
+    const code = block?.querySelector('pre code')?.textContent ?? '';
+
+    switch (button.dataset.codeAction) {
+        case 'copy':
+            copyToClipboard(code).then(
+                () => flashButtonLabel(button, 'Copied!'),
+                () => showToast('Copy failed'));
             break;
 
-        case 'done':
-            assistantMsg.content = data.message || assistantMsg.content;
-            assistantMsg.stats = data.stats || null;
-            assistantMsg.sessionId = data.sessionId;
-            assistantMsg.isStreaming = false;
-            if (data.toolCalls && data.toolCalls.length > 0) {
-                assistantMsg.toolCalls = data.toolCalls;
-            }
-            if (data.sessionId) {
-                currentSessionId = data.sessionId;
-            }
-            renderMessages();
+        case 'wrap': {
+            // Global preference so it survives re-renders while streaming
+            const wrap = document.getElementById('chat-panes').classList.toggle('code-wrap');
+            localStorage.setItem('sharpbot-code-wrap', wrap);
             break;
+        }
 
-        case 'error':
-            assistantMsg.content = (assistantMsg.content || '') + `\n⚠️ ${data.error || 'Unknown error'}`;
-            assistantMsg.isError = true;
-            assistantMsg.isStreaming = false;
-            renderMessages();
+        case 'shell': {
+            // Pre-fill (not send) a request for the exec tool; the usual exec approval rules still apply
+            const command = code.replace(/^[ \t]*[$>] /gm, '').trim();
+            const lang = block.querySelector('.code-lang')?.textContent || 'bash';
+            const input = paneFromElement(button).el.querySelector('.chat-input');
+            input.value = `Run this with the exec tool and show me the output:\n\n\`\`\`${lang}\n${command}\n\`\`\``;
+            input.dispatchEvent(new Event('input'));
+            input.focus();
             break;
+        }
     }
 }
 
-// Efficiently update just the streaming message without re-rendering everything
-function renderStreamingMessage(msg) {
-    const container = document.getElementById('chat-messages');
-    const messages = container.querySelectorAll('.message');
-    const lastMsg = messages[messages.length - 1];
+// Swap a click-to-load placeholder for the remote image it stands for
+function loadRemoteImage(placeholder) {
+    const img = document.createElement('img');
+    img.src = placeholder.dataset.imageSrc;
+    img.alt = placeholder.dataset.imageAlt;
+    if (placeholder.dataset.imageTitle) img.title = placeholder.dataset.imageTitle;
+    placeholder.replaceWith(img);
+}
 
-    if (lastMsg && lastMsg.classList.contains('assistant')) {
-        // Update content in place
-        const contentEl = lastMsg.querySelector('.message-content');
-        if (contentEl) {
-            contentEl.innerHTML = renderMarkdown(msg.content || '') +
-                (msg.isStreaming ? '<span class="streaming-cursor">▊</span>' : '');
+function flashButtonLabel(button, label) {
+    const original = button.textContent;
+    button.textContent = label;
+    setTimeout(() => { button.textContent = original; }, 1500);
+}
+
+// ── Attachments ─────────────────────────────────────────────────────────────
+// Files are uploaded to /api/media/ingest as soon as they are added, so the media policy
+// decision (allow / quarantine / reject) is visible before sending. Sent messages carry the
+// resulting asset ids; the server turns them into the same markers the channels use.
+
+const MEDIA_ASSET_MARKER = /^\[(\w+): (.+?)\] \[media_asset_id: ([0-9a-fA-F]+)\]$/;
+
+// Pending uploads live on each pane (pane.attachments): { localId, file, progress, asset, error, xhr }
+let attachmentSeq = 0;
+
+function initAttachments() {
+    // Drop anywhere on the chat panel; files go to the pane they are dropped on
+    const panel = document.getElementById('panel-chat');
+    const setDragOver = (on) => chatPanes.forEach(p => p.el.querySelector('.chat-input-area').classList.toggle('drag-over', on));
+    let dragDepth = 0;
+    panel.addEventListener('dragenter', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        dragDepth++;
+        setDragOver(true);
+    });
+    panel.addEventListener('dragleave', () => {
+        if (--dragDepth <= 0) {
+            dragDepth = 0;
+            setDragOver(false);
         }
+    });
+    panel.addEventListener('dragover', (e) => {
+        if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+    });
+    panel.addEventListener('drop', (e) => {
+        dragDepth = 0;
+        setDragOver(false);
+        const files = [...(e.dataTransfer?.files || [])];
+        if (files.length === 0) return;
+        e.preventDefault();
+        addAttachments(files, paneFromElement(e.target));
+    });
+}
 
-        // Update tool calls
-        const bodyEl = lastMsg.querySelector('.message-body');
-        const existingToolSection = lastMsg.querySelector('.tool-calls-section');
+function initComposerAttachments(pane) {
+    const picker = pane.el.querySelector('.attach-input');
+    pane.el.querySelector('.attach-btn').addEventListener('click', () => picker.click());
+    picker.addEventListener('change', () => {
+        addAttachments([...picker.files], pane);
+        picker.value = '';
+    });
 
-        if (msg.toolCalls && msg.toolCalls.length > 0) {
-            const toolBadges = msg.toolCalls.map(tc => {
-                if (tc.isRunning) {
-                    return `
-                        <div class="tool-call-badge tool-running">
-                            <span class="tool-call-icon">⟳</span>
-                            <span class="tool-call-name">${escapeHtml(tc.name)}</span>
-                            <span class="tool-call-duration">running…</span>
-                        </div>
-                    `;
-                }
-                const statusIcon = tc.success ? '✓' : '✗';
-                const statusClass = tc.success ? 'tool-success' : 'tool-error';
-                const duration = formatDuration(tc.durationMs);
-                return `
-                    <div class="tool-call-badge ${statusClass}">
-                        <span class="tool-call-icon">${statusIcon}</span>
-                        <span class="tool-call-name">${escapeHtml(tc.name)}</span>
-                        <span class="tool-call-duration">${duration}</span>
-                    </div>
-                `;
-            }).join('');
+    pane.el.querySelector('.chat-input').addEventListener('paste', (e) => {
+        const files = [...(e.clipboardData?.files || [])];
+        if (files.length === 0) return;
+        e.preventDefault();
+        addAttachments(files, pane);
+    });
+}
 
-            const toolHtml = `<div class="tool-calls-section">${toolBadges}</div>`;
+function addAttachments(files, pane = focusedPane) {
+    const added = files.map(file => ({ localId: ++attachmentSeq, file, progress: 0, asset: null, error: null, xhr: null }));
+    pane.attachments.push(...added);
+    added.forEach(att => uploadAttachment(att, pane));
+    renderAttachments(pane);
+}
 
-            if (existingToolSection) {
-                existingToolSection.outerHTML = toolHtml;
-            } else {
-                // Insert before message-content
-                const roleEl = bodyEl.querySelector('.message-role');
-                if (roleEl) {
-                    roleEl.insertAdjacentHTML('afterend', toolHtml);
-                }
-            }
+// XHR rather than fetch: fetch has no upload progress events
+function uploadAttachment(att, pane) {
+    const form = new FormData();
+    form.append('file', att.file, att.file.name);
+    form.append('chatId', pane.key);
+    form.append('itemCount', pane.attachments.length);
+
+    const xhr = new XMLHttpRequest();
+    att.xhr = xhr;
+    xhr.open('POST', API.mediaIngest);
+    xhr.upload.addEventListener('progress', (e) => {
+        if (!e.lengthComputable) return;
+        att.progress = e.loaded / e.total;
+        renderAttachments(pane);
+    });
+    xhr.addEventListener('load', () => {
+        att.xhr = null;
+        let data = null;
+        try { data = JSON.parse(xhr.responseText); } catch { /* not JSON */ }
+        if (xhr.status >= 200 && xhr.status < 300 && data?.asset) {
+            att.asset = data.asset;
+        } else {
+            att.error = data?.message || `Upload failed (${xhr.status})`;
         }
+        renderAttachments(pane);
+    });
+    xhr.addEventListener('error', () => {
+        att.xhr = null;
+        att.error = 'Upload failed';
+        renderAttachments(pane);
+    });
+    xhr.send(form);
+}
 
-        scrollToBottom();
-    } else {
-        // Fallback: full re-render
-        renderMessages();
+function removeAttachment(localId) {
+    const pane = chatPanes.find(p => p.attachments.some(a => a.localId === localId));
+    if (!pane) return;
+    pane.attachments.find(a => a.localId === localId).xhr?.abort();
+    pane.attachments = pane.attachments.filter(a => a.localId !== localId);
+    renderAttachments(pane);
+}
+
+function attachmentKind(mimeType) {
+    const type = (mimeType || '').split('/')[0];
+    return ['image', 'audio', 'video'].includes(type) ? type : 'file';
+}
+
+const ATTACHMENT_ICONS = { image: '🖼️', audio: '🎵', video: '🎬', voice: '🎤', file: '📄' };
+
+function renderAttachments(pane = focusedPane) {
+    const container = pane.el.querySelector('.composer-attachments');
+    container.classList.toggle('hidden', pane.attachments.length === 0);
+    container.innerHTML = pane.attachments.map(att => {
+        const decision = att.asset?.policyDecision;
+        let status;
+        if (att.error) {
+            status = `<span class="badge badge-error" title="${Markdown.escape(att.error)}">failed</span>`;
+        } else if (!att.asset) {
+            status = `<span class="attachment-progress"><span style="width:${Math.round(att.progress * 100)}%"></span></span>`;
+        } else {
+            const cls = decision === 'allow' ? 'badge-success' : decision === 'quarantine' ? 'badge-warning' : 'badge-error';
+            const reason = att.asset.policyReason ? ` title="${Markdown.escape(att.asset.policyReason)}"` : '';
+            status = `<span class="badge ${cls}"${reason}>${escapeHtml(decision)}</span>`;
+        }
+        return `
+            <div class="attachment-chip${decision === 'reject' || att.error ? ' rejected' : ''}">
+                <span>${ATTACHMENT_ICONS[attachmentKind(att.file.type)]}</span>
+                <span class="attachment-name" title="${Markdown.escape(att.file.name)}">${escapeHtml(att.file.name)}</span>
+                <span class="attachment-size">${formatBytes(att.file.size)}</span>
+                ${status}
+                <button class="attachment-remove" onclick="removeAttachment(${att.localId})" title="Remove">✕</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// Uploaded, non-rejected attachments in the shape stored on chat messages; clears the composer
+function takeAttachments(pane = focusedPane) {
+    const ready = pane.attachments
+        .filter(att => att.asset && att.asset.policyDecision !== 'reject')
+        .map(att => ({
+            assetId: att.asset.id,
+            name: att.file.name,
+            kind: attachmentKind(att.asset.mimeType),
+            decision: att.asset.policyDecision,
+        }));
+    pane.attachments = [];
+    renderAttachments(pane);
+    return ready;
+}
+
+// Split the "[kind: path] [media_asset_id: id]" lines the server appends back out of a stored message
+function splitAttachmentMarkers(content) {
+    const attachments = [];
+    const lines = (content || '').split('\n').filter(line => {
+        const m = line.match(MEDIA_ASSET_MARKER);
+        if (!m) return true;
+        const decision = m[2].match(/ \((quarantine|allow)\)$/)?.[1] || 'allow';
+        const name = m[2].replace(/ \((quarantine|allow)\)$/, '').split(/[\\/]/).pop();
+        attachments.push({ assetId: m[3], name, kind: m[1], decision });
+        return false;
+    });
+    return { text: lines.join('\n').trim(), attachments };
+}
+
+function renderMessageAttachments(attachments) {
+    if (!attachments?.length) return '';
+    return `<div class="message-attachments">${attachments.map(a => `
+        <span class="attachment-chip${a.decision === 'quarantine' ? ' quarantined' : ''}" title="${Markdown.escape(`${a.name} (${a.decision})`)}">
+            <span>${ATTACHMENT_ICONS[a.kind] || ATTACHMENT_ICONS.file}</span>
+            <span class="attachment-name">${escapeHtml(a.name)}</span>
+        </span>`).join('')}</div>`;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// ── Voice ───────────────────────────────────────────────────────────────────
+// Push-to-talk: hold the mic button (or toggle it with Space/Enter) to record. The clip goes
+// through /api/media/ingest, whose transcription processor fills transcription_text; the text
+// lands in the composer for review rather than being sent straight away.
+
+const VOICE_MIN_MS = 400;
+const VOICE_MAX_MS = 120000;
+
+let voice = { state: 'idle' }; // idle | starting | recording | transcribing
+let voicePane = null; // pane whose mic was used last; its composer gets the transcript
+
+function initVoice() {
+    if ('speechSynthesis' in window) {
+        const toggle = document.getElementById('read-aloud-toggle');
+        document.getElementById('read-aloud-label').classList.remove('hidden');
+        toggle.checked = localStorage.getItem('sharpbot-read-aloud') === 'true';
+        toggle.addEventListener('change', () => {
+            localStorage.setItem('sharpbot-read-aloud', toggle.checked);
+            if (!toggle.checked) speechSynthesis.cancel();
+        });
+    }
+}
+
+function initVoiceButton(pane) {
+    const mic = pane.el.querySelector('.mic-btn');
+    if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+        mic.classList.add('hidden');
+        return;
+    }
+    mic.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        mic.setPointerCapture(e.pointerId);
+        startVoiceRecording(pane);
+    });
+    mic.addEventListener('pointerup', () => stopVoiceRecording());
+    mic.addEventListener('pointercancel', () => stopVoiceRecording(true));
+    mic.addEventListener('keydown', (e) => {
+        if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+            e.preventDefault();
+            if (voice.state === 'idle') startVoiceRecording(pane);
+            else stopVoiceRecording();
+        }
+    });
+}
+
+function setVoiceStatus(html) {
+    const pane = voicePane || focusedPane;
+    const el = pane.el.querySelector('.voice-status');
+    el.classList.toggle('hidden', !html);
+    el.innerHTML = html || '';
+    pane.el.querySelector('.mic-btn').classList.toggle('recording', voice.state === 'recording');
+}
+
+async function startVoiceRecording(pane) {
+    if (voice.state !== 'idle') return;
+    if (voicePane && voicePane !== pane) setVoiceStatus('');
+    voicePane = pane;
+    voice = { state: 'starting', stopRequested: false };
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+        voice = { state: 'idle' };
+        showToast(`Microphone unavailable: ${err.message}`);
+        return;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (e) => { if (e.data.size > 0) chunks.push(e.data); });
+    recorder.addEventListener('stop', () => {
+        stream.getTracks().forEach(t => t.stop());
+        clearInterval(voice.timer);
+        const duration = Date.now() - voice.startedAt;
+        if (voice.cancelled || duration < VOICE_MIN_MS) {
+            const tooShort = !voice.cancelled;
+            voice = { state: 'idle' };
+            setVoiceStatus(tooShort ? 'Hold the mic button while you speak.' : '');
+            return;
+        }
+        transcribeVoiceClip(new Blob(chunks, { type: recorder.mimeType }));
+    });
+
+    voice = { state: 'recording', recorder, startedAt: Date.now(), cancelled: false, stopRequested: voice.stopRequested };
+    recorder.start();
+    const tick = () => {
+        const secs = Math.floor((Date.now() - voice.startedAt) / 1000);
+        setVoiceStatus(`<span class="voice-dot"></span> Recording ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')} — release to transcribe`);
+        if (Date.now() - voice.startedAt >= VOICE_MAX_MS) stopVoiceRecording();
+    };
+    tick();
+    voice.timer = setInterval(tick, 250);
+
+    // Released before the microphone came up
+    if (voice.stopRequested) stopVoiceRecording();
+}
+
+function stopVoiceRecording(cancel = false) {
+    if (voice.state === 'starting') {
+        voice.stopRequested = true;
+        return;
+    }
+    if (voice.state !== 'recording') return;
+    voice.cancelled = cancel;
+    if (voice.recorder.state !== 'inactive') voice.recorder.stop();
+}
+
+async function transcribeVoiceClip(blob) {
+    voice = { state: 'transcribing' };
+    setVoiceStatus('Transcribing…');
+
+    // Drop codec parameters so the MIME allowlist sees e.g. "audio/webm"
+    const mimeType = (blob.type || 'audio/webm').split(';')[0];
+    const extension = mimeType.split('/')[1] || 'webm';
+    const form = new FormData();
+    form.append('file', new File([blob], `voice-note.${extension}`, { type: mimeType }));
+    form.append('chatId', voicePane.key);
+    form.append('itemCount', 1);
+
+    try {
+        const response = await fetch(API.mediaIngest, { method: 'POST', body: form });
+        const data = await response.json();
+        const asset = data.asset;
+        if (!response.ok || !asset) throw new Error(data.message || `Upload failed (${response.status})`);
+        if (asset.policyDecision !== 'allow') {
+            throw new Error(`voice note ${asset.policyDecision}${asset.policyReason ? `: ${asset.policyReason}` : ''}`);
+        }
+
+        const transcript = asset.metadata?.transcription_text?.trim();
+        if (!transcript) {
+            throw new Error(asset.metadata?.failure_reason || 'no transcript — is transcription enabled in the media settings?');
+        }
+
+        const input = voicePane.el.querySelector('.chat-input');
+        input.value = input.value.trim() ? `${input.value.trimEnd()} ${transcript}` : transcript;
+        input.dispatchEvent(new Event('input'));
+        input.focus();
+        voice = { state: 'idle' };
+        setVoiceStatus('Review the transcript, then press Enter to send.');
+    } catch (err) {
+        voice = { state: 'idle' };
+        setVoiceStatus('');
+        showToast(`Transcription failed: ${err.message}`);
+    }
+}
+
+// Read a reply with the browser's speech synthesis. Code blocks are skipped.
+function speakText(markdown) {
+    if (!('speechSynthesis' in window)) return;
+    const el = document.createElement('div');
+    el.innerHTML = renderMarkdown(markdown || '');
+    el.querySelectorAll('.code-block, pre').forEach(block => block.replaceWith(' (code block) '));
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    if (!text) return;
+
+    speechSynthesis.cancel();
+    speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+}
+
+function readMessageAloud(button) {
+    if (speechSynthesis.speaking) {
+        speechSynthesis.cancel();
+        return;
+    }
+    const msg = chatFromElement(button).history[parseInt(button.dataset.msgIndex, 10)];
+    if (msg) speakText(msg.content);
+}
+
+// ── Slash commands ──────────────────────────────────────────────────────────
+// "/name args" typed in the composer. Each command has a name (which may contain a space,
+// e.g. "cron add"), a usage hint, a description, run(args), and optionally complete(args)
+// returning [{ value, label, final }] for the autocomplete popup (final: picking it runs the
+// command). Text starting with "/" that matches no command is sent as a normal message.
+
+const SLASH_COMMANDS = [];
+
+function registerSlashCommand(command) {
+    SLASH_COMMANDS.push(command);
+    SLASH_COMMANDS.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The longest command name the text starts with, followed by a space or the end of the text
+function matchSlashCommand(text) {
+    const body = text.slice(1);
+    let best = null;
+    for (const command of SLASH_COMMANDS) {
+        if ((body === command.name || body.startsWith(command.name + ' '))
+            && (!best || command.name.length > best.name.length)) {
+            best = command;
+        }
+    }
+    return best ? { command: best, args: body.slice(best.name.length).trim() } : null;
+}
+
+// Run the command in `text`; false when it isn't one, so the caller sends it as text
+async function runSlashCommand(text) {
+    const match = matchSlashCommand(text);
+    if (!match) return false;
+
+    closeSlashMenu();
+    try {
+        await match.command.run(match.args);
+    } catch (err) {
+        showToast(`/${match.command.name} failed: ${err.message}`);
+    }
+    return true;
+}
+
+let slashMenu = { items: [], selected: 0, requestId: 0 };
+
+// The popup belongs to the focused pane's composer (the one being typed in)
+async function updateSlashMenu() {
+    const text = focusedPane.el.querySelector('.chat-input').value;
+    if (!text.startsWith('/') || text.includes('\n')) {
+        closeSlashMenu();
+        return;
+    }
+
+    const requestId = ++slashMenu.requestId;
+    const match = matchSlashCommand(text);
+    let items;
+    if (match && text.length > match.command.name.length + 1) {
+        // Past the command name: complete its argument
+        const options = match.command.complete ? await match.command.complete(match.args) : [];
+        if (requestId !== slashMenu.requestId) return; // typed on while completions loaded
+        items = options.map(option => ({
+            insert: `/${match.command.name} ${option.value}`,
+            label: option.value,
+            hint: option.label || '',
+            submit: !!option.final,
+        }));
+    } else {
+        const prefix = text.slice(1).toLowerCase();
+        items = SLASH_COMMANDS
+            .filter(command => command.name.startsWith(prefix))
+            .map(command => ({
+                insert: `/${command.name}${command.usage ? ' ' : ''}`,
+                label: `/${command.name}${command.usage ? ` ${command.usage}` : ''}`,
+                hint: command.description,
+                submit: !command.usage,
+            }));
+    }
+
+    if (items.length === 0) {
+        closeSlashMenu();
+        return;
+    }
+
+    slashMenu = { ...slashMenu, items, selected: Math.min(slashMenu.selected, items.length - 1) };
+    renderSlashMenu();
+}
+
+function renderSlashMenu() {
+    const menu = focusedPane.el.querySelector('.slash-menu');
+    menu.innerHTML = slashMenu.items.map((item, i) => `
+        <div class="slash-item${i === slashMenu.selected ? ' active' : ''}" role="option" data-index="${i}"
+             onmousedown="event.preventDefault(); acceptSlashItem(${i})">
+            <span class="slash-item-label">${escapeHtml(item.label)}</span>
+            <span class="slash-item-hint">${escapeHtml(item.hint)}</span>
+        </div>
+    `).join('');
+    menu.classList.remove('hidden');
+    menu.querySelector('.slash-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function closeSlashMenu() {
+    slashMenu = { items: [], selected: 0, requestId: slashMenu.requestId + 1 };
+    chatPanes.forEach(p => p.el.querySelector('.slash-menu').classList.add('hidden'));
+}
+
+function acceptSlashItem(i) {
+    const item = slashMenu.items[i];
+    if (!item) return;
+
+    const input = focusedPane.el.querySelector('.chat-input');
+    input.value = item.insert;
+    input.focus();
+    if (item.submit) {
+        closeSlashMenu();
+        sendMessage();
+    } else {
+        input.dispatchEvent(new Event('input')); // may open argument completions
+    }
+}
+
+// Composer keydown while the popup is open; true when the key was handled
+function handleSlashMenuKey(e) {
+    if (focusedPane.el.querySelector('.slash-menu').classList.contains('hidden')) return false;
+
+    const count = slashMenu.items.length;
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            slashMenu.selected = (slashMenu.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            renderSlashMenu();
+            break;
+        case 'Tab':
+            acceptSlashItem(slashMenu.selected);
+            break;
+        case 'Enter': {
+            if (e.shiftKey) return false;
+            // Already a complete command with arguments: run what was typed
+            const item = slashMenu.items[slashMenu.selected];
+            const typed = focusedPane.el.querySelector('.chat-input').value;
+            if (typed.trim() === item.insert.trim() || !item.insert.startsWith(typed)) return false;
+            acceptSlashItem(slashMenu.selected);
+            break;
+        }
+        case 'Escape':
+            closeSlashMenu();
+            break;
+        default:
+            return false;
+    }
+    e.preventDefault();
+    return true;
+}
+
+let slashSkills = null; // cached /api/skills list for completions
+
+async function getSlashSkills() {
+    if (!slashSkills) {
+        slashSkills = fetch(API.skills)
+            .then(r => r.json())
+            .then(data => data.skills || [])
+            .catch(() => {
+                slashSkills = null;
+                return [];
+            });
+    }
+    return slashSkills;
+}
+
+// Parse "/cron add <schedule> <message>": schedule is a duration (90, 30m, 2h, 1d) or a quoted cron expression
+function parseCronAddArgs(args) {
+    const match = args.match(/^(?:"([^"]+)"|(\d+)([smhd])?)\s+([\s\S]+)$/);
+    if (!match) return null;
+
+    const message = match[4].trim();
+    const body = { name: message.length > 40 ? `${message.slice(0, 40)}…` : message, message };
+    if (match[1]) {
+        body.cronExpr = match[1];
+    } else {
+        body.everySeconds = parseInt(match[2], 10) * { s: 1, m: 60, h: 3600, d: 86400 }[match[3] || 's'];
+    }
+    return body;
+}
+
+async function compactSession(key) {
+    const response = await fetch(`${API.sessions}/${encodeSessionKey(key)}/compact`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+    return data;
+}
+
+// The whole stored transcript of a session, fetched page by page
+async function fetchFullTranscript(key) {
+    let messages = [];
+    let before = null;
+    do {
+        const query = before === null ? '?limit=200' : `?limit=200&before=${before}`;
+        const response = await fetch(`${API.sessions}/${encodeSessionKey(key)}/messages${query}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        messages = [...(data.messages || []).map(toDisplayMessage), ...messages];
+        before = data.hasMore ? data.offset : null;
+    } while (before !== null);
+    return messages;
+}
+
+function renderComposerModel(pane = focusedPane) {
+    const el = pane.el.querySelector('.composer-model');
+    const model = sessionModels.get(pane.key);
+    el.classList.toggle('hidden', !model);
+    el.textContent = model ? `model: ${model}` : '';
+}
+
+registerSlashCommand({
+    name: 'new',
+    description: 'Start a new chat',
+    run: () => startNewChat(),
+});
+
+registerSlashCommand({
+    name: 'session',
+    usage: '<key>',
+    description: 'Switch to another session',
+    complete: (args) => [...knownSessions.keys()]
+        .filter(key => key.toLowerCase().includes(args.toLowerCase()))
+        .slice(0, 20)
+        .map(key => ({ value: key, label: `${knownSessions.get(key).messageCount ?? 0} messages`, final: true })),
+    run: (args) => {
+        if (!args) {
+            showToast('Usage: /session <key>');
+            return;
+        }
+        switchSession(args);
+    },
+});
+
+registerSlashCommand({
+    name: 'model',
+    usage: '[name]',
+    description: 'Use a model for the rest of this chat (no name: back to the default)',
+    complete: async (args) => {
+        const { model } = await getAgentDefaults();
+        return model && model.startsWith(args) ? [{ value: model, label: 'default', final: true }] : [];
+    },
+    run: (args) => {
+        if (args) {
+            sessionModels.set(currentSessionId, args);
+            showToast(`Model for this chat: ${args}`);
+        } else {
+            sessionModels.delete(currentSessionId);
+            showToast('Using the default model for this chat');
+        }
+        renderComposerModel();
+        loadContextInfo(); // the context window depends on the model
+    },
+});
+
+registerSlashCommand({
+    name: 'skill',
+    usage: '<name> [request]',
+    description: 'Ask the agent to use a skill',
+    complete: async (args) => {
+        if (args.includes(' ')) return [];
+        const skills = await getSlashSkills();
+        return skills
+            .filter(skill => skill.name.toLowerCase().startsWith(args.toLowerCase()))
+            .map(skill => ({
+                value: `${skill.name} `,
+                label: skill.available ? skill.description || '' : `unavailable: ${skill.unavailableReason || ''}`,
+            }));
+    },
+    run: async (args) => {
+        const [name, ...rest] = args.split(/\s+/);
+        if (!name) {
+            showToast('Usage: /skill <name> [request]');
+            return;
+        }
+        const skill = (await getSlashSkills()).find(s => s.name.toLowerCase() === name.toLowerCase());
+        if (!skill) {
+            showToast(`Unknown skill: ${name}`);
+            return;
+        }
+        if (!skill.available) {
+            showToast(`Skill "${skill.name}" is unavailable${skill.unavailableReason ? `: ${skill.unavailableReason}` : ''}`);
+            return;
+        }
+        const request = rest.join(' ');
+        sendMessage(`Use the "${skill.name}" skill${request ? ` to: ${request}` : '.'}`);
+    },
+});
+
+registerSlashCommand({
+    name: 'cron add',
+    usage: '<every|"cron expr"> <message>',
+    description: 'Schedule a message, e.g. /cron add 2h Check the build',
+    complete: (args) => args ? [] : [
+        { value: '30m ', label: 'every 30 minutes' },
+        { value: '1d ', label: 'every day' },
+        { value: '"0 9 * * *" ', label: 'cron expression (daily at 9:00)' },
+    ],
+    run: async (args) => {
+        const body = parseCronAddArgs(args);
+        if (!body) {
+            showToast('Usage: /cron add <30m|2h|"0 9 * * *"> <message>');
+            return;
+        }
+        const response = await fetch(API.cron, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        const data = await response.json();
+        showToast(data.message || (data.success ? 'Job added' : 'Failed to add job'));
+    },
+});
+
+registerSlashCommand({
+    name: 'title',
+    usage: '[text]',
+    description: 'Name this chat (no text: suggest a title from the conversation)',
+    run: (args) => args ? updateSession(currentSessionId, { title: args }) : generateSessionTitle(currentSessionId),
+});
+
+registerSlashCommand({
+    name: 'compact',
+    description: 'Summarize older messages to free up context',
+    run: () => compactCurrentSession(),
+});
+
+registerSlashCommand({
+    name: 'clear',
+    description: 'Delete every message in this chat (its title and pin stay)',
+    run: async () => {
+        const chat = chatState(currentSessionId);
+        if (chat.isProcessing) {
+            showToast('Stop the current reply before clearing the chat');
+            return;
+        }
+        if (!confirm('Delete every message in this chat?')) return;
+        try {
+            const response = await fetch(`${API.sessions}/${encodeSessionKey(chat.key)}/clear`, { method: 'POST' });
+            // 404: the chat was never saved on the server, so there is only local state to clear
+            if (!response.ok && response.status !== 404) {
+                const data = await response.json().catch(() => ({}));
+                showToast(data.message || 'Failed to clear chat');
+                return;
+            }
+        } catch {
+            showToast('Failed to clear chat');
+            return;
+        }
+        ChatStore.forget(chat.key);
+        chat.history = [];
+        chat.historyOffset = 0;
+        renderChat(chat.key);
+        loadSessions();
+        loadContextInfo();
+        showToast('Chat cleared');
+    },
+});
+
+registerSlashCommand({
+    name: 'export',
+    usage: '[md|json|html]',
+    description: 'Download this chat (Markdown by default)',
+    complete: (args) => EXPORT_FORMATS
+        .filter(f => f.id.startsWith(args.toLowerCase()))
+        .map(f => ({ value: f.id, label: `${f.label}, ${f.description}`, final: true })),
+    run: (args) => exportSession(currentSessionId, args.toLowerCase() || 'md'),
+});
+
+// ── Context meter ───────────────────────────────────────────────────────────
+// Header gauge fed by /api/chat/context-info: estimated tokens the next turn would send
+// against the model's context window, and how close that is to automatic compaction.
+
+let contextInfo = null;
+
+async function loadContextInfo() {
+    const key = currentSessionId;
+    try {
+        const params = new URLSearchParams({ sessionId: key });
+        if (sessionModels.has(key)) params.set('model', sessionModels.get(key));
+        const response = await fetch(`${API.contextInfo}?${params}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        if (key !== currentSessionId) return;
+        contextInfo = data;
+        renderContextMeter();
+    } catch (err) {
+        console.error('Failed to load context info:', err);
+    }
+}
+
+function contextLevel(info) {
+    const ratio = info.estimatedTokens / info.compactionThreshold;
+    if (ratio >= 1) return 'error';
+    if (ratio >= 0.75) return 'warning';
+    return 'success';
+}
+
+function renderContextMeter() {
+    const meter = document.getElementById('context-meter');
+    const info = contextInfo;
+    if (!info) {
+        meter.classList.add('hidden');
+        return;
+    }
+
+    const used = Math.min(100, (info.estimatedTokens / info.contextLimit) * 100);
+    const threshold = (info.compactionThreshold / info.contextLimit) * 100;
+    meter.classList.remove('hidden');
+    meter.querySelector('.context-meter-bar').innerHTML = `
+        <span class="context-meter-fill ${contextLevel(info)}" style="width:${used.toFixed(1)}%"></span>
+        <span class="context-meter-threshold" style="left:${threshold.toFixed(1)}%"></span>
+    `;
+    meter.querySelector('.context-meter-label').textContent =
+        `${formatTokenCount(info.estimatedTokens)} / ${formatTokenCount(info.contextLimit)}`;
+    meter.title = `~${info.estimatedTokens.toLocaleString()} of ${info.contextLimit.toLocaleString()} tokens (${info.model})`;
+
+    if (!document.getElementById('context-popover').classList.contains('hidden')) renderContextPopover();
+}
+
+const CONTEXT_PARTS = [
+    { key: 'systemPrompt', label: 'System prompt' },
+    { key: 'memory', label: 'Memory' },
+    { key: 'skills', label: 'Skills' },
+    { key: 'history', label: 'History' },
+];
+
+function renderContextPopover() {
+    const info = contextInfo;
+    const popover = document.getElementById('context-popover');
+    if (!info) return;
+
+    const toCompaction = Math.round((info.estimatedTokens / info.compactionThreshold) * 100);
+    const breakdown = info.breakdown || {};
+    popover.innerHTML = `
+        <div class="context-popover-header">
+            <strong>Context window</strong>
+            <span class="context-popover-model">${escapeHtml(info.model)}</span>
+        </div>
+        <div class="context-stack">
+            ${CONTEXT_PARTS.map(part => `<span class="context-part-${part.key}" style="width:${((breakdown[part.key] || 0) / info.contextLimit * 100).toFixed(2)}%"></span>`).join('')}
+        </div>
+        <table class="context-breakdown">
+            ${CONTEXT_PARTS.map(part => `
+                <tr>
+                    <td><span class="context-swatch context-part-${part.key}"></span>${part.label}</td>
+                    <td>${formatTokenCount(breakdown[part.key] || 0)}</td>
+                </tr>
+            `).join('')}
+            <tr class="context-breakdown-total">
+                <td>Total</td>
+                <td>${formatTokenCount(info.estimatedTokens)} / ${formatTokenCount(info.contextLimit)}</td>
+            </tr>
+        </table>
+        <div class="context-compaction ${contextLevel(info)}">
+            ${info.willCompact
+                ? 'The next turn will compact older messages.'
+                : `${toCompaction}% of the way to automatic compaction at ${formatTokenCount(info.compactionThreshold)} tokens.`}
+        </div>
+        <div class="context-popover-note">
+            ${info.historyMessages} of ${info.messageCount} stored messages sent as history${info.compactedThrough > 0 ? `; the first ${info.compactedThrough} are summarized` : ''}.
+        </div>
+        <button class="btn btn-sm btn-primary" onclick="compactCurrentSession()" ${info.messageCount < 4 ? 'disabled' : ''}>Compact now</button>
+    `;
+}
+
+function toggleContextPopover() {
+    const popover = document.getElementById('context-popover');
+    const opening = popover.classList.contains('hidden');
+    popover.classList.toggle('hidden', !opening);
+    if (opening) {
+        renderContextPopover();
+        loadContextInfo();
+    }
+}
+
+async function compactCurrentSession() {
+    if (!knownSessions.has(currentSessionId)) {
+        showToast('Nothing to compact yet');
+        return;
+    }
+
+    showToast('Compacting…');
+    try {
+        const data = await compactSession(currentSessionId);
+        showToast(data.summarizedMessages > 0
+            ? `${data.message} Context ~${formatTokenCount(data.estimatedTokensBefore)} → ~${formatTokenCount(data.estimatedTokensAfter)} tokens`
+            : data.message);
+    } catch (err) {
+        showToast(`Compaction failed: ${err.message}`);
+    }
+    loadContextInfo();
+}
+
+// Send the composer text and attachments, or `text` when given (e.g. an edited message being
+// resent) together with that message's `attachments`. `overrides` may set a per-turn `model`
+// and `temperature`. The turn belongs to the chat shown in `pane` when it starts and keeps
+// streaming into that chat's state wherever it is shown (or not) afterwards.
+async function sendMessage(text = null, overrides = {}, attachments = [], pane = focusedPane) {
+    const chat = chatState(pane.key);
+    const input = pane.el.querySelector('.chat-input');
+    const message = (text ?? input.value).trim();
+    if (chat.isProcessing) return;
+
+    if (text === null) {
+        if (message.startsWith('/') && await runSlashCommand(message)) {
+            clearComposer(pane);
+            return;
+        }
+        if (pane.attachments.some(att => !att.asset && !att.error)) {
+            showToast('Wait for the attachments to finish uploading');
+            return;
+        }
+        if (!message && !pane.attachments.some(att => att.asset && att.asset.policyDecision !== 'reject')) return;
+        attachments = takeAttachments(pane);
+        if (voice.state === 'idle') setVoiceStatus('');
+    } else if (!message && attachments.length === 0) {
+        return;
+    }
+
+    // Add user message; it replaces any earlier failed send as the one to recover
+    chat.history.push({ role: 'user', content: message, attachments });
+    ChatStore.clearFailedTurn(chat.key);
+
+    // Clear input
+    if (text === null) clearComposer(pane);
+
+    // Add a streaming assistant message placeholder
+    const assistantMsg = {
+        role: 'assistant',
+        content: '',
+        toolCalls: [],
+        stats: null,
+        timestamp: null,
+        isStreaming: true,
+        overrides,
+    };
+    chat.history.push(assistantMsg);
+
+    chat.isProcessing = true;
+    chat.abortController = new AbortController();
+    renderChat(chat.key);
+    panesShowing(chat.key).forEach(p => scrollToBottom(p));
+
+    try {
+        await streamChatTurn({
+            url: API.chatStream,
+            body: {
+                message,
+                sessionId: chat.key,
+                ...(sessionModels.has(chat.key) ? { model: sessionModels.get(chat.key) } : {}),
+                ...overrides,
+                ...(attachments.length > 0 ? { mediaAssetIds: attachments.map(a => a.assetId) } : {}),
+            },
+            resumeUrl: (turnId) => `${API.chatTurns}/${turnId}/stream`,
+            onEvent: (type, data) => handleStreamEvent(type, data, assistantMsg, chat),
+            onReconnecting: (attempt) => {
+                if (attempt === 1) showToast('Connection lost — reconnecting…');
+            },
+            onReconnected: () => showToast('Reconnected'),
+            signal: chat.abortController.signal,
+        });
+
+        // Mark streaming complete
+        assistantMsg.isStreaming = false;
+        if (!assistantMsg.content && !assistantMsg.isStopped && !assistantMsg.isError) {
+            assistantMsg.content = "I've completed processing but have no response to give.";
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            markStopped(assistantMsg);
+        } else if (err.status === 409 && err.activeTurnId) {
+            // Another window is generating a reply in this chat: offer to stop it, then Retry
+            failTurn(chat, assistantMsg, err.message);
+            assistantMsg.busyTurnId = err.activeTurnId;
+        } else if (err.fatal && err.status) {
+            // Rejected before streaming started (e.g. validation or server error)
+            failTurn(chat, assistantMsg, err.message);
+        } else {
+            failTurn(chat, assistantMsg, `Network error: ${err.message}`);
+        }
+    }
+
+    chat.isProcessing = false;
+    chat.abortController = null;
+    cacheTranscript(chat);
+    if (panesShowing(chat.key).length === 0) chat.unread = true;
+    renderChat(chat.key);
+    loadSessions(); // refresh session list
+    if (chat.key === currentSessionId) loadContextInfo();
+    dropIdleChatStates();
+}
+
+// Stop the in-flight turn: cancel it server-side (stops tool loops and token spend), then drop the stream
+async function stopGeneration(chat = chatState(focusedPane.key)) {
+    if (!chat.isProcessing || !chat.abortController) return;
+    const controller = chat.abortController;
+    try {
+        await fetch(`${API.sessions}/${encodeSessionKey(chat.key)}/cancel`, { method: 'POST' });
+    } catch (err) {
+        console.warn('Failed to cancel turn on server:', err);
+    }
+    controller.abort();
+    panesShowing(chat.key)[0]?.el.querySelector('.chat-input').focus();
+}
+
+function markStopped(assistantMsg) {
+    assistantMsg.isStopped = true;
+    assistantMsg.isStreaming = false;
+    for (const tc of assistantMsg.toolCalls || []) {
+        if (tc.isRunning) {
+            tc.isRunning = false;
+            tc.success = false;
+            tc.error = 'Stopped';
+        }
+        // The server settles an approval the stopped turn was waiting on as cancelled
+        if (tc.approval && !tc.approval.decision) tc.approval.decision = 'cancelled';
+    }
+}
+
+function handleStreamEvent(eventType, data, assistantMsg, chat) {
+    switch (eventType) {
+        case 'text_delta':
+            if (data.delta) {
+                assistantMsg.content = (assistantMsg.content || '') + data.delta;
+                renderStreamingMessage(chat, assistantMsg);
+            }
+            break;
+
+        case 'tool_start':
+            assistantMsg.toolCalls.push({
+                name: data.toolName,
+                callId: data.toolCallId,
+                arguments: data.toolArguments,
+                success: true,
+                durationMs: 0,
+                isRunning: true,
+            });
+            renderStreamingMessage(chat, assistantMsg);
+            break;
+
+        case 'tool_end':
+            // Find the matching tool call and update it
+            for (let i = assistantMsg.toolCalls.length - 1; i >= 0; i--) {
+                if (assistantMsg.toolCalls[i].callId === data.toolCallId) {
+                    assistantMsg.toolCalls[i].success = data.toolSuccess !== false;
+                    assistantMsg.toolCalls[i].durationMs = data.toolDurationMs || 0;
+                    assistantMsg.toolCalls[i].error = data.toolError;
+                    assistantMsg.toolCalls[i].resultLength = data.toolResultLength || 0;
+                    assistantMsg.toolCalls[i].result = data.toolResult;
+                    assistantMsg.toolCalls[i].details = data.toolDetails;
+                    assistantMsg.toolCalls[i].isRunning = false;
+                    const approval = assistantMsg.toolCalls[i].approval;
+                    if (approval && !approval.decision) approval.decision = 'resolved';
+                    break;
+                }
+            }
+            renderStreamingMessage(chat, assistantMsg);
+            break;
+
+        case 'approval_required': {
+            const tc = assistantMsg.toolCalls.findLast(t => t.callId === data.toolCallId);
+            if (tc && data.approval) {
+                tc.approval = { ...data.approval, decision: null };
+                renderStreamingMessage(chat, assistantMsg);
+                startApprovalCountdown();
+            }
+            break;
+        }
+
+        case 'status':
+            // Status events go to the message's timeline, never into its text
+            if (data.statusMessage) {
+                assistantMsg.statusEvents = [...(assistantMsg.statusEvents || []), {
+                    kind: data.statusKind || 'info',
+                    message: data.statusMessage,
+                    iteration: data.iteration ?? 0,
+                }];
+                if (data.statusKind === 'compaction' && chat.key === currentSessionId) loadContextInfo();
+                renderStreamingMessage(chat, assistantMsg);
+            }
+            break;
+
+        case 'done':
+            assistantMsg.content = data.message || assistantMsg.content;
+            assistantMsg.stats = data.stats || null;
+            assistantMsg.trace = data.trace || null;
+            assistantMsg.sessionId = data.sessionId;
+            assistantMsg.isStreaming = false;
+            if (data.toolCalls && data.toolCalls.length > 0) {
+                // Keep inspectors the user opened while streaming
+                const previous = new Map(assistantMsg.toolCalls.map(tc => [tc.callId, tc]));
+                assistantMsg.toolCalls = data.toolCalls.map(tc => ({
+                    ...tc,
+                    inspectorOpen: previous.get(tc.callId)?.inspectorOpen,
+                    resultExpanded: previous.get(tc.callId)?.resultExpanded,
+                    approval: previous.get(tc.callId)?.approval,
+                }));
+            }
+            renderChat(chat.key);
+            if (localStorage.getItem('sharpbot-read-aloud') === 'true') speakText(assistantMsg.content);
+            break;
+
+        case 'cancelled':
+            markStopped(assistantMsg);
+            renderChat(chat.key);
+            break;
+
+        case 'error':
+            failTurn(chat, assistantMsg, data.error || 'Unknown error');
+            renderChat(chat.key);
+            break;
+    }
+}
+
+// Efficiently update just the streaming message without re-rendering everything
+function renderStreamingMessage(chat, msg) {
+    panesShowing(chat.key).forEach(pane => renderStreamingMessageInPane(pane, chat, msg));
+}
+
+function renderStreamingMessageInPane(pane, chat, msg) {
+    const container = pane.el.querySelector('.chat-messages');
+    const messages = container.querySelectorAll('.message');
+    const lastMsg = messages[messages.length - 1];
+
+    if (lastMsg && lastMsg.classList.contains('assistant')) {
+        // Update content in place
+        const contentEl = lastMsg.querySelector('.message-content');
+        if (contentEl) {
+            contentEl.innerHTML = renderMarkdown(msg.content || '') +
+                (msg.isStreaming ? '<span class="streaming-cursor">▊</span>' : '');
+        }
+
+        // Update the status timeline (sits right under the role label)
+        const bodyEl = lastMsg.querySelector('.message-body');
+        const existingTimeline = lastMsg.querySelector('.status-timeline');
+        if (msg.statusEvents?.length > 0) {
+            if (existingTimeline) {
+                existingTimeline.outerHTML = renderStatusTimeline(msg);
+            } else {
+                bodyEl.querySelector('.message-role')?.insertAdjacentHTML('afterend', renderStatusTimeline(msg));
+            }
+        }
+
+        // Update tool calls
+        const existingToolSection = lastMsg.querySelector('.tool-calls-section');
+
+        if (msg.toolCalls && msg.toolCalls.length > 0) {
+            const toolHtml = renderToolCallsSection(chat, msg);
+
+            if (existingToolSection) {
+                existingToolSection.outerHTML = toolHtml;
+            } else {
+                // Insert before message-content
+                const anchorEl = bodyEl.querySelector('.status-timeline') || bodyEl.querySelector('.message-role');
+                if (anchorEl) {
+                    anchorEl.insertAdjacentHTML('afterend', toolHtml);
+                }
+            }
+        }
+
+        scrollToBottom(pane);
+    } else {
+        // Fallback: full re-render
+        renderMessages(pane);
+    }
+}
+
+function renderMessages(pane = focusedPane) {
+    const chat = chatState(pane.key);
+    const container = pane.el.querySelector('.chat-messages');
+    const welcome = pane.el.querySelector('.welcome-message');
+    if (pane === focusedPane) renderChatTitle();
+    renderComposerModel(pane);
+
+    // Keep only the welcome message div, remove all message divs
+    const existingMessages = container.querySelectorAll('.message, .history-loader');
+    existingMessages.forEach(m => m.remove());
+
+    if (chat.isLoadingHistory && chat.history.length === 0) {
+        if (welcome) welcome.classList.add('hidden');
+        container.insertAdjacentHTML('beforeend', '<div class="history-loader">Loading conversation…</div>');
+        return;
+    }
+
+    if (chat.history.length === 0 && welcome) {
+        welcome.classList.remove('hidden');
+        return;
+    }
+
+    if (welcome) welcome.classList.add('hidden');
+
+    // Older messages still on the server
+    if (chat.historyOffset > 0) {
+        const loader = document.createElement('div');
+        loader.className = 'history-loader';
+        loader.innerHTML = `<button class="btn btn-ghost btn-sm">Load ${Math.min(chat.historyOffset, HISTORY_PAGE_SIZE)} earlier messages</button>`;
+        loader.querySelector('button').addEventListener('click', () => loadEarlierHistory(chat.key));
+        container.appendChild(loader);
+    }
+
+    chat.history.forEach(msg => {
+        const el = createMessageElement(chat, msg);
+        container.appendChild(el);
+    });
+
+    scrollToBottom(pane);
+}
+
+function createMessageElement(chat, msg) {
+    const div = document.createElement('div');
+    div.className = `message ${msg.role}`;
+    if (msg.index != null) div.dataset.index = msg.index;
+
+    const avatar = msg.role === 'user' ? 'You' : '🐈';
+    const roleName = msg.role === 'user' ? 'You' : 'Sharpbot';
+
+    // Build tool calls section if present
+    const toolCallsHtml = msg.toolCalls && msg.toolCalls.length > 0 ? renderToolCallsSection(chat, msg) : '';
+
+    // Build stats section if present
+    let statsHtml = '';
+    if (msg.stats) {
+        const s = msg.stats;
+        const totalTime = formatDuration(s.totalDurationMs);
+        const parts = [`${totalTime}`];
+        if (s.iterations > 1) parts.push(`${s.iterations} iterations`);
+        if (s.totalTokens > 0) parts.push(`${s.totalTokens.toLocaleString()} tokens`);
+        if (s.contextCompactions > 0) parts.push(`${s.contextCompactions} compaction${s.contextCompactions > 1 ? 's' : ''}`);
+        if (s.model) parts.push(s.model);
+        statsHtml = msg.trace
+            ? `<button class="message-stats trace-toggle" data-msg-index="${chat.history.indexOf(msg)}" onclick="toggleTrace(this)"
+                       title="Show the run trace">${parts.join(' · ')} ${msg.traceOpen ? '▾' : '▸'}</button>`
+            : `<div class="message-stats">${parts.join(' · ')}</div>`;
+        if (msg.trace && msg.traceOpen) statsHtml += renderTraceView(msg.trace);
+    }
+    if (msg.isStopped) {
+        statsHtml += '<div class="message-stopped">⏹ Stopped</div>';
+    }
+    if (msg.isError) {
+        statsHtml += `
+            <div class="message-error">
+                <span>⚠️ ${escapeHtml(msg.error || 'Something went wrong')}</span>
+                <button class="btn btn-outline btn-sm" data-msg-index="${chat.history.indexOf(msg)}" onclick="retryMessage(this)"
+                    ${chat.isProcessing ? 'disabled' : ''} title="Send this message again">↻ Retry</button>
+                ${msg.busyTurnId ? `<button class="btn btn-outline btn-sm" data-msg-index="${chat.history.indexOf(msg)}" onclick="stopRunningTurn(this)"
+                    title="Stop the reply already running in this chat">⏹ Stop it</button>` : ''}
+            </div>`;
+    }
+
+    // Streaming cursor
+    const cursorHtml = msg.isStreaming ? '<span class="streaming-cursor">▊</span>' : '';
+
+    const msgIndex = chat.history.indexOf(msg);
+    const contentHtml = msg.isEditing
+        ? `<div class="message-edit">
+                <textarea class="message-edit-input" rows="3">${escapeHtml(msg.content)}</textarea>
+                <div class="message-edit-actions">
+                    <button class="btn btn-ghost btn-sm" data-msg-index="${msgIndex}" onclick="cancelEditMessage(this)">Cancel</button>
+                    <button class="btn btn-primary btn-sm" data-msg-index="${msgIndex}" onclick="submitEditMessage(this)">Send</button>
+                </div>
+            </div>`
+        : (msg.content || !(msg.attachments?.length || msg.isError) ? `<div class="message-content">${renderMarkdown(msg.content)}${cursorHtml}</div>` : '')
+            + renderMessageAttachments(msg.attachments);
+
+    div.innerHTML = `
+        <div class="message-avatar">${avatar}</div>
+        <div class="message-body">
+            <div class="message-role">${roleName}</div>
+            ${msg.statusEvents?.length > 0 ? renderStatusTimeline(msg) : ''}
+            ${toolCallsHtml}
+            ${contentHtml}
+            ${statsHtml}
+            ${msg.role === 'user' && !msg.isEditing ? renderUserMessageActions(chat, msg, msgIndex) : ''}
+            ${msg.role === 'assistant' ? renderAssistantMessageActions(chat, msg, msgIndex) : ''}
+        </div>
+    `;
+
+    return div;
+}
+
+const STATUS_EVENT_ICONS = {
+    iteration: '🔁',
+    compaction: '🗜️',
+    subagent: '🧵',
+    retry: '⟳',
+    info: 'ℹ️',
+};
+
+// Status events of a turn (iterations, compactions, subagents, provider retries). Kept apart from the
+// message text so copying or exporting the reply never includes them.
+function renderStatusTimeline(msg) {
+    const events = msg.statusEvents || [];
+    return `
+        <ol class="status-timeline">
+            ${events.map(e => `
+                <li class="status-event status-${escapeHtml(e.kind)}">
+                    <span class="status-event-icon">${STATUS_EVENT_ICONS[e.kind] || STATUS_EVENT_ICONS.info}</span>
+                    <span class="status-event-message">${escapeHtml(e.message)}</span>
+                    ${e.offsetMs != null ? `<span class="status-event-time">+${formatDuration(e.offsetMs)}</span>` : ''}
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+// ── Run trace ───────────────────────────────────────────────────────────────
+// Waterfall of a turn from the `trace` on `done` (also stored with the reply): each LLM call
+// and tool call on a shared time axis, grouped by iteration, with compactions as markers.
+
+function toggleTrace(button) {
+    const chat = chatFromElement(button);
+    const msg = chat.history[parseInt(button.dataset.msgIndex, 10)];
+    if (!msg) return;
+    msg.traceOpen = !msg.traceOpen;
+    const el = button.closest('.message');
+    el.replaceWith(createMessageElement(chat, msg));
+}
+
+function renderTraceView(trace) {
+    const spans = trace.spans || [];
+    const total = Math.max(trace.totalDurationMs, ...spans.map(span => span.startMs + span.durationMs), 1);
+    const pct = (ms) => `${Math.min(100, (ms / total) * 100).toFixed(2)}%`;
+
+    const llmMs = spans.filter(span => span.kind === 'llm').reduce((sum, span) => sum + span.durationMs, 0);
+    const toolMs = spans.filter(span => span.kind === 'tool').reduce((sum, span) => sum + span.durationMs, 0);
+    const otherMs = Math.max(0, total - llmMs - toolMs);
+
+    const iterations = [...new Set(spans.map(span => span.iteration))].sort((a, b) => a - b);
+    const rows = iterations.map(iteration => {
+        const iterationSpans = spans.filter(span => span.iteration === iteration);
+        return `
+            <div class="trace-iteration">Iteration ${iteration + 1}</div>
+            ${iterationSpans.map(span => renderTraceSpan(span, pct)).join('')}
+        `;
+    }).join('');
+
+    return `
+        <div class="trace-view">
+            <div class="trace-summary">
+                <span><span class="context-swatch trace-llm"></span>LLM ${formatDuration(llmMs)}</span>
+                <span><span class="context-swatch trace-tool"></span>Tools ${formatDuration(toolMs)}</span>
+                <span><span class="context-swatch trace-other"></span>Other ${formatDuration(otherMs)}</span>
+                <span class="trace-total">Total ${formatDuration(total)}</span>
+            </div>
+            <div class="trace-axis">
+                ${[0, 0.25, 0.5, 0.75, 1].map(f => `<span style="left:${f * 100}%">${formatDuration(Math.round(total * f))}</span>`).join('')}
+            </div>
+            ${rows}
+            ${trace.error ? `<div class="trace-error">✗ ${escapeHtml(trace.error)}</div>` : ''}
+        </div>
+    `;
+}
+
+function renderTraceSpan(span, pct) {
+    if (span.kind === 'compaction') {
+        return `
+            <div class="trace-row">
+                <span class="trace-label">🗜️ compaction</span>
+                <span class="trace-track"><span class="trace-marker" style="left:${pct(span.startMs)}" title="${Markdown.escape(span.name)}"></span></span>
+                <span class="trace-meta">+${formatDuration(span.startMs)}</span>
+            </div>
+        `;
+    }
+
+    const isLlm = span.kind === 'llm';
+    const label = isLlm ? `🧠 ${span.name}` : `🔧 ${span.name}`;
+    const tokens = isLlm && span.totalTokens
+        ? ` · ${formatTokenCount(span.promptTokens)}→${formatTokenCount(span.completionTokens)} tok`
+        : '';
+    const title = isLlm
+        ? `${span.name}: ${span.promptTokens} prompt + ${span.completionTokens} completion tokens, finish: ${span.finishReason}`
+        : `${span.name}${span.success ? '' : ` failed: ${span.error || 'error'}`}`;
+    return `
+        <div class="trace-row${span.success ? '' : ' failed'}">
+            <span class="trace-label" title="${Markdown.escape(span.name)}">${escapeHtml(label)}</span>
+            <span class="trace-track">
+                <span class="trace-bar ${isLlm ? 'trace-llm' : 'trace-tool'}" style="left:${pct(span.startMs)}; width:max(${pct(span.durationMs)}, 2px)"
+                      title="${Markdown.escape(title)}"></span>
+            </span>
+            <span class="trace-meta">${formatDuration(span.durationMs)}${tokens}</span>
+        </div>
+    `;
+}
+
+// ── Edit, regenerate & branches ─────────────────────────────────────────────
+// Editing or regenerating forks the session just before the user message (POST
+// /sessions/{key}/fork) and resends it on the fork. Forks record forkedFrom/forkIndex/forkKind,
+// which is enough to list every version of an exchange across sessions: edits are versions of
+// the user message, regenerations are alternate replies to the same version.
+
+function renderUserMessageActions(chat, msg, msgIndex) {
+    const index = transcriptIndex(chat, msg);
+    const { versions, current } = index === null ? { versions: [] } : messageVersions(chat.key, index);
+
+    return `
+        <div class="message-actions">
+            ${renderBranchSwitcher(versions, current, msgIndex, 'version')}
+            <button class="message-action-btn" data-msg-index="${msgIndex}" onclick="editMessage(this)" title="Edit and resend on a new branch">✎ Edit</button>
+        </div>
+    `;
+}
+
+function renderAssistantMessageActions(chat, msg, msgIndex) {
+    const prompt = chat.history[msgIndex - 1];
+    if (msg.isStreaming || prompt?.role !== 'user') return '';
+
+    const index = transcriptIndex(chat, prompt);
+    const { alternates, current } = index === null ? { alternates: [] } : replyAlternates(chat.key, index);
+
+    return `
+        <div class="message-actions">
+            ${renderBranchSwitcher(alternates, current, msgIndex, 'reply')}
+            <button class="message-action-btn" data-msg-index="${msgIndex}" onclick="openRegeneratePopover(this)" title="Regenerate this reply">↻ Regenerate</button>
+            ${'speechSynthesis' in window ? `<button class="message-action-btn" data-msg-index="${msgIndex}" onclick="readMessageAloud(this)" title="Read aloud (click again to stop)">🔈 Read</button>` : ''}
+        </div>
+    `;
+}
+
+function renderBranchSwitcher(branches, current, msgIndex, kind) {
+    if (branches.length < 2) return '';
+    const position = branches.indexOf(current);
+    const attrs = `data-msg-index="${msgIndex}" data-branch-kind="${kind}"`;
+    const noun = kind === 'reply' ? 'reply' : 'version';
+    return `
+        <span class="branch-switcher">
+            <button class="branch-btn" ${attrs} onclick="switchBranch(this, -1)" ${position <= 0 ? 'disabled' : ''} title="Previous ${noun}">‹</button>
+            <span class="branch-position">${position + 1}/${branches.length}</span>
+            <button class="branch-btn" ${attrs} onclick="switchBranch(this, 1)" ${position >= branches.length - 1 ? 'disabled' : ''} title="Next ${noun}">›</button>
+        </span>`;
+}
+
+// Index of a displayed message in the stored transcript. Failed turns are never stored, so
+// they are skipped; messages of a failed turn have no index (null).
+function transcriptIndex(chat, msg) {
+    if (msg.index != null) return msg.index;
+    const pos = chat.history.indexOf(msg);
+    if (pos < 0 || isFailedTurn(chat, pos)) return null;
+
+    let index = chat.historyOffset;
+    for (let i = 0; i < pos; i++) {
+        if (!isFailedTurn(chat, i)) index++;
+    }
+    return index;
+}
+
+function isFailedTurn(chat, pos) {
+    const msg = chat.history[pos];
+    const reply = msg?.role === 'user' ? chat.history[pos + 1] : msg;
+    return !!reply?.isError;
+}
+
+// A fork copies its parent's messages before forkIndex, so message `index` of a session was
+// written in the nearest ancestor it wasn't copied from.
+function branchOrigin(key, index) {
+    let meta = knownSessions.get(key)?.metadata;
+    while (meta?.forkedFrom && meta.forkIndex > index) {
+        key = meta.forkedFrom;
+        meta = knownSessions.get(key)?.metadata;
+    }
+    return key;
+}
+
+// Follow forks made at `index` (optionally only those of one kind) back to the session they started from
+function forkRoot(key, index, kind = null) {
+    let origin = branchOrigin(key, index);
+    let meta = knownSessions.get(origin)?.metadata;
+    while (meta?.forkedFrom && meta.forkIndex === index && (!kind || meta.forkKind === kind)) {
+        origin = branchOrigin(meta.forkedFrom, index);
+        meta = knownSessions.get(origin)?.metadata;
+    }
+    return origin;
+}
+
+// Every session holding a version of message `index`, oldest first, and the one `key` shows.
+function messageBranches(key, index) {
+    const root = forkRoot(key, index);
+    const branches = [...knownSessions.values()]
+        .filter(s => s.key === root || (s.metadata?.forkIndex === index && forkRoot(s.key, index) === root))
+        .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+        .map(s => s.key);
+
+    return { branches, current: branchOrigin(key, index) };
+}
+
+// Distinct texts of user message `index`: regenerations belong to the version they were made from
+function messageVersions(key, index) {
+    const { branches } = messageBranches(key, index);
+    return {
+        versions: branches.filter(b => forkRoot(b, index, 'regenerate') === branchOrigin(b, index)),
+        current: forkRoot(key, index, 'regenerate'),
+    };
+}
+
+// Replies to the version of user message `index` that `key` shows
+function replyAlternates(key, index) {
+    const { branches, current } = messageBranches(key, index);
+    const version = forkRoot(key, index, 'regenerate');
+    return {
+        alternates: branches.filter(b => forkRoot(b, index, 'regenerate') === version),
+        current,
+    };
+}
+
+function editMessage(button) {
+    const pane = paneFromElement(button);
+    const chat = chatState(pane.key);
+    if (chat.isProcessing) {
+        showToast('Wait for the current reply to finish');
+        return;
+    }
+    const msg = chat.history[parseInt(button.dataset.msgIndex, 10)];
+    if (!msg) return;
+    chat.history.forEach(m => { m.isEditing = false; });
+    msg.isEditing = true;
+    renderChat(chat.key);
+
+    const textarea = pane.el.querySelector('.message-edit-input');
+    textarea?.focus();
+    textarea?.setSelectionRange(textarea.value.length, textarea.value.length);
+    textarea?.closest('.message')?.scrollIntoView({ block: 'center' });
+}
+
+function cancelEditMessage(button) {
+    const chat = chatFromElement(button);
+    const msg = chat.history[parseInt(button.dataset.msgIndex, 10)];
+    if (msg) msg.isEditing = false;
+    renderChat(chat.key);
+}
+
+async function submitEditMessage(button) {
+    const pane = paneFromElement(button);
+    const chat = chatState(pane.key);
+    const pos = parseInt(button.dataset.msgIndex, 10);
+    const text = button.closest('.message-edit')?.querySelector('textarea')?.value.trim();
+    if (!chat.history[pos] || !text || chat.isProcessing) return;
+
+    button.disabled = true;
+    if (!await resendFrom(pane, pos, text, 'edit')) button.disabled = false;
+}
+
+/**
+ * Replace the exchange starting at user message `pos` of the chat in `pane` with a new turn
+ * for `text`. Stored turns are forked first so the original stays reachable as another branch;
+ * a failed turn was never stored, so it is simply dropped. Returns false if the fork failed.
+ */
+async function resendFrom(pane, pos, text, kind, overrides = {}) {
+    const chat = chatState(pane.key);
+    const index = transcriptIndex(chat, chat.history[pos]);
+    const attachments = chat.history[pos].attachments || [];
+    if (index === null) {
+        chat.history.splice(pos, 2);
+        await sendMessage(text, overrides, attachments, pane);
+        return true;
+    }
+
+    try {
+        const response = await fetch(`${API.sessions}/${encodeSessionKey(chat.key)}/fork`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ index, kind }),
+        });
+        const data = await response.json();
+        if (!response.ok || data.error) {
+            showToast(data.message || 'Failed to create branch');
+            return false;
+        }
+
+        // The fork holds everything before the user message, which is already on screen
+        const fork = chatState(data.sessionKey);
+        fork.history = chat.history.slice(0, pos);
+        fork.historyOffset = chat.historyOffset;
+        fork.historyRequested = true;
+        focusPane(pane);
+        showChat(fork.key);
+        await loadSessions();
+        await sendMessage(text, overrides, attachments, pane);
+        return true;
+    } catch (err) {
+        showToast(`Failed to create branch: ${err.message}`);
+        return false;
+    }
+}
+
+function switchBranch(button, delta) {
+    const pos = parseInt(button.dataset.msgIndex, 10);
+    const isReply = button.dataset.branchKind === 'reply';
+    const pane = paneFromElement(button);
+    const chat = chatState(pane.key);
+    const prompt = chat.history[isReply ? pos - 1 : pos];
+    const index = prompt ? transcriptIndex(chat, prompt) : null;
+    if (index === null || chat.isProcessing) return;
+
+    const { versions, alternates, current } = isReply
+        ? replyAlternates(chat.key, index)
+        : messageVersions(chat.key, index);
+    const branches = isReply ? alternates : versions;
+    const target = branches[branches.indexOf(current) + delta];
+    if (!target) return;
+
+    focusPane(pane);
+    openSession(target);
+    loadSessions();
+}
+
+// ── Regenerate popover ──
+
+let agentDefaults = null; // { model, temperature } from the config, loaded on first use
+
+async function getAgentDefaults() {
+    // Prefer what is in the Settings form (it may hold unsaved edits)
+    const model = document.getElementById('setting-model')?.value.trim();
+    const temperature = document.getElementById('setting-temperature')?.value;
+    if (model) return { model, temperature };
+
+    if (!agentDefaults) {
+        try {
+            const config = await (await fetch(API.config)).json();
+            agentDefaults = {
+                model: config.agents?.defaults?.model || '',
+                temperature: config.agents?.defaults?.temperature ?? '',
+            };
+        } catch {
+            return { model: '', temperature: '' };
+        }
+    }
+    return agentDefaults;
+}
+
+function closeRegeneratePopover() {
+    document.querySelector('.regenerate-popover')?.remove();
+}
+
+async function openRegeneratePopover(button) {
+    const wasOpen = button.parentElement.querySelector('.regenerate-popover');
+    closeRegeneratePopover();
+    if (wasOpen) return;
+    if (chatFromElement(button).isProcessing) {
+        showToast('Wait for the current reply to finish');
+        return;
+    }
+
+    const popover = document.createElement('div');
+    popover.className = 'regenerate-popover';
+    popover.innerHTML = `
+        <label>Model <input type="text" class="regenerate-model" placeholder="default"></label>
+        <label>Temperature <input type="number" class="regenerate-temperature" step="0.1" min="0" max="2" placeholder="default"></label>
+        <div class="regenerate-actions">
+            <button class="btn btn-ghost btn-sm" onclick="closeRegeneratePopover()">Cancel</button>
+            <button class="btn btn-primary btn-sm" data-msg-index="${button.dataset.msgIndex}" onclick="submitRegenerate(this)">Regenerate</button>
+        </div>
+    `;
+    button.parentElement.appendChild(popover);
+
+    const defaults = await getAgentDefaults();
+    popover.querySelector('.regenerate-model').value = defaults.model;
+    popover.querySelector('.regenerate-temperature').value = defaults.temperature;
+    popover.querySelector('.regenerate-model').focus();
+}
+
+async function submitRegenerate(button) {
+    const pane = paneFromElement(button);
+    const chat = chatState(pane.key);
+    const pos = parseInt(button.dataset.msgIndex, 10);
+    const prompt = chat.history[pos - 1];
+    if (prompt?.role !== 'user' || chat.isProcessing) return;
+
+    const popover = button.closest('.regenerate-popover');
+    const model = popover.querySelector('.regenerate-model').value.trim();
+    const temperature = parseFloat(popover.querySelector('.regenerate-temperature').value);
+    if (!isNaN(temperature) && (temperature < 0 || temperature > 2)) {
+        showToast('Temperature must be between 0 and 2');
+        return;
+    }
+
+    const overrides = {};
+    if (model) overrides.model = model;
+    if (!isNaN(temperature)) overrides.temperature = temperature;
+
+    closeRegeneratePopover();
+    await resendFrom(pane, pos - 1, prompt.content, 'regenerate', overrides);
+}
+
+// ── Tool call inspector ─────────────────────────────────────────────────────
+const TOOL_RESULT_COLLAPSED_CHARS = 800;
+
+// Badges plus an inspector panel for each expanded call. Open/expanded state lives on
+// the tool call objects so it survives streaming re-renders.
+function renderToolCallsSection(chat, msg) {
+    const msgIndex = chat.history.indexOf(msg);
+    const badges = msg.toolCalls.map((tc, idx) => {
+        const statusIcon = tc.isRunning ? '⟳' : tc.success ? '✓' : '✗';
+        const statusClass = tc.isRunning ? 'tool-running' : tc.success ? 'tool-success' : 'tool-error';
+        const duration = tc.isRunning ? 'running…' : formatDuration(tc.durationMs || 0);
+        const exitCode = tc.details?.exitCode;
+        return `
+            <div class="tool-call-badge ${statusClass}${tc.inspectorOpen ? ' open' : ''}" data-msg-index="${msgIndex}" data-tool-index="${idx}" onclick="toggleToolDetail(this)">
+                <span class="tool-call-icon">${statusIcon}</span>
+                <span class="tool-call-name">${escapeHtml(tc.name)}</span>
+                ${exitCode != null && exitCode !== 0 ? `<span class="tool-call-exit">exit ${exitCode}</span>` : ''}
+                <span class="tool-call-duration">${duration}</span>
+            </div>
+        `;
+    }).join('');
+
+    const inspectors = msg.toolCalls
+        .map((tc, idx) => tc.inspectorOpen ? renderToolInspector(tc, msgIndex, idx) : '')
+        .join('');
+
+    const approvals = msg.toolCalls
+        .map((tc, idx) => tc.approval ? renderInlineApproval(tc.approval, msgIndex, idx) : '')
+        .join('');
+
+    return `<div class="tool-calls-section"><div class="tool-calls-badges">${badges}</div>${approvals}${inspectors}</div>`;
+}
+
+// ── Inline exec approvals ──
+
+const APPROVAL_DECISION_LABELS = {
+    'allow-once': 'Allowed once',
+    'allow-always': 'Allowed always',
+    'deny': 'Denied',
+    'resolved': 'Resolved',
+    'expired': 'Expired',
+    'cancelled': 'Cancelled — the turn was stopped',
+};
+
+function renderInlineApproval(approval, msgIndex, idx) {
+    const expired = !approval.decision && Date.parse(approval.expiresAtUtc) <= Date.now();
+    const decision = approval.decision || (expired ? 'expired' : null);
+    const attrs = `data-msg-index="${msgIndex}" data-tool-index="${idx}"`;
+
+    const footer = decision
+        ? `<div class="inline-approval-decision decision-${decision}">${APPROVAL_DECISION_LABELS[decision]}</div>`
+        : `<div class="exec-approval-actions">
+                <button class="btn btn-ghost btn-sm" ${attrs} onclick="resolveInlineApproval(this,'allow-once')">Allow Once</button>
+                <button class="btn btn-primary btn-sm" ${attrs} onclick="resolveInlineApproval(this,'allow-always')">Allow Always</button>
+                <button class="btn btn-danger btn-sm" ${attrs} onclick="resolveInlineApproval(this,'deny')">Deny</button>
+            </div>`;
+
+    return `
+        <div class="exec-approval-card inline-approval${decision ? ' settled' : ''}">
+            <div class="exec-approval-header">
+                <span class="inline-approval-title">⚠️ Command needs approval</span>
+                ${decision ? '' : `<span class="badge badge-warning approval-countdown" data-expires="${Markdown.escape(approval.expiresAtUtc)}">${formatCountdown(approval.expiresAtUtc)}</span>`}
+            </div>
+            <div class="exec-approval-command"><code>${escapeHtml(approval.command)}</code></div>
+            <div class="exec-approval-meta">
+                ${approval.workingDirectory ? `<span>cwd: ${escapeHtml(approval.workingDirectory)}</span>` : ''}
+                <span>Security: ${escapeHtml(approval.security || '-')}</span>
+                <span>Ask: ${escapeHtml(approval.ask || '-')}</span>
+            </div>
+            ${footer}
+        </div>
+    `;
+}
+
+async function resolveInlineApproval(button, decision) {
+    const { msg, tc } = toolCallFromElement(button);
+    if (!tc?.approval || tc.approval.decision) return;
+
+    button.closest('.exec-approval-actions')?.querySelectorAll('button').forEach(b => b.disabled = true);
+    if (await resolveExecApproval(tc.approval.id, decision)) {
+        tc.approval.decision = decision;
+    }
+    rerenderToolSection(button, msg);
+}
+
+function formatCountdown(expiresAtUtc) {
+    const remaining = Math.max(0, Math.ceil((Date.parse(expiresAtUtc) - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    const seconds = String(remaining % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
+
+let approvalCountdownTimer = null;
+
+/** Tick every pending approval countdown once a second; stops when none are left on screen. */
+function startApprovalCountdown() {
+    if (approvalCountdownTimer) return;
+    approvalCountdownTimer = setInterval(() => {
+        const counters = document.querySelectorAll('.approval-countdown[data-expires]');
+        if (counters.length === 0) {
+            clearInterval(approvalCountdownTimer);
+            approvalCountdownTimer = null;
+            return;
+        }
+        for (const counter of counters) {
+            if (Date.parse(counter.dataset.expires) > Date.now()) {
+                counter.textContent = formatCountdown(counter.dataset.expires);
+                continue;
+            }
+            // Expired: re-render the owning section so the buttons are replaced
+            const button = counter.closest('.inline-approval')?.querySelector('button[data-msg-index]');
+            const { msg } = button ? toolCallFromElement(button) : {};
+            if (msg) rerenderToolSection(button, msg);
+            else counter.textContent = 'expired';
+        }
+    }, 1000);
+}
+
+function renderToolInspector(tc, msgIndex, idx) {
+    const rows = [];
+    const details = tc.details || {};
+
+    if (details.exitCode != null) {
+        const cls = details.exitCode === 0 ? 'tool-success' : 'tool-error';
+        rows.push(`<div class="tool-inspector-row"><span class="tool-inspector-label">Exit code</span><span class="tool-exit-code ${cls}">${details.exitCode}</span></div>`);
+    }
+    if (details.urls?.length) {
+        const links = details.urls.map(url => {
+            const safe = Markdown.safeUrl(url);
+            return safe
+                ? `<a href="${Markdown.escape(safe)}" title="${Markdown.escape(safe)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`
+                : `<span>${escapeHtml(url)}</span>`;
+        }).join('<br>');
+        rows.push(`<div class="tool-inspector-row"><span class="tool-inspector-label">URL${details.urls.length > 1 ? 's' : ''}</span><span class="tool-inspector-value">${links}</span></div>`);
+    }
+    if (details.files?.length) {
+        const files = details.files.map(f => `<code>${escapeHtml(f)}</code>`).join('<br>');
+        rows.push(`<div class="tool-inspector-row"><span class="tool-inspector-label">File${details.files.length > 1 ? 's' : ''}</span><span class="tool-inspector-value">${files}</span></div>`);
+    }
+    if (tc.error) {
+        rows.push(`<div class="tool-inspector-row"><span class="tool-inspector-label">Error</span><span class="tool-call-error">${escapeHtml(tc.error)}</span></div>`);
+    }
+
+    let argsHtml = '<span class="tool-inspector-empty">not recorded</span>';
+    if (tc.arguments) {
+        let pretty = tc.arguments;
+        try { pretty = JSON.stringify(JSON.parse(tc.arguments), null, 2); } catch { /* show as-is */ }
+        argsHtml = `<pre class="tool-inspector-pre">${Highlighter.highlight(pretty, 'json')}</pre>`;
+    }
+
+    let resultHtml;
+    if (tc.isRunning) {
+        resultHtml = '<span class="tool-inspector-empty">running…</span>';
+    } else if (tc.result == null) {
+        resultHtml = '<span class="tool-inspector-empty">not recorded</span>';
+    } else {
+        const long = tc.result.length > TOOL_RESULT_COLLAPSED_CHARS;
+        const shown = long && !tc.resultExpanded ? tc.result.slice(0, TOOL_RESULT_COLLAPSED_CHARS) + '…' : tc.result;
+        const serverTruncated = tc.resultLength > tc.result.length
+            ? `<div class="tool-inspector-note">Showing the first ${tc.result.length.toLocaleString()} of ${tc.resultLength.toLocaleString()} characters.</div>`
+            : '';
+        const toggle = long
+            ? `<button class="btn btn-ghost btn-sm" data-msg-index="${msgIndex}" data-tool-index="${idx}" onclick="toggleToolResult(this)">${tc.resultExpanded ? 'Show less' : 'Show full result'}</button>`
+            : '';
+        resultHtml = `<pre class="tool-inspector-pre">${escapeHtml(shown)}</pre>${serverTruncated}${toggle}`;
+    }
+
+    return `
+        <div class="tool-inspector">
+            <div class="tool-inspector-title">${escapeHtml(tc.name)}${tc.callId ? ` <span class="tool-inspector-id">${escapeHtml(tc.callId)}</span>` : ''}</div>
+            ${rows.join('')}
+            <div class="tool-inspector-section">Arguments</div>
+            ${argsHtml}
+            <div class="tool-inspector-section">Result${tc.resultLength ? ` <span class="tool-inspector-id">${tc.resultLength.toLocaleString()} chars</span>` : ''}</div>
+            ${resultHtml}
+        </div>
+    `;
+}
+
+function toolCallFromElement(el) {
+    const msg = chatFromElement(el).history[parseInt(el.dataset.msgIndex, 10)];
+    return { msg, tc: msg?.toolCalls?.[parseInt(el.dataset.toolIndex, 10)] };
+}
+
+function rerenderToolSection(el, msg) {
+    const section = el.closest('.tool-calls-section');
+    if (section) section.outerHTML = renderToolCallsSection(chatFromElement(el), msg);
+}
+
+function toggleToolDetail(badge) {
+    const { msg, tc } = toolCallFromElement(badge);
+    if (!tc) return;
+    tc.inspectorOpen = !tc.inspectorOpen;
+    rerenderToolSection(badge, msg);
+}
+
+function toggleToolResult(button) {
+    const { msg, tc } = toolCallFromElement(button);
+    if (!tc) return;
+    tc.resultExpanded = !tc.resultExpanded;
+    rerenderToolSection(button, msg);
+}
+
+function formatDuration(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${(ms / 60000).toFixed(1)}m`;
+}
+
+function updateSendButton(pane = focusedPane) {
+    // While a turn is running the send button turns into a stop button
+    const busy = chatState(pane.key).isProcessing;
+    pane.el.querySelector('.send-btn:not(.stop-btn)').classList.toggle('hidden', busy);
+    pane.el.querySelector('.stop-btn').classList.toggle('hidden', !busy);
+}
+
+function scrollToBottom(pane = focusedPane) {
+    const container = pane.el.querySelector('.chat-messages');
+    container.scrollTop = container.scrollHeight;
+}
+
+// ============================================================================
+// Sessions
+// ============================================================================
+async function loadSessions() {
+    try {
+        const response = await fetch(API.sessions);
+        const sessions = await response.json();
+        const forksBefore = forkSignature();
+        knownSessions = new Map((sessions || []).map(s => [s.key, s]));
+        renderSessions(sessions);
+        renderChatTitle();
+        renderChatTabs();
+
+        // Branch switchers depend on fork metadata; refresh them if it changed
+        if (forkSignature() !== forksBefore) {
+            chatPanes.filter(p => !chatState(p.key).isProcessing).forEach(p => renderMessages(p));
+        }
+    } catch (err) {
+        console.error('Failed to load sessions:', err);
+    }
+}
+
+const SESSION_TITLE_LENGTH = 40;
+
+let sessionGrouping = localStorage.getItem('sharpbot-session-grouping') || 'date'; // 'date' | 'channel'
+let collapsedSessionGroups = new Set(JSON.parse(localStorage.getItem('sharpbot-collapsed-session-groups') || '[]'));
+
+// Sidebar label: the stored title, else the first user message, else the raw key
+function sessionTitle(key) {
+    const session = knownSessions.get(key);
+    const text = session?.title || session?.preview?.replace(/\s+/g, ' ').trim() || key;
+    return text.length > SESSION_TITLE_LENGTH ? text.substring(0, SESSION_TITLE_LENGTH) + '…' : text;
+}
+
+function renderChatTitle() {
+    const title = document.getElementById('chat-session-title');
+    title.textContent = sessionTitle(currentSessionId);
+    title.title = currentSessionId;
+}
+
+function sessionChannel(key) {
+    const colonIdx = key.indexOf(':');
+    return colonIdx >= 0 ? key.substring(0, colonIdx) : 'other';
+}
+
+function sessionDateGroup(isoStr) {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const days = (startOfToday - new Date(isoStr)) / 86400000;
+    if (days <= 0) return 'Today';
+    if (days <= 1) return 'Yesterday';
+    if (days <= 7) return 'Last week';
+    if (days <= 30) return 'Last month';
+    return 'Older';
+}
+
+// Pinned sessions first, then the rest grouped by date or channel, keeping the server's recency order
+function groupSessions(sessions) {
+    const groups = new Map();
+    const add = (name, session) => {
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(session);
+    };
+
+    for (const s of sessions) {
+        if (s.pinned) add('Pinned', s);
+    }
+    for (const s of sessions) {
+        if (s.pinned) continue;
+        add(sessionGrouping === 'channel' ? sessionChannel(s.key || '') : sessionDateGroup(s.updated_at), s);
+    }
+    return [...groups.entries()];
+}
+
+function renderSessions(sessions) {
+    const container = document.getElementById('sessions-list');
+    const header = `
+        <div class="sessions-header session-list-header">
+            <span>Sessions</span>
+            <button class="session-grouping-btn" onclick="toggleSessionGrouping()" title="Change how sessions are grouped">
+                By ${sessionGrouping === 'channel' ? 'channel' : 'date'}
+            </button>
+        </div>
+    `;
+
+    if (!sessions || sessions.length === 0) {
+        container.innerHTML = header + '<div class="empty-state" style="padding:12px;font-size:0.8rem;">No sessions yet</div>';
+        return;
+    }
+
+    const renderItem = (s) => {
+        const key = s.key || '';
+        const isActive = key === currentSessionId;
+        return `
+            <div class="session-item ${isActive ? 'active' : ''}" data-key="${escapeHtml(key)}" title="${escapeHtml(key)}">
+                <span class="session-item-title">${escapeHtml(sessionTitle(key))}</span>
+                <span class="session-item-actions">
+                    <button class="session-action-btn pin-btn ${s.pinned ? 'pinned' : ''}" data-key="${escapeHtml(key)}"
+                        title="${s.pinned ? 'Unpin' : 'Pin to top'}">📌</button>
+                    <button class="session-action-btn rename-btn" data-key="${escapeHtml(key)}" title="Rename">✎</button>
+                    <button class="delete-btn" data-key="${escapeHtml(key)}" title="Delete session">✕</button>
+                </span>
+            </div>
+        `;
+    };
+
+    const groups = groupSessions(sessions).map(([name, items]) => {
+        const collapsed = collapsedSessionGroups.has(name);
+        return `
+            <div class="session-group ${collapsed ? 'collapsed' : ''}">
+                <button class="session-group-header" data-group="${escapeHtml(name)}">
+                    <span class="session-group-caret">${collapsed ? '▸' : '▾'}</span>
+                    <span>${escapeHtml(name)}</span>
+                    <span class="session-group-count">${items.length}</span>
+                </button>
+                ${collapsed ? '' : items.map(renderItem).join('')}
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = header + groups;
+
+    // Session click handlers
+    container.querySelectorAll('.session-item').forEach(item => {
+        // Ctrl/Cmd+click or middle-click opens the session in a new tab
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('.session-item-actions, .session-rename-input')) return;
+            const key = item.dataset.key;
+            switchSession(key, e.ctrlKey || e.metaKey);
+        });
+        item.addEventListener('auxclick', (e) => {
+            if (e.button === 1 && !e.target.closest('.session-item-actions')) switchSession(item.dataset.key, true);
+        });
+        item.addEventListener('dblclick', () => startSessionRename(item));
+    });
+
+    container.querySelectorAll('.session-group-header').forEach(btn => {
+        btn.addEventListener('click', () => toggleSessionGroup(btn.dataset.group));
+    });
+
+    container.querySelectorAll('.pin-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const key = btn.dataset.key;
+            updateSession(key, { pinned: !knownSessions.get(key)?.pinned });
+        });
+    });
+
+    container.querySelectorAll('.rename-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startSessionRename(btn.closest('.session-item'));
+        });
+    });
+
+    // Delete handlers
+    container.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const key = btn.dataset.key;
+            if (confirm(`Delete session "${sessionTitle(key)}"?`)) {
+                await deleteSession(key);
+            }
+        });
+    });
+}
+
+window.toggleSessionGrouping = function() {
+    sessionGrouping = sessionGrouping === 'date' ? 'channel' : 'date';
+    localStorage.setItem('sharpbot-session-grouping', sessionGrouping);
+    renderSessions([...knownSessions.values()]);
+};
+
+function toggleSessionGroup(name) {
+    if (collapsedSessionGroups.has(name)) collapsedSessionGroups.delete(name);
+    else collapsedSessionGroups.add(name);
+    localStorage.setItem('sharpbot-collapsed-session-groups', JSON.stringify([...collapsedSessionGroups]));
+    renderSessions([...knownSessions.values()]);
+}
+
+// Swap the label for an input; Enter or blur saves, Escape cancels, an empty title reverts to the automatic one
+function startSessionRename(item) {
+    const key = item.dataset.key;
+    const label = item.querySelector('.session-item-title');
+    if (!label) return;
+
+    const input = document.createElement('input');
+    input.className = 'session-rename-input';
+    input.value = knownSessions.get(key)?.title || '';
+    input.placeholder = sessionTitle(key);
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        const title = input.value.trim();
+        if (save && title !== (knownSessions.get(key)?.title || '')) updateSession(key, { title });
+        else renderSessions([...knownSessions.values()]);
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+async function updateSession(key, changes) {
+    try {
+        const response = await fetch(`${API.sessions}/${encodeSessionKey(key)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (err) {
+        showToast('Failed to update session');
+    }
+    await loadSessions();
+}
+
+// Ask the server for an LLM title (one model call; it never replaces a title the user typed).
+// Until then a chat is labelled with its first user message.
+async function generateSessionTitle(key) {
+    if (!knownSessions.has(key)) {
+        showToast('Send a message before naming this chat');
+        return;
+    }
+    showToast('Generating a title…');
+    try {
+        const response = await fetch(`${API.sessions}/${encodeSessionKey(key)}/title`, { method: 'POST' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+        if (!data.title) throw new Error('no title was generated');
+        await loadSessions();
+        showToast(`Chat title: ${data.title}`);
+    } catch (err) {
+        showToast(`Failed to generate a title: ${err.message}`);
+    }
+}
+
+// ── Session export / import ─────────────────────────────────────────────────
+// Per-session downloads: Markdown for pasting into tickets, JSON (the server's export document,
+// restorable with Import) and a self-contained HTML page. All include tool calls and stats.
+
+const EXPORT_FORMATS = [
+    { id: 'md', label: 'Markdown', description: 'for pasting into tickets' },
+    { id: 'json', label: 'JSON', description: 're-importable' },
+    { id: 'html', label: 'HTML', description: 'self-contained page' },
+];
+
+function initSessionExport() {
+    const exportBtn = document.getElementById('chat-export-btn');
+    const exportMenu = document.getElementById('chat-export-menu');
+    exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportMenu.classList.toggle('open');
+    });
+    document.addEventListener('click', () => exportMenu.classList.remove('open'));
+    exportMenu.querySelectorAll('[data-export-format]').forEach(item => {
+        item.addEventListener('click', () => {
+            exportMenu.classList.remove('open');
+            exportSession(currentSessionId, item.dataset.exportFormat);
+        });
+    });
+
+    const fileInput = document.getElementById('session-import-file');
+    document.getElementById('import-session-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) importSession(file);
+    });
+}
+
+function exportFilename(key, extension) {
+    return `${key.replace(/[^\w-]+/g, '_')}.${extension}`;
+}
+
+async function exportSession(key, format) {
+    if (!EXPORT_FORMATS.some(f => f.id === format)) {
+        showToast(`Unknown export format "${format}" (use md, json or html)`);
+        return;
+    }
+    const local = chatStates.get(key)?.history || [];
+    if (!knownSessions.has(key) && local.length === 0) {
+        showToast('Nothing to export yet');
+        return;
+    }
+
+    try {
+        if (format === 'json') {
+            const response = await fetch(`${API.sessions}/${encodeSessionKey(key)}/export`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            downloadFile(JSON.stringify(await response.json(), null, 2), exportFilename(key, 'json'), 'application/json');
+            return;
+        }
+
+        const messages = knownSessions.has(key) ? await fetchFullTranscript(key) : local;
+        if (format === 'html') {
+            downloadFile(transcriptToHtml(key, messages), exportFilename(key, 'html'), 'text/html');
+        } else {
+            downloadFile(transcriptToMarkdown(key, messages), exportFilename(key, 'md'), 'text/markdown');
+        }
+    } catch (err) {
+        showToast(`Export failed: ${err.message}`);
+    }
+}
+
+async function importSession(file) {
+    let doc;
+    try {
+        doc = JSON.parse(await file.text());
+    } catch {
+        showToast(`${file.name} is not valid JSON`);
+        return;
+    }
+
+    try {
+        const response = await fetch(API.sessionImport, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(doc),
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.message || `HTTP ${response.status}`);
+
+        switchTab('chat');
+        await openSession(data.sessionKey, true);
+        await loadSessions();
+        loadSessionsPanel();
+        showToast(`Imported ${data.messageCount} messages as ${sessionTitle(data.sessionKey)}`);
+    } catch (err) {
+        showToast(`Import failed: ${err.message}`);
     }
 }
 
-function renderMessages() {
-    const container = document.getElementById('chat-messages');
-    const welcome = document.getElementById('welcome-message');
+// Fence that cannot be closed early by backticks inside the text
+function markdownFence(text, lang = '') {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `${fence}${lang}\n${text}\n${fence}`;
+}
 
-    // Keep only the welcome message div, remove all message divs
-    const existingMessages = container.querySelectorAll('.message');
-    existingMessages.forEach(m => m.remove());
+function formatExportStats(stats) {
+    if (!stats) return '';
+    return [
+        stats.model,
+        stats.totalTokens ? `${stats.totalTokens.toLocaleString()} tokens` : '',
+        stats.totalDurationMs ? formatDuration(stats.totalDurationMs) : '',
+        stats.iterations > 1 ? `${stats.iterations} iterations` : '',
+    ].filter(Boolean).join(' · ');
+}
 
-    if (chatHistory.length === 0 && welcome) {
-        welcome.classList.remove('hidden');
-        return;
-    }
+function formatExportToolCall(tc) {
+    const status = tc.success === false ? `failed${tc.error ? `: ${tc.error}` : ''}` : 'ok';
+    return `${tc.name} · ${formatDuration(tc.durationMs || 0)} · ${status}`;
+}
 
-    if (welcome) welcome.classList.add('hidden');
+function transcriptToMarkdown(key, messages) {
+    const lines = [`# ${sessionTitle(key)}`, '', `Session \`${key}\` · exported ${new Date().toLocaleString()}`, ''];
+    for (const msg of messages) {
+        const when = msg.timestamp ? ` · ${new Date(msg.timestamp).toLocaleString()}` : '';
+        lines.push(`## ${msg.role === 'user' ? 'User' : 'Assistant'}${when}`, '');
+        for (const att of msg.attachments || []) lines.push(`📎 ${att.name}`);
+
+        for (const tc of msg.toolCalls || []) {
+            lines.push(`**🔧 ${formatExportToolCall(tc)}**`, '');
+            if (tc.arguments) lines.push(markdownFence(tc.arguments, 'json'), '');
+            if (tc.result) lines.push(markdownFence(tc.result), '');
+        }
 
-    chatHistory.forEach(msg => {
-        const el = createMessageElement(msg);
-        container.appendChild(el);
-    });
+        lines.push(msg.content || '', '');
+        const stats = formatExportStats(msg.stats);
+        if (stats) lines.push(`_${stats}_`, '');
+    }
+    return lines.join('\n');
+}
+
+const EXPORT_HTML_STYLE = `
+    body { margin: 0; background: #f7f7f9; color: #1f2330; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }
+    main { max-width: 860px; margin: 0 auto; padding: 32px 20px 64px; }
+    header { border-bottom: 1px solid #e2e2e8; margin-bottom: 24px; }
+    h1 { font-size: 1.5rem; margin: 0 0 4px; }
+    .meta, .msg-head, .msg-stats { color: #6b7280; font-size: 0.8rem; }
+    .msg { background: #fff; border: 1px solid #e2e2e8; border-radius: 10px; padding: 12px 16px; margin: 0 0 16px; }
+    .msg-user { background: #eef2ff; border-color: #c7d2fe; }
+    .msg-head { font-weight: 600; margin-bottom: 6px; }
+    .msg-body.plain { white-space: pre-wrap; }
+    .msg-stats { margin-top: 8px; }
+    .tool { border: 1px solid #e2e2e8; border-radius: 6px; margin: 6px 0; font-size: 0.85rem; }
+    .tool summary { cursor: pointer; padding: 4px 10px; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+    .tool.failed summary { color: #b91c1c; }
+    .tool pre { margin: 0; border-top: 1px solid #e2e2e8; border-radius: 0; }
+    pre { background: #f3f4f6; padding: 10px 12px; border-radius: 6px; overflow-x: auto; font-size: 0.85rem; }
+    code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+    :not(pre) > code { background: #f3f4f6; padding: 1px 4px; border-radius: 4px; }
+    .code-block-header { display: flex; justify-content: space-between; color: #6b7280; font-size: 0.75rem; }
+    .code-actions { display: none; }
+    table { border-collapse: collapse; } th, td { border: 1px solid #e2e2e8; padding: 4px 8px; }
+    img { max-width: 100%; }
+    .hl-comment { color: #8a8aa0; font-style: italic; } .hl-keyword { color: #7c3aed; } .hl-string { color: #15803d; }
+    .hl-number { color: #c2410c; } .hl-fn { color: #1d4ed8; } .hl-type, .hl-tag { color: #a16207; }
+    .hl-variable { color: #be123c; } .hl-property, .hl-attr { color: #0e7490; } .hl-meta, .hl-operator { color: #6b7280; }
+`;
+
+function transcriptToHtml(key, messages) {
+    const title = sessionTitle(key);
+    const sections = messages.map(msg => {
+        const isUser = msg.role === 'user';
+        const when = msg.timestamp ? ` · ${escapeHtml(new Date(msg.timestamp).toLocaleString())}` : '';
+        const attachments = (msg.attachments || []).map(att => `<div>📎 ${escapeHtml(att.name)}</div>`).join('');
+        const tools = (msg.toolCalls || []).map(tc => `
+            <details class="tool ${tc.success === false ? 'failed' : ''}">
+                <summary>🔧 ${escapeHtml(formatExportToolCall(tc))}</summary>
+                ${tc.arguments ? `<pre><code>${escapeHtml(tc.arguments)}</code></pre>` : ''}
+                ${tc.result ? `<pre><code>${escapeHtml(tc.result)}</code></pre>` : ''}
+            </details>`).join('');
+        const stats = formatExportStats(msg.stats);
+        const body = isUser
+            ? `<div class="msg-body plain">${escapeHtml(msg.content || '')}</div>`
+            : `<div class="msg-body">${renderMarkdown(msg.content || '')}</div>`;
+        return `
+        <section class="msg ${isUser ? 'msg-user' : 'msg-assistant'}">
+            <div class="msg-head">${isUser ? 'User' : 'Assistant'}${when}</div>
+            ${attachments}${tools}${body}
+            ${stats ? `<div class="msg-stats">${escapeHtml(stats)}</div>` : ''}
+        </section>`;
+    }).join('');
 
-    scrollToBottom();
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${EXPORT_HTML_STYLE}</style>
+</head>
+<body>
+<main>
+    <header>
+        <h1>${escapeHtml(title)}</h1>
+        <p class="meta">Session <code>${escapeHtml(key)}</code> · exported ${escapeHtml(new Date().toLocaleString())}</p>
+    </header>
+    ${sections}
+</main>
+</body>
+</html>
+`;
 }
 
-function createMessageElement(msg) {
-    const div = document.createElement('div');
-    div.className = `message ${msg.role}`;
+// ── Search ──────────────────────────────────────────────────────────────────
+// Full-text search over every session via /api/chat/search. Hits replace the session list
+// while the box has a query; picking one opens the session scrolled to that message.
 
-    const avatar = msg.role === 'user' ? 'You' : '🐈';
-    const roleName = msg.role === 'user' ? 'You' : 'Sharpbot';
+function initSessionSearch() {
+    const input = document.getElementById('session-search');
+    input.addEventListener('input', debounce(() => searchSessions(input.value.trim()), 250));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            input.value = '';
+            searchSessions('');
+        }
+    });
+}
 
-    // Build tool calls section if present
-    let toolCallsHtml = '';
-    if (msg.toolCalls && msg.toolCalls.length > 0) {
-        const toolBadges = msg.toolCalls.map((tc, idx) => {
-            const statusIcon = tc.success ? '✓' : '✗';
-            const statusClass = tc.success ? 'tool-success' : 'tool-error';
-            const duration = formatDuration(tc.durationMs);
-            return `
-                <div class="tool-call-badge ${statusClass}" onclick="toggleToolDetail(this)">
-                    <span class="tool-call-icon">${statusIcon}</span>
-                    <span class="tool-call-name">${escapeHtml(tc.name)}</span>
-                    <span class="tool-call-duration">${duration}</span>
-                    ${tc.error ? `<div class="tool-call-detail hidden"><span class="tool-call-error">Error: ${escapeHtml(tc.error)}</span></div>` : ''}
-                </div>
-            `;
-        }).join('');
+let searchRequestId = 0;
 
-        toolCallsHtml = `<div class="tool-calls-section">${toolBadges}</div>`;
+async function searchSessions(query) {
+    const results = document.getElementById('session-search-results');
+    const list = document.getElementById('sessions-list');
+    const requestId = ++searchRequestId;
+    if (!query) {
+        results.classList.add('hidden');
+        list.classList.remove('hidden');
+        return;
     }
 
-    // Build stats section if present
-    let statsHtml = '';
-    if (msg.stats) {
-        const s = msg.stats;
-        const totalTime = formatDuration(s.totalDurationMs);
-        const parts = [`${totalTime}`];
-        if (s.iterations > 1) parts.push(`${s.iterations} iterations`);
-        if (s.totalTokens > 0) parts.push(`${s.totalTokens.toLocaleString()} tokens`);
-        if (s.contextCompactions > 0) parts.push(`${s.contextCompactions} compaction${s.contextCompactions > 1 ? 's' : ''}`);
-        if (s.model) parts.push(s.model);
-        statsHtml = `<div class="message-stats">${parts.join(' · ')}</div>`;
+    try {
+        const response = await fetch(`${API.chatSearch}?q=${encodeURIComponent(query)}&limit=50`);
+        const data = await response.json();
+        if (requestId !== searchRequestId) return;
+        renderSearchResults(data.results || []);
+    } catch (err) {
+        if (requestId !== searchRequestId) return;
+        results.innerHTML = '<div class="empty-state" style="padding:12px;font-size:0.8rem;">Search failed</div>';
     }
-
-    // Streaming cursor
-    const cursorHtml = msg.isStreaming ? '<span class="streaming-cursor">▊</span>' : '';
-
-    div.innerHTML = `
-        <div class="message-avatar">${avatar}</div>
-        <div class="message-body">
-            <div class="message-role">${roleName}</div>
-            ${toolCallsHtml}
-            <div class="message-content">${renderMarkdown(msg.content)}${cursorHtml}</div>
-            ${statsHtml}
-        </div>
-    `;
-
-    return div;
+    results.classList.remove('hidden');
+    list.classList.add('hidden');
 }
 
-function toggleToolDetail(badge) {
-    const detail = badge.querySelector('.tool-call-detail');
-    if (detail) detail.classList.toggle('hidden');
+// Snippets mark matches with STX/ETX; escape first, then turn the markers into <mark>
+function highlightSnippet(snippet) {
+    return escapeHtml(snippet)
+        .replace(/\u0002/g, '<mark>')
+        .replace(/\u0003/g, '</mark>');
 }
 
-function formatDuration(ms) {
-    if (ms < 1000) return `${ms}ms`;
-    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
-    return `${(ms / 60000).toFixed(1)}m`;
-}
+function renderSearchResults(hits) {
+    const container = document.getElementById('session-search-results');
+    const header = `<div class="sessions-header">${hits.length === 50 ? '50+' : hits.length} result${hits.length === 1 ? '' : 's'}</div>`;
+    if (hits.length === 0) {
+        container.innerHTML = header + '<div class="empty-state" style="padding:12px;font-size:0.8rem;">No messages match</div>';
+        return;
+    }
 
-function showTypingIndicator() {
-    const container = document.getElementById('chat-messages');
-    const div = document.createElement('div');
-    div.className = 'message assistant typing-msg';
-    div.innerHTML = `
-        <div class="message-avatar">🐈</div>
-        <div class="message-body">
-            <div class="message-role">Sharpbot</div>
-            <div class="message-content">
-                <div class="typing-indicator">
-                    <span></span><span></span><span></span>
-                </div>
+    container.innerHTML = header + hits.map(hit => `
+        <div class="search-hit-item" data-key="${Markdown.escape(hit.sessionKey)}" data-index="${hit.index}"
+             onclick="openSearchHit(this)">
+            <div class="search-hit-meta">
+                <span class="search-hit-session" title="${Markdown.escape(hit.sessionKey)}">${escapeHtml(hit.sessionKey)}</span>
+                <span>${hit.role === 'user' ? 'You' : 'Sharpbot'} · ${hit.timestamp ? formatRelativeTime(hit.timestamp) : ''}</span>
             </div>
+            <div class="search-hit-snippet">${highlightSnippet(hit.snippet)}</div>
         </div>
-    `;
-    container.appendChild(div);
-    scrollToBottom();
+    `).join('');
 }
 
-function removeTypingIndicator() {
-    document.querySelector('.typing-msg')?.remove();
+function openSearchHit(el) {
+    openSessionAt(el.dataset.key, parseInt(el.dataset.index, 10));
 }
 
-function updateSendButton() {
-    const btn = document.getElementById('send-btn');
-    btn.disabled = isProcessing;
-}
+// Open a session and scroll to one of its messages, loading earlier pages until it is in view
+async function openSessionAt(key, index) {
+    switchTab('chat');
+    await openSession(key);
+    loadSessions();
+    const chat = chatState(key);
+    while (key === currentSessionId && chat.historyOffset > index) {
+        const before = chat.historyOffset;
+        await loadSessionHistory(key, before);
+        if (chat.historyOffset >= before) break; // page failed to load
+    }
+    if (key !== currentSessionId) return;
 
-function scrollToBottom() {
-    const container = document.getElementById('chat-messages');
-    container.scrollTop = container.scrollHeight;
+    const el = focusedPane.el.querySelector(`.message[data-index="${index}"]`);
+    if (!el) return;
+    el.scrollIntoView({ block: 'center' });
+    el.classList.add('search-target');
+    setTimeout(() => el.classList.remove('search-target'), 2500);
 }
 
-// ── Simple Markdown Renderer ────────────────────────────────────────────────
-function renderMarkdown(text) {
-    if (!text) return '';
-
-    // Escape HTML
-    let html = text
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-
-    // Code blocks (```...```)
-    html = html.replace(/```(\w*)\n?([\s\S]*?)```/g, (_, lang, code) => {
-        return `<pre><code>${code.trim()}</code></pre>`;
-    });
-
-    // Inline code (`...`)
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-
-    // Bold (**...**)
-    html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-
-    // Italic (*...*)
-    html = html.replace(/(?<!\*)\*(?!\*)(.+?)(?<!\*)\*(?!\*)/g, '<em>$1</em>');
-
-    // Headers
-    html = html.replace(/^### (.+)$/gm, '<h4>$1</h4>');
-    html = html.replace(/^## (.+)$/gm, '<h3>$1</h3>');
-    html = html.replace(/^# (.+)$/gm, '<h2>$1</h2>');
-
-    // Links [text](url)
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+function forkSignature() {
+    return [...knownSessions.values()]
+        .filter(s => s.metadata?.forkedFrom)
+        .map(s => `${s.key}<${s.metadata.forkedFrom}@${s.metadata.forkIndex}`)
+        .join('|');
+}
 
-    // Unordered lists
-    html = html.replace(/^[-*] (.+)$/gm, '<li>$1</li>');
-    html = html.replace(/(<li>.*<\/li>\n?)+/g, '<ul>$&</ul>');
+function switchSession(key, newTab = false) {
+    openSession(key, newTab);
+    loadSessions();
+    showToast(`Switched to session: ${sessionTitle(key)}`);
+}
 
-    // Paragraphs (split by double newlines)
-    html = html
-        .split(/\n\n+/)
-        .map(block => {
-            block = block.trim();
-            if (!block) return '';
-            if (block.startsWith('<h') || block.startsWith('<pre') || block.startsWith('<ul') || block.startsWith('<ol'))
-                return block;
-            // Wrap in <p> but handle single newlines as <br>
-            return '<p>' + block.replace(/\n/g, '<br>') + '</p>';
-        })
-        .join('\n');
+// Show a session in the focused pane (see showChat) with its stored transcript reloaded.
+// A chat that is mid-turn keeps what it has; its reply is still streaming in.
+function openSession(key, newTab = false) {
+    const chat = chatState(key);
+    if (chat.isProcessing) {
+        showChat(key, newTab);
+        return Promise.resolve();
+    }
+    chat.history = [];
+    chat.historyOffset = 0;
+    chat.historyRequested = true;
+    showChat(key, newTab);
+    return loadSessionHistory(key);
+}
 
-    return html;
+// Session keys travel in the URL path with ':' replaced by '_' (see ChatApi.DecodeSessionKey)
+function encodeSessionKey(key) {
+    return encodeURIComponent((key || '').replace(/:/g, '_'));
 }
 
-// ============================================================================
-// Sessions
-// ============================================================================
-async function loadSessions() {
+async function loadSessionHistory(key, before = null) {
+    const chat = chatState(key);
+    const request = ++chat.historyRequest;
+    const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE });
+    if (before !== null) params.set('before', before);
+
+    chat.historyRequested = true;
+    chat.isLoadingHistory = true;
+    const pageRequest = fetch(`${API.sessions}/${encodeSessionKey(key)}/messages?${params}`).then(response => {
+        // Nothing stored under this key: a chat not sent yet, or one deleted elsewhere
+        if (response.status === 404) return { messages: [], offset: 0 };
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    });
+    pageRequest.catch(() => { /* handled below */ });
+    if (before === null) {
+        await showCachedTranscript(chat, request);
+        renderChat(key);
+    } else {
+        panesShowing(key).forEach(pane => {
+            const loader = pane.el.querySelector('.history-loader');
+            if (loader) loader.textContent = 'Loading earlier messages…';
+        });
+    }
+
+    let loaded = false;
     try {
-        const response = await fetch(API.sessions);
-        const sessions = await response.json();
-        renderSessions(sessions);
+        const data = await pageRequest;
+        if (request !== chat.historyRequest) return; // chat was reopened while loading
+
+        const page = (data.messages || []).map(toDisplayMessage);
+        chat.historyOffset = data.offset || 0;
+        // Prepend: anything already in the history is newer (a page we loaded or a message just
+        // sent), except a cached copy of this first page, which it replaces
+        const newer = before === null ? chat.history.slice(chat.cachedCount) : chat.history;
+        if (before === null) chat.cachedCount = 0;
+        chat.history = [...page, ...newer];
+        loaded = true;
     } catch (err) {
-        console.error('Failed to load sessions:', err);
+        console.error('Failed to load session history:', err);
+        if (request === chat.historyRequest && panesShowing(key).length > 0) {
+            showToast(chat.cachedCount > 0 ? 'Offline — showing a saved copy of this conversation' : 'Failed to load conversation history');
+        }
+    } finally {
+        if (request === chat.historyRequest) chat.isLoadingHistory = false;
     }
-}
-
-function renderSessions(sessions) {
-    const container = document.getElementById('sessions-list');
-    const header = '<div class="sessions-header">Sessions</div>';
 
-    if (!sessions || sessions.length === 0) {
-        container.innerHTML = header + '<div class="empty-state" style="padding:12px;font-size:0.8rem;">No sessions yet</div>';
+    if (request !== chat.historyRequest) return;
+    if (before === null) {
+        if (loaded) cacheTranscript(chat);
+        await restoreFailedTurn(chat);
+        if (request === chat.historyRequest) renderChat(key);
         return;
     }
+    // Keep the viewport anchored on the message that was at the top
+    for (const pane of panesShowing(key)) {
+        const container = pane.el.querySelector('.chat-messages');
+        const previousHeight = container.scrollHeight;
+        const previousTop = container.scrollTop;
+        renderMessages(pane);
+        container.style.scrollBehavior = 'auto';
+        container.scrollTop = container.scrollHeight - previousHeight + previousTop;
+        container.style.scrollBehavior = '';
+    }
+}
 
-    const items = sessions.map(s => {
-        const key = s.key || '';
-        const isActive = key === currentSessionId;
-        const label = key.length > 28 ? key.substring(0, 28) + '…' : key;
-        return `
-            <div class="session-item ${isActive ? 'active' : ''}" data-key="${escapeHtml(key)}">
-                <span>${escapeHtml(label)}</span>
-                <button class="delete-btn" data-key="${escapeHtml(key)}" title="Delete session">✕</button>
-            </div>
-        `;
-    }).join('');
-
-    container.innerHTML = header + items;
-
-    // Session click handlers
-    container.querySelectorAll('.session-item').forEach(item => {
-        item.addEventListener('click', (e) => {
-            if (e.target.classList.contains('delete-btn')) return;
-            const key = item.dataset.key;
-            switchSession(key);
-        });
-    });
-
-    // Delete handlers
-    container.querySelectorAll('.delete-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const key = btn.dataset.key;
-            if (confirm(`Delete session "${key}"?`)) {
-                await deleteSession(key);
-            }
-        });
-    });
+function loadEarlierHistory(key) {
+    const chat = chatState(key);
+    if (chat.isLoadingHistory || chat.historyOffset <= 0) return;
+    loadSessionHistory(key, chat.historyOffset);
 }
 
-function switchSession(key) {
-    currentSessionId = key;
-    chatHistory = []; // clear local history (server has the real history)
-    renderMessages();
-    loadSessions();
-    showToast(`Switched to session: ${key}`);
+// Map a stored session message to the local display shape used by createMessageElement()
+function toDisplayMessage(m) {
+    const { text, attachments } = m.role === 'user'
+        ? splitAttachmentMarkers(m.content)
+        : { text: m.content || '', attachments: [] };
+    return {
+        role: m.role,
+        index: m.index,
+        content: text,
+        attachments,
+        toolCalls: m.toolCalls || [],
+        stats: m.stats || null,
+        statusEvents: m.statusEvents || [],
+        trace: m.trace || null,
+        timestamp: m.timestamp || null,
+        isStopped: !!m.stopped,
+    };
 }
 
 async function deleteSession(key) {
     try {
-        const encoded = encodeURIComponent(key.replace(/:/g, '_'));
-        await fetch(`${API.sessions}/${encoded}`, { method: 'DELETE' });
-        if (key === currentSessionId) {
-            currentSessionId = 'web:default';
-            chatHistory = [];
-            renderMessages();
-        }
+        await fetch(`${API.sessions}/${encodeSessionKey(key)}`, { method: 'DELETE' });
+        ChatStore.forget(key);
+        if (chatTabs.includes(key)) closeChatTab(key, true);
         loadSessions();
         showToast('Session deleted');
     } catch (err) {
@@ -699,81 +3313,241 @@ function renderChannels(data) {
 // ============================================================================
 // Logs
 // ============================================================================
-let logsAutoRefreshTimer = null;
-let logsLastId = 0;
+// The panel loads the recent tail once, then follows new entries over SSE (/api/logs/stream),
+// starting after the newest id it has. Only rows near the viewport are in the DOM: row heights
+// are measured as rows render (estimated before that), and the oldest entries drop off past
+// LOGS_MAX_ENTRIES. Scrolling up stops following; new lines are counted on a jump button.
+const LOGS_DEFAULT_LEVEL = 'info';
+const LOGS_TAIL_LIMIT = 500;
+const LOGS_MAX_ENTRIES = 5000;
+const LOG_ROW_HEIGHT = 24; // px, until a row has been measured
+const LOGS_OVERSCAN_PX = 400;
+const LOGS_FOLLOW_SLACK_PX = 50;
+
+let logsLastId = 0; // newest entry id received; the stream resumes after it
+let logsEntries = [];
+let logsRowHeights = new Map(); // entry id -> measured height
+let logsPending = []; // streamed entries waiting for the next frame
+let logsFrame = 0;
+let logsStream = null;
+let logsRequestId = 0;
+let logsFollowing = true;
+let logsUnseen = 0;
+let logsStats = { bufferSize: 0, totalEntries: 0 };
 
 function initLogs() {
     document.getElementById('refresh-logs-btn')?.addEventListener('click', loadLogs);
     document.getElementById('clear-logs-btn')?.addEventListener('click', clearLogs);
-    document.getElementById('logs-level-filter')?.addEventListener('change', () => { logsLastId = 0; loadLogs(); });
-    document.getElementById('logs-search')?.addEventListener('input', debounce(() => { logsLastId = 0; loadLogs(); }, 300));
+    document.getElementById('logs-level-filter')?.addEventListener('change', () => { loadLogs(); syncRoute(); });
+    document.getElementById('logs-search')?.addEventListener('input', debounce(() => { loadLogs(); syncRoute(); }, 300));
     document.getElementById('logs-auto-refresh')?.addEventListener('change', (e) => {
-        if (e.target.checked) startLogsAutoRefresh();
-        else stopLogsAutoRefresh();
+        // Reload rather than resume, so the gap while paused is filled from the tail
+        if (e.target.checked) loadLogs();
+        else stopLogsStream();
     });
-}
 
-function startLogsAutoRefresh() {
-    stopLogsAutoRefresh();
-    const checkbox = document.getElementById('logs-auto-refresh');
-    if (!checkbox?.checked) return;
-    logsAutoRefreshTimer = setInterval(loadLogs, 3000);
+    const output = document.getElementById('logs-output');
+    output.addEventListener('scroll', () => {
+        logsFollowing = output.scrollTop + output.clientHeight >= output.scrollHeight - LOGS_FOLLOW_SLACK_PX;
+        if (logsFollowing) setLogsUnseen(0);
+        scheduleLogsRender();
+    });
+    // Wrapping changes with the width, so measured heights are stale after a resize
+    new ResizeObserver(() => {
+        logsRowHeights.clear();
+        scheduleLogsRender();
+    }).observe(output);
+
+    document.getElementById('logs-new-lines').addEventListener('click', () => {
+        logsFollowing = true;
+        setLogsUnseen(0);
+        renderLogs();
+    });
 }
 
-function stopLogsAutoRefresh() {
-    if (logsAutoRefreshTimer) {
-        clearInterval(logsAutoRefreshTimer);
-        logsAutoRefreshTimer = null;
+// level: a filter option value, or "all"; search: free text. Missing params reset to the defaults.
+function applyLogsRoute(params) {
+    const select = document.getElementById('logs-level-filter');
+    const level = (params.get('level') || LOGS_DEFAULT_LEVEL).toLowerCase();
+    if (select) {
+        const value = level === 'all' ? '' : level;
+        select.value = [...select.options].some(o => o.value === value) ? value : LOGS_DEFAULT_LEVEL;
     }
+    const search = document.getElementById('logs-search');
+    if (search) search.value = params.get('search') || '';
 }
 
-async function loadLogs() {
-    try {
-        const level = document.getElementById('logs-level-filter')?.value || '';
-        const search = document.getElementById('logs-search')?.value || '';
+function logsQuery(extra) {
+    const level = document.getElementById('logs-level-filter')?.value || '';
+    const search = document.getElementById('logs-search')?.value || '';
 
-        const params = new URLSearchParams();
-        if (level) params.set('level', level);
-        if (search) params.set('search', search);
-        params.set('limit', '500');
+    const params = new URLSearchParams();
+    if (level) params.set('level', level);
+    if (search) params.set('search', search);
+    for (const [key, value] of Object.entries(extra)) params.set(key, value);
+    return params;
+}
 
-        const response = await fetch(`${API.logs}?${params}`);
+async function loadLogs() {
+    stopLogsStream();
+    const requestId = ++logsRequestId;
+    try {
+        const response = await fetch(`${API.logs}?${logsQuery({ limit: LOGS_TAIL_LIMIT })}`);
         const data = await response.json();
-
-        // Update stats
-        const stats = document.getElementById('logs-stats');
-        stats.textContent = `${data.count} entries shown · ${data.bufferSize} in buffer · ${data.totalEntries} total`;
-
-        renderLogs(data.entries || []);
+        if (requestId !== logsRequestId) return;
+
+        logsEntries = data.entries || [];
+        logsRowHeights.clear();
+        logsPending = [];
+        logsLastId = logsEntries.at(-1)?.id ?? data.totalEntries;
+        logsStats = { bufferSize: data.bufferSize, totalEntries: data.totalEntries };
+        logsFollowing = true;
+        setLogsUnseen(0);
+        renderLogs();
+        startLogsStream();
     } catch (err) {
+        if (requestId !== logsRequestId) return;
         document.getElementById('logs-output').innerHTML =
             '<div class="empty-state">Failed to load logs</div>';
     }
 }
 
-function renderLogs(entries) {
-    const container = document.getElementById('logs-output');
+function startLogsStream() {
+    stopLogsStream();
+    if (!document.getElementById('logs-auto-refresh')?.checked) return;
+
+    // EventSource reconnects by itself, resuming after the last event id it saw
+    const source = new EventSource(`${API.logsStream}?${logsQuery({ afterId: logsLastId })}`);
+    source.addEventListener('log', (e) => {
+        const entry = JSON.parse(e.data);
+        if (entry.id <= logsLastId) return;
+        logsLastId = entry.id;
+        // Frames don't run in a background tab; keep the backlog bounded until they do
+        if (logsPending.push(entry) > LOGS_MAX_ENTRIES) logsPending.shift();
+        scheduleLogsRender();
+    });
+    source.onopen = updateLogsStats;
+    source.onerror = updateLogsStats;
+    logsStream = source;
+    updateLogsStats();
+}
 
-    if (entries.length === 0) {
-        container.innerHTML = '<div class="empty-state">No log entries yet.</div>';
-        return;
+function stopLogsStream() {
+    logsRequestId++;
+    if (logsStream) {
+        logsStream.close();
+        logsStream = null;
+        updateLogsStats();
     }
+}
 
-    const shouldAutoScroll = container.scrollTop + container.clientHeight >= container.scrollHeight - 50;
+function updateLogsStats() {
+    const stats = document.getElementById('logs-stats');
+    if (!stats) return;
+    const total = Math.max(logsStats.totalEntries, logsLastId);
+    let text = `${logsEntries.length} entries shown · ${logsStats.bufferSize} in buffer · ${total} total`;
+    if (logsStream) text += logsStream.readyState === EventSource.OPEN ? ' · ● live' : ' · reconnecting…';
+    stats.textContent = text;
+}
 
-    container.innerHTML = entries.map(e => {
-        const levelClass = `log-${e.level.toLowerCase()}`;
-        const levelShort = { Information: 'INF', Warning: 'WRN', Error: 'ERR', Critical: 'CRT', Debug: 'DBG', Trace: 'TRC' }[e.level] || e.level;
-        const time = new Date(e.timestamp).toLocaleTimeString();
-        const msg = escapeHtml(e.message);
-        const cat = escapeHtml(e.category);
-        const exc = e.exception ? `\n<span class="log-exception">${escapeHtml(e.exception)}</span>` : '';
+function setLogsUnseen(count) {
+    logsUnseen = count;
+    const button = document.getElementById('logs-new-lines');
+    if (!button) return;
+    button.classList.toggle('hidden', count === 0);
+    button.textContent = `↓ ${count} new line${count === 1 ? '' : 's'}`;
+}
 
-        return `<div class="log-line ${levelClass}"><span class="log-time">${time}</span> <span class="log-level">${levelShort}</span> <span class="log-category">${cat}</span> <span class="log-msg">${msg}</span>${exc}</div>`;
-    }).join('');
+function scheduleLogsRender() {
+    if (logsFrame) return;
+    logsFrame = requestAnimationFrame(() => {
+        logsFrame = 0;
+        flushLogs();
+    });
+}
+
+// Append streamed entries, drop the oldest past the cap, and redraw
+function flushLogs() {
+    let removedHeight = 0;
+    if (logsPending.length > 0) {
+        const added = logsPending;
+        logsPending = [];
+        logsEntries.push(...added);
+
+        const excess = logsEntries.length - LOGS_MAX_ENTRIES;
+        if (excess > 0) {
+            for (const e of logsEntries.splice(0, excess)) {
+                removedHeight += logsRowHeights.get(e.id) ?? LOG_ROW_HEIGHT;
+                logsRowHeights.delete(e.id);
+            }
+        }
+        if (!logsFollowing) setLogsUnseen(logsUnseen + added.length);
+    }
+    renderLogs(removedHeight);
+}
+
+function renderLogLine(e) {
+    const levelClass = `log-${e.level.toLowerCase()}`;
+    const levelShort = { Information: 'INF', Warning: 'WRN', Error: 'ERR', Critical: 'CRT', Debug: 'DBG', Trace: 'TRC' }[e.level] || e.level;
+    const time = new Date(e.timestamp).toLocaleTimeString();
+    const msg = escapeHtml(e.message);
+    const cat = escapeHtml(e.category);
+    const exc = e.exception ? `\n<span class="log-exception">${escapeHtml(e.exception)}</span>` : '';
+
+    return `<div class="log-line ${levelClass}" data-id="${e.id}"><span class="log-time">${time}</span> <span class="log-level">${levelShort}</span> <span class="log-category">${cat}</span> <span class="log-msg">${msg}</span>${exc}</div>`;
+}
+
+// Draw the rows around the scroll position. removedHeight: height of rows just dropped from the
+// top, scrolled away so a paused view stays on the same lines.
+function renderLogs(removedHeight = 0) {
+    const container = document.getElementById('logs-output');
+    updateLogsStats();
+
+    if (logsEntries.length === 0) {
+        container.innerHTML = '<div class="empty-state">No log entries yet.</div>';
+        return;
+    }
 
-    if (shouldAutoScroll) {
-        container.scrollTop = container.scrollHeight;
+    let viewport = container.querySelector('.logs-viewport');
+    if (!viewport) {
+        container.innerHTML = '<div class="logs-viewport"><div class="logs-window"></div></div>';
+        viewport = container.querySelector('.logs-viewport');
+    }
+    const win = viewport.firstElementChild;
+
+    const offsets = [0];
+    for (const e of logsEntries) offsets.push(offsets.at(-1) + (logsRowHeights.get(e.id) ?? LOG_ROW_HEIGHT));
+    viewport.style.height = `${offsets.at(-1)}px`;
+    if (logsFollowing) container.scrollTop = container.scrollHeight;
+    else if (removedHeight) container.scrollTop -= removedHeight;
+
+    // First row reaching into the overscan band above the viewport (binary search), then fill below it
+    const top = container.scrollTop - LOGS_OVERSCAN_PX;
+    const bottom = container.scrollTop + container.clientHeight + LOGS_OVERSCAN_PX;
+    let low = 0;
+    let high = logsEntries.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (offsets[mid + 1] > top) high = mid;
+        else low = mid + 1;
+    }
+    let end = low;
+    while (end < logsEntries.length && offsets[end] < bottom) end++;
+
+    win.style.transform = `translateY(${offsets[low]}px)`;
+    win.innerHTML = logsEntries.slice(low, end).map(renderLogLine).join('');
+
+    // Rows above the window keep their heights, so only the total needs correcting
+    let delta = 0;
+    for (const row of win.children) {
+        const id = Number(row.dataset.id);
+        const height = row.offsetHeight;
+        delta += height - (logsRowHeights.get(id) ?? LOG_ROW_HEIGHT);
+        logsRowHeights.set(id, height);
+    }
+    if (delta !== 0) {
+        viewport.style.height = `${offsets.at(-1) + delta}px`;
+        if (logsFollowing) container.scrollTop = container.scrollHeight;
     }
 }
 
@@ -781,7 +3555,6 @@ async function clearLogs() {
     if (!confirm('Clear all buffered logs?')) return;
     try {
         await fetch(API.logs, { method: 'DELETE' });
-        logsLastId = 0;
         loadLogs();
         showToast('Logs cleared');
     } catch (err) {
@@ -847,6 +3620,7 @@ function renderSessionsTable(sessions) {
                 <td class="cell-muted">${created}</td>
                 <td class="cell-actions">
                     <button class="btn btn-ghost btn-sm" onclick="openSessionChat('${escapeHtml(key)}')">Open</button>
+                    <button class="btn btn-ghost btn-sm" onclick="exportSession('${escapeHtml(key)}', 'json')" title="Download as re-importable JSON">Export</button>
                     <button class="btn btn-danger btn-sm" onclick="deleteSessionFromPanel('${escapeHtml(key)}')">Delete</button>
                 </td>
             </tr>
@@ -871,9 +3645,7 @@ function renderSessionsTable(sessions) {
 }
 
 window.openSessionChat = function(key) {
-    currentSessionId = key;
-    chatHistory = [];
-    renderMessages();
+    openSession(key);
     loadSessions();
     switchTab('chat');
     showToast(`Switched to session: ${key}`);
@@ -882,13 +3654,9 @@ window.openSessionChat = function(key) {
 window.deleteSessionFromPanel = async function(key) {
     if (!confirm(`Delete session "${key}"?`)) return;
     try {
-        const encoded = encodeURIComponent(key.replace(/:/g, '_'));
-        await fetch(`${API.sessions}/${encoded}`, { method: 'DELETE' });
-        if (key === currentSessionId) {
-            currentSessionId = 'web:default';
-            chatHistory = [];
-            renderMessages();
-        }
+        await fetch(`${API.sessions}/${encodeSessionKey(key)}`, { method: 'DELETE' });
+        ChatStore.forget(key);
+        if (chatTabs.includes(key)) closeChatTab(key, true);
         loadSessionsPanel();
         loadSessions();
         showToast('Session deleted');
@@ -903,12 +3671,11 @@ async function deleteAllSessions() {
         const response = await fetch(API.sessions);
         const sessions = await response.json();
         for (const s of sessions) {
-            const encoded = encodeURIComponent((s.key || '').replace(/:/g, '_'));
-            await fetch(`${API.sessions}/${encoded}`, { method: 'DELETE' });
+            await fetch(`${API.sessions}/${encodeSessionKey(s.key)}`, { method: 'DELETE' });
+            ChatStore.forget(s.key);
         }
-        currentSessionId = 'web:default';
-        chatHistory = [];
-        renderMessages();
+        [...chatTabs].forEach(key => closeChatTab(key, true));
+        openSession('web:default');
         loadSessionsPanel();
         loadSessions();
         showToast(`Deleted ${sessions.length} sessions`);
@@ -938,13 +3705,31 @@ function formatRelativeTime(isoStr) {
 // Skills
 // ============================================================================
 let allSkillsData = [];
+let selectedSkill = null; // name of the highlighted skill card (#/skills/<name>)
 
 function initSkills() {
     document.getElementById('refresh-skills-btn')?.addEventListener('click', loadSkills);
-    document.getElementById('skills-search')?.addEventListener('input', filterSkills);
-    document.getElementById('skills-filter')?.addEventListener('change', filterSkills);
+    document.getElementById('skills-search')?.addEventListener('input', () => { filterSkills(); syncRoute(); });
+    document.getElementById('skills-filter')?.addEventListener('change', () => { filterSkills(); syncRoute(); });
 }
 
+function applySkillsRoute(name, params) {
+    selectedSkill = name;
+    const search = document.getElementById('skills-search');
+    if (search) search.value = params.get('q') || '';
+    const filter = document.getElementById('skills-filter');
+    if (filter) filter.value = ['available', 'unavailable'].includes(params.get('filter')) ? params.get('filter') : 'all';
+}
+
+window.selectSkill = function(card) {
+    const name = card.dataset.skill;
+    selectedSkill = selectedSkill === name ? null : name;
+    document.querySelectorAll('#skills-list .skill-card').forEach(c => {
+        c.classList.toggle('selected', c.dataset.skill === selectedSkill);
+    });
+    syncRoute(true);
+};
+
 async function loadSkills() {
     try {
         const response = await fetch(API.skills);
@@ -1006,7 +3791,8 @@ function renderSkillsList(skills) {
             .join('');
 
         return `
-            <div class="skill-card ${s.available ? '' : 'skill-unavailable'}">
+            <div class="skill-card ${s.available ? '' : 'skill-unavailable'} ${s.name === selectedSkill ? 'selected' : ''}"
+                 data-skill="${escapeHtml(s.name)}" onclick="selectSkill(this)">
                 <div class="skill-card-header">
                     <div class="skill-card-title">
                         <span class="skill-name">${escapeHtml(s.name)}</span>
@@ -1021,6 +3807,8 @@ function renderSkillsList(skills) {
             </div>
         `;
     }).join('');
+
+    container.querySelector('.skill-card.selected')?.scrollIntoView({ block: 'nearest' });
 }
 
 // ============================================================================
@@ -1061,7 +3849,6 @@ function initSettings() {
     // Save button
     document.getElementById('save-settings-btn').addEventListener('click', saveSettings);
     document.getElementById('reload-settings-btn').addEventListener('click', loadSettings);
-    document.getElementById('refresh-exec-approvals-btn')?.addEventListener('click', loadExecApprovals);
     document.getElementById('refresh-media-assets-btn')?.addEventListener('click', loadMediaAssets);
     document.getElementById('cleanup-media-assets-btn')?.addEventListener('click', cleanupMediaAssets);
 }
@@ -1129,7 +3916,6 @@ async function loadSettings() {
         document.getElementById('setting-media-transcription-model').value = config.tools?.media?.transcriptionModel || 'gpt-4o-mini-transcribe';
         document.getElementById('setting-media-transcription-api-base').value = config.tools?.media?.transcriptionApiBase || '';
         document.getElementById('setting-media-default-language').value = config.tools?.media?.defaultLanguage || '';
-        await loadExecApprovals();
         await loadMediaAssets();
 
     } catch (err) {
@@ -1233,95 +4019,28 @@ async function saveSettings() {
             statusEl.style.color = 'var(--error)';
         }
     } catch (err) {
-        statusEl.textContent = `✗ Error: ${err.message}`;
-        statusEl.style.color = 'var(--error)';
-    }
-
-    // Clear status after 5 seconds
-    setTimeout(() => { statusEl.textContent = ''; }, 5000);
-}
-
-function parseCsvList(raw) {
-    const values = (raw || '')
-        .split(',')
-        .map(x => x.trim())
-        .filter(Boolean);
-    return [...new Set(values)];
-}
-
-function parseLineList(raw) {
-    return (raw || '')
-        .split(/\r?\n/)
-        .map(x => x.trim())
-        .filter(Boolean);
-}
-
-async function loadExecApprovals() {
-    const list = document.getElementById('exec-approvals-list');
-    const status = document.getElementById('exec-approvals-status');
-    if (!list) return;
-
-    try {
-        const response = await fetch(API.execApprovalsPending);
-        const data = await response.json();
-        const pending = data.pending || [];
-
-        if (status) {
-            status.textContent = pending.length > 0 ? `${pending.length} pending` : 'No pending approvals';
-            status.style.color = pending.length > 0 ? 'var(--warning)' : 'var(--text-secondary)';
-        }
-
-        if (pending.length === 0) {
-            list.innerHTML = '<div class="empty-state">No pending approvals.</div>';
-            return;
-        }
-
-        list.innerHTML = pending.map(item => `
-            <div class="exec-approval-card">
-                <div class="exec-approval-header">
-                    <span class="exec-approval-id">${escapeHtml(item.id.slice(0, 8))}</span>
-                    <span class="badge badge-warning">Pending</span>
-                </div>
-                <div class="exec-approval-command"><code>${escapeHtml(item.command)}</code></div>
-                <div class="exec-approval-meta">
-                    <span>Security: ${escapeHtml(item.security || '-')}</span>
-                    <span>Ask: ${escapeHtml(item.ask || '-')}</span>
-                    <span>Expires: ${new Date(item.expiresAtUtc).toLocaleTimeString()}</span>
-                </div>
-                <div class="exec-approval-actions">
-                    <button class="btn btn-ghost btn-sm" onclick="resolveExecApproval('${escapeHtml(item.id)}','allow-once')">Allow Once</button>
-                    <button class="btn btn-primary btn-sm" onclick="resolveExecApproval('${escapeHtml(item.id)}','allow-always')">Allow Always</button>
-                    <button class="btn btn-danger btn-sm" onclick="resolveExecApproval('${escapeHtml(item.id)}','deny')">Deny</button>
-                </div>
-            </div>
-        `).join('');
-    } catch (err) {
-        if (status) {
-            status.textContent = 'Failed to load approvals';
-            status.style.color = 'var(--error)';
-        }
-        list.innerHTML = '<div class="empty-state">Failed to load pending approvals.</div>';
-    }
-}
-
-window.resolveExecApproval = async function(id, decision) {
-    try {
-        const response = await fetch(`${API.execApprovalsResolve}/${encodeURIComponent(id)}/resolve`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ decision }),
-        });
-        const result = await response.json();
-        if (!response.ok || result.error) {
-            showToast(result.message || 'Failed to resolve approval');
-            return;
-        }
-        showToast(`Approval ${decision}`);
-        await loadExecApprovals();
-    } catch (err) {
-        showToast(`Failed to resolve approval: ${err.message}`);
+        statusEl.textContent = `✗ Error: ${err.message}`;
+        statusEl.style.color = 'var(--error)';
     }
-};
+
+    // Clear status after 5 seconds
+    setTimeout(() => { statusEl.textContent = ''; }, 5000);
+}
+
+function parseCsvList(raw) {
+    const values = (raw || '')
+        .split(',')
+        .map(x => x.trim())
+        .filter(Boolean);
+    return [...new Set(values)];
+}
+
+function parseLineList(raw) {
+    return (raw || '')
+        .split(/\r?\n/)
+        .map(x => x.trim())
+        .filter(Boolean);
+}
 
 async function loadMediaAssets() {
     const list = document.getElementById('media-assets-list');
@@ -1386,6 +4105,233 @@ async function cleanupMediaAssets() {
     }
 }
 
+// ============================================================================
+// Exec Approvals
+// ============================================================================
+// Approvals can be requested by any channel (Telegram, Slack, cron, …), so the
+// pending queue is polled in the background: the sidebar shows the count and a
+// browser notification is raised for each new request.
+
+const APPROVALS_POLL_MS = 5000;
+
+let approvalsPollTimer = null;
+let knownApprovalIds = null; // null until the first poll, so existing requests don't notify
+
+function initApprovals() {
+    document.getElementById('refresh-exec-approvals-btn')?.addEventListener('click', loadExecApprovals);
+    document.getElementById('approval-notifications-btn')?.addEventListener('click', enableApprovalNotifications);
+    updateApprovalNotificationsButton();
+
+    pollExecApprovals();
+    approvalsPollTimer = setInterval(pollExecApprovals, APPROVALS_POLL_MS);
+}
+
+async function pollExecApprovals() {
+    try {
+        const response = await fetch(API.execApprovalsPending);
+        if (!response.ok) return;
+        const data = await response.json();
+        const pending = data.pending || [];
+
+        updateApprovalsCount(pending.length);
+        notifyNewApprovals(pending);
+
+        if (document.getElementById('panel-approvals')?.classList.contains('active')) {
+            renderExecApprovals(pending);
+            loadExecApprovalHistory();
+        }
+    } catch {
+        // Server unreachable; the next poll will retry
+    }
+}
+
+function updateApprovalsCount(count) {
+    const badge = document.getElementById('approvals-count');
+    if (!badge) return;
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
+}
+
+function notifyNewApprovals(pending) {
+    const ids = new Set(pending.map(item => item.id));
+    const isFirstPoll = knownApprovalIds === null;
+    const fresh = isFirstPoll ? [] : pending.filter(item => !knownApprovalIds.has(item.id));
+    knownApprovalIds = ids;
+
+    if (fresh.length === 0 || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    for (const item of fresh) {
+        const notification = new Notification('Sharpbot: command needs approval', {
+            body: `${item.sessionKey ? `[${item.sessionKey}] ` : ''}${item.command}`,
+            tag: `exec-approval-${item.id}`,
+            requireInteraction: true,
+        });
+        notification.onclick = () => {
+            window.focus();
+            switchTab('approvals');
+            notification.close();
+        };
+    }
+}
+
+async function enableApprovalNotifications() {
+    if (!('Notification' in window)) {
+        showToast('Notifications are not supported by this browser');
+        return;
+    }
+    const permission = await Notification.requestPermission();
+    showToast(permission === 'granted' ? 'Approval notifications enabled' : 'Notifications were not allowed');
+    updateApprovalNotificationsButton();
+}
+
+function updateApprovalNotificationsButton() {
+    const button = document.getElementById('approval-notifications-btn');
+    if (!button) return;
+    const supported = 'Notification' in window;
+    button.classList.toggle('hidden', !supported || Notification.permission === 'granted');
+    button.disabled = supported && Notification.permission === 'denied';
+    if (button.disabled) button.title = 'Notifications are blocked in the browser settings';
+}
+
+async function loadExecApprovals() {
+    const list = document.getElementById('exec-approvals-list');
+    const status = document.getElementById('exec-approvals-status');
+    if (!list) return;
+
+    try {
+        const response = await fetch(API.execApprovalsPending);
+        const data = await response.json();
+        const pending = data.pending || [];
+        updateApprovalsCount(pending.length);
+        renderExecApprovals(pending);
+        await loadExecApprovalHistory();
+    } catch (err) {
+        if (status) {
+            status.textContent = 'Failed to load approvals';
+            status.style.color = 'var(--error)';
+        }
+        list.innerHTML = '<div class="empty-state">Failed to load pending approvals.</div>';
+    }
+}
+
+function renderExecApprovals(pending) {
+    const list = document.getElementById('exec-approvals-list');
+    const status = document.getElementById('exec-approvals-status');
+    if (!list) return;
+
+    if (status) {
+        status.textContent = pending.length > 0 ? `${pending.length} pending` : 'No pending approvals';
+        status.style.color = pending.length > 0 ? 'var(--warning)' : 'var(--text-secondary)';
+    }
+
+    if (pending.length === 0) {
+        list.innerHTML = '<div class="empty-state">No pending approvals.</div>';
+        return;
+    }
+
+    list.innerHTML = pending.map(item => `
+        <div class="exec-approval-card">
+            <div class="exec-approval-header">
+                <span class="exec-approval-id">${escapeHtml(item.id.slice(0, 8))}</span>
+                <span class="badge badge-warning">Pending</span>
+            </div>
+            <div class="exec-approval-command"><code>${escapeHtml(item.command)}</code></div>
+            <div class="exec-approval-meta">
+                ${item.sessionKey ? `<span>Session: ${escapeHtml(item.sessionKey)}</span>` : ''}
+                <span>Security: ${escapeHtml(item.security || '-')}</span>
+                <span>Ask: ${escapeHtml(item.ask || '-')}</span>
+                <span>Expires: ${new Date(item.expiresAtUtc).toLocaleTimeString()}</span>
+            </div>
+            <div class="exec-approval-actions">
+                <button class="btn btn-ghost btn-sm" onclick="resolveExecApproval('${escapeHtml(item.id)}','allow-once')">Allow Once</button>
+                <button class="btn btn-primary btn-sm" onclick="resolveExecApproval('${escapeHtml(item.id)}','allow-always')">Allow Always</button>
+                <button class="btn btn-danger btn-sm" onclick="resolveExecApproval('${escapeHtml(item.id)}','deny')">Deny</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+const APPROVAL_OUTCOME_BADGES = {
+    'allow-once': ['badge-success', 'Allowed once'],
+    'allow-always': ['badge-success', 'Allowed always'],
+    'deny': ['badge-error', 'Denied'],
+    'expired': ['badge-warning', 'Expired'],
+    'cancelled': ['badge-neutral', 'Cancelled'],
+};
+
+const APPROVAL_HISTORY_PAGE_SIZE = 50;
+let approvalHistory = []; // settled approvals shown in the panel, newest first
+let approvalHistoryNextBefore = null; // paging cursor for older entries (null: none left)
+
+// Refresh the newest entries (as many as are shown), or with `older` append the next page back
+async function loadExecApprovalHistory(older = false) {
+    const list = document.getElementById('exec-approvals-history');
+    if (!list) return;
+
+    const params = new URLSearchParams();
+    if (older) {
+        if (approvalHistoryNextBefore === null) return;
+        params.set('limit', APPROVAL_HISTORY_PAGE_SIZE);
+        params.set('before', approvalHistoryNextBefore);
+    } else {
+        params.set('limit', Math.min(Math.max(approvalHistory.length, APPROVAL_HISTORY_PAGE_SIZE), 200));
+    }
+
+    try {
+        const response = await fetch(`${API.execApprovalsHistory}?${params}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        approvalHistory = older ? [...approvalHistory, ...(data.history || [])] : data.history || [];
+        approvalHistoryNextBefore = data.nextBefore ?? null;
+        renderExecApprovalHistory();
+    } catch {
+        if (older) showToast('Failed to load older approvals');
+        else list.innerHTML = '<div class="empty-state">Failed to load approval history.</div>';
+    }
+}
+
+function renderExecApprovalHistory() {
+    const list = document.getElementById('exec-approvals-history');
+    if (approvalHistory.length === 0) {
+        list.innerHTML = '<div class="empty-state">No decisions yet.</div>';
+        return;
+    }
+
+    list.innerHTML = approvalHistory.map(item => {
+        const [cls, label] = APPROVAL_OUTCOME_BADGES[item.outcome] || ['badge-neutral', item.outcome];
+        return `
+            <div class="approvals-history-row">
+                <span class="badge ${cls}">${escapeHtml(label)}</span>
+                <code class="approvals-history-command" title="${Markdown.escape(item.command)}">${escapeHtml(item.command)}</code>
+                <span class="approvals-history-meta">${item.sessionKey ? `${escapeHtml(item.sessionKey)} · ` : ''}${new Date(item.settledAtUtc).toLocaleString()}</span>
+            </div>
+        `;
+    }).join('') + (approvalHistoryNextBefore !== null
+        ? '<button class="btn btn-ghost btn-sm approvals-history-more" onclick="loadExecApprovalHistory(true)">Load older</button>'
+        : '');
+}
+
+window.resolveExecApproval = async function(id, decision) {
+    try {
+        const response = await fetch(`${API.execApprovalsResolve}/${encodeURIComponent(id)}/resolve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ decision }),
+        });
+        const result = await response.json();
+        if (!response.ok || result.error) {
+            showToast(result.message || 'Failed to resolve approval');
+            return false;
+        }
+        showToast(`Approval ${decision}`);
+        await pollExecApprovals();
+        return true;
+    } catch (err) {
+        showToast(`Failed to resolve approval: ${err.message}`);
+        return false;
+    }
+};
+
 // ============================================================================
 // Cron Jobs
 // ============================================================================
@@ -1709,7 +4655,11 @@ function formatUptime(seconds) {
 // ============================================================================
 // Usage Tracking
 // ============================================================================
-let usageActivePeriod = '7d';
+const USAGE_DEFAULT_PERIOD = '7d';
+const USAGE_PERIODS = ['today', '7d', '30d', 'all'];
+const USAGE_SORTS = ['recent', 'tokens', 'messages', 'errors'];
+
+let usageActivePeriod = USAGE_DEFAULT_PERIOD; // a USAGE_PERIODS entry, or 'custom' for picked dates
 let _lastUsageSummary = null;
 let _lastUsageHistory = [];
 
@@ -1739,6 +4689,7 @@ function initUsage() {
             btn.classList.add('active');
             applyUsagePeriodDates(usageActivePeriod);
             loadUsage();
+            syncRoute();
         });
     });
 
@@ -1746,14 +4697,35 @@ function initUsage() {
     document.getElementById('usage-date-from')?.addEventListener('change', () => {
         usageActivePeriod = 'custom';
         document.querySelectorAll('.usage-quick-btn').forEach(b => b.classList.remove('active'));
+        syncRoute();
     });
     document.getElementById('usage-date-to')?.addEventListener('change', () => {
         usageActivePeriod = 'custom';
         document.querySelectorAll('.usage-quick-btn').forEach(b => b.classList.remove('active'));
+        syncRoute();
     });
 
     // Set initial date values and load
-    applyUsagePeriodDates('7d');
+    applyUsagePeriodDates(USAGE_DEFAULT_PERIOD);
+}
+
+// from/to (YYYY-MM-DD) pick a custom range; otherwise period is one of the quick buttons
+function applyUsageRoute(params) {
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    const from = params.get('from');
+    const to = params.get('to');
+    if (isDate(from) || isDate(to)) {
+        usageActivePeriod = 'custom';
+        document.getElementById('usage-date-from').value = isDate(from) ? from : '';
+        document.getElementById('usage-date-to').value = isDate(to) ? to : '';
+    } else {
+        usageActivePeriod = USAGE_PERIODS.includes(params.get('period')) ? params.get('period') : USAGE_DEFAULT_PERIOD;
+        applyUsagePeriodDates(usageActivePeriod);
+    }
+    document.querySelectorAll('.usage-quick-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.period === usageActivePeriod);
+    });
+    _sessionsSort = USAGE_SORTS.includes(params.get('sort')) ? params.get('sort') : 'recent';
 }
 
 function applyUsagePeriodDates(period) {
@@ -2188,7 +5160,6 @@ function renderUsageSessions(s) {
     }
 
     _sessionsData = s.sessions;
-    _sessionsSort = 'recent';
     renderSessionsPanel();
 }
 
@@ -2259,6 +5230,7 @@ function renderSessionsPanel() {
         btn.addEventListener('click', () => {
             _sessionsSort = btn.dataset.sort;
             renderSessionsPanel();
+            syncRoute();
         });
     });
 }
@@ -2416,6 +5388,439 @@ async function clearUsage() {
     }
 }
 
+// ============================================================================
+// Keyboard Shortcuts & Command Palette
+// ============================================================================
+// Keyboard actions are commands with default key combos; the keymap is those defaults with the
+// user's overrides from the `?` cheat sheet on top (stored in localStorage). Ctrl/Cmd+K opens a
+// palette over the same commands plus tabs, sessions, pending exec approvals and cron jobs.
+// Combos are written like "Mod+Shift+O", where Mod is Cmd on macOS and Ctrl elsewhere.
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+const PALETTE_MAX_ITEMS = 50;
+
+const SHORTCUT_COMMANDS = [
+    { id: 'palette', group: 'General', title: 'Open command palette', keys: ['Mod+K'], run: () => toggleCommandPalette() },
+    { id: 'shortcuts', group: 'General', title: 'Show keyboard shortcuts', keys: ['?'], run: () => toggleShortcutHelp() },
+    { id: 'theme', group: 'General', title: 'Toggle light/dark theme', keys: [], run: () => document.getElementById('theme-toggle').click() },
+    { id: 'chat.new', group: 'Chat', title: 'New chat', keys: ['Mod+Shift+O'], run: () => { switchTab('chat'); startNewChat(); } },
+    { id: 'chat.newTab', group: 'Chat', title: 'New chat in a new tab', keys: [], run: () => { switchTab('chat'); startNewChat(true); } },
+    { id: 'chat.focus', group: 'Chat', title: 'Focus the message box', keys: ['Shift+Escape'], run: () => focusComposer() },
+    { id: 'chat.stop', group: 'Chat', title: 'Stop generating', keys: ['Mod+.'], run: () => stopGeneration() },
+    { id: 'chat.split', group: 'Chat', title: 'Toggle split view', keys: ['Mod+\\'], run: () => { switchTab('chat'); toggleChatSplit(); } },
+    { id: 'chat.nextTab', group: 'Chat', title: 'Next chat tab', keys: [], run: () => cycleChatTab(1) },
+    { id: 'chat.previousTab', group: 'Chat', title: 'Previous chat tab', keys: [], run: () => cycleChatTab(-1) },
+    { id: 'chat.closeTab', group: 'Chat', title: 'Close chat tab', keys: [], run: () => closeChatTab(currentSessionId) },
+    { id: 'chat.search', group: 'Chat', title: 'Search all conversations', keys: ['Mod+Shift+F'], run: () => searchAllConversations() },
+    { id: 'logs.clear', group: 'Logs', title: 'Clear logs', keys: [], run: () => clearLogs() },
+];
+
+// Keys handled by the message box itself; listed on the cheat sheet, not rebindable
+const COMPOSER_SHORTCUTS = [
+    ['Enter', 'Send message'],
+    ['Shift+Enter', 'New line'],
+    ['/', 'Slash commands (at the start of the message)'],
+    ['Mod+Enter', 'Send an edited message'],
+    ['Escape', 'Close a menu or cancel an edit'],
+];
+
+let shortcutCommands = []; // SHORTCUT_COMMANDS plus a "Go to" command per nav tab
+let keyBindingOverrides = {}; // command id -> combos, replacing the defaults
+let shortcutRecorder = null; // id of the command whose new combo is being recorded
+let paletteState = { items: [], selected: 0, extras: [], requestId: 0, returnFocus: null };
+
+function initShortcuts() {
+    const tabs = [...document.querySelectorAll('.nav-link')].map(link => ({
+        id: `go.${link.dataset.tab}`,
+        group: 'Navigation',
+        title: `Go to ${link.textContent.trim()}`,
+        keys: [],
+        run: () => switchTab(link.dataset.tab),
+    }));
+    shortcutCommands = [...SHORTCUT_COMMANDS, ...tabs];
+
+    try {
+        keyBindingOverrides = JSON.parse(localStorage.getItem('sharpbot-keybindings')) || {};
+    } catch {
+        keyBindingOverrides = {};
+    }
+
+    // Capture phase, so a combo being recorded never reaches the page
+    document.addEventListener('keydown', recordShortcutKey, true);
+    document.addEventListener('keydown', handleShortcutKey);
+
+    const input = document.getElementById('command-palette-input');
+    input.addEventListener('input', () => {
+        paletteState.selected = 0;
+        renderCommandPalette();
+    });
+    input.addEventListener('keydown', handlePaletteKey);
+    document.getElementById('command-palette').addEventListener('mousedown', (e) => {
+        if (e.target.id === 'command-palette') closeCommandPalette();
+    });
+    document.getElementById('shortcut-help').addEventListener('mousedown', (e) => {
+        if (e.target.id === 'shortcut-help') closeShortcutHelp();
+    });
+    document.getElementById('shortcut-help-close').addEventListener('click', closeShortcutHelp);
+    document.getElementById('shortcut-help-reset').addEventListener('click', () => {
+        keyBindingOverrides = {};
+        localStorage.removeItem('sharpbot-keybindings');
+        renderShortcutHelp();
+        showToast('Shortcuts reset to the defaults');
+    });
+}
+
+function commandKeys(command) {
+    return keyBindingOverrides[command.id] ?? command.keys;
+}
+
+function setCommandKeys(id, keys) {
+    const command = shortcutCommands.find(c => c.id === id);
+    if (keys.join(' ') === command.keys.join(' ')) delete keyBindingOverrides[id];
+    else keyBindingOverrides[id] = keys;
+    localStorage.setItem('sharpbot-keybindings', JSON.stringify(keyBindingOverrides));
+}
+
+// The combo of a keydown, e.g. "Mod+Shift+O" or "?"; null for a lone modifier
+function eventCombo(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta', 'AltGraph'].includes(e.key)) return null;
+    // Option on macOS changes e.key (Option+K is "˚"), so letters and digits come from the key position
+    let key = e.altKey && /^(Key[A-Z]|Digit\d)$/.test(e.code) ? e.code.slice(-1) : e.key;
+    if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+    if (IS_MAC && e.ctrlKey) parts.push('Ctrl');
+    if (!IS_MAC && e.metaKey) parts.push('Meta');
+    if (e.altKey) parts.push('Alt');
+    // Shifted symbols are their own key ("?" rather than Shift+/)
+    if (e.shiftKey && (key.length > 1 || key.toLowerCase() !== key)) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+const KEY_LABELS = {
+    Mod: IS_MAC ? '⌘' : 'Ctrl',
+    Ctrl: '⌃',
+    Meta: 'Win',
+    Alt: IS_MAC ? '⌥' : 'Alt',
+    Shift: IS_MAC ? '⇧' : 'Shift',
+    Escape: 'Esc',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+};
+
+function renderCombo(combo) {
+    return `<span class="kbd-combo">${combo.split(/\+(?!$)/).map(part => `<kbd>${escapeHtml(KEY_LABELS[part] || part)}</kbd>`).join('')}</span>`;
+}
+
+function isShortcutOverlayOpen() {
+    return !document.getElementById('command-palette').classList.contains('hidden')
+        || !document.getElementById('shortcut-help').classList.contains('hidden');
+}
+
+function handleShortcutKey(e) {
+    if (e.defaultPrevented || e.isComposing) return;
+    if (e.key === 'Escape' && !document.getElementById('shortcut-help').classList.contains('hidden')) {
+        closeShortcutHelp();
+        return;
+    }
+
+    const combo = eventCombo(e);
+    if (!combo) return;
+    // In text fields only combos with Ctrl/Cmd/Alt, or Shift plus a non-character key, are shortcuts
+    const typing = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+    if (typing && !/(^|\+)(Mod|Ctrl|Meta|Alt)\+/.test(combo) && !/^Shift\+\w{2,}$/.test(combo)) return;
+
+    const command = shortcutCommands.find(c => commandKeys(c).includes(combo));
+    if (!command) return;
+    // Behind an overlay only the overlay toggles themselves work
+    if (isShortcutOverlayOpen() && !['palette', 'shortcuts'].includes(command.id)) return;
+
+    e.preventDefault();
+    command.run();
+}
+
+function focusComposer() {
+    switchTab('chat');
+    focusedPane.el.querySelector('.chat-input').focus();
+}
+
+function cycleChatTab(delta) {
+    const at = chatTabs.indexOf(currentSessionId);
+    switchTab('chat');
+    showChat(chatTabs[(at + delta + chatTabs.length) % chatTabs.length]);
+}
+
+function searchAllConversations(query = null) {
+    const input = document.getElementById('session-search');
+    document.getElementById('sidebar')?.classList.add('open');
+    if (query !== null) {
+        input.value = query;
+        searchSessions(query.trim());
+    }
+    input.focus();
+    input.select();
+}
+
+// ── Command palette ──
+
+function toggleCommandPalette() {
+    if (document.getElementById('command-palette').classList.contains('hidden')) openCommandPalette();
+    else closeCommandPalette();
+}
+
+function openCommandPalette() {
+    closeShortcutHelp();
+    paletteState.returnFocus = document.activeElement;
+    paletteState.selected = 0;
+    paletteState.extras = [];
+    document.getElementById('command-palette').classList.remove('hidden');
+    const input = document.getElementById('command-palette-input');
+    input.value = '';
+    renderCommandPalette();
+    input.focus();
+    loadPaletteExtras();
+}
+
+function closeCommandPalette(restoreFocus = true) {
+    const overlay = document.getElementById('command-palette');
+    if (overlay.classList.contains('hidden')) return;
+    overlay.classList.add('hidden');
+    paletteState.requestId++;
+    if (restoreFocus) paletteState.returnFocus?.focus?.();
+}
+
+// Pending exec approvals and cron jobs change on the server, so they are fetched on each open
+async function loadPaletteExtras() {
+    const requestId = ++paletteState.requestId;
+    const [approvals, cron] = await Promise.all([
+        fetch(API.execApprovalsPending).then(r => r.json()).catch(() => null),
+        fetch(API.cron).then(r => r.json()).catch(() => null),
+    ]);
+    if (requestId !== paletteState.requestId) return;
+
+    paletteState.extras = [
+        ...(approvals?.pending || []).flatMap(item => [
+            {
+                label: `Allow once: ${item.command}`,
+                hint: `Exec approval${item.sessionKey ? ` · ${item.sessionKey}` : ''}`,
+                run: () => resolveExecApproval(item.id, 'allow-once'),
+            },
+            {
+                label: `Deny: ${item.command}`,
+                hint: `Exec approval${item.sessionKey ? ` · ${item.sessionKey}` : ''}`,
+                run: () => resolveExecApproval(item.id, 'deny'),
+            },
+        ]),
+        ...(cron?.jobs || []).map(job => ({
+            label: `Run cron job: ${job.name}`,
+            hint: 'Cron',
+            run: () => runCronJob(job.id),
+        })),
+    ];
+    renderCommandPalette();
+}
+
+function paletteItems(query) {
+    const commands = shortcutCommands
+        .filter(c => c.id !== 'palette')
+        .map(c => ({ label: c.title, hint: c.group, keys: commandKeys(c), run: c.run }));
+    const sessions = [...knownSessions.keys()].map(key => ({
+        label: `Open chat: ${sessionTitle(key)}`,
+        hint: key,
+        run: () => {
+            switchTab('chat');
+            switchSession(key);
+        },
+    }));
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const score = (item) => {
+        const label = item.label.toLowerCase();
+        if (!words.every(w => `${label} ${item.hint.toLowerCase()}`.includes(w))) return -1;
+        if (words.length === 0) return 0;
+        return label.startsWith(words[0]) ? 0 : label.includes(words[0]) ? 1 : 2;
+    };
+    const items = [...commands, ...paletteState.extras, ...sessions]
+        .map(item => ({ item, rank: score(item) }))
+        .filter(({ rank }) => rank >= 0)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, PALETTE_MAX_ITEMS)
+        .map(({ item }) => item);
+
+    if (query.trim()) {
+        items.push({
+            label: `Search messages for “${query.trim()}”`,
+            hint: 'Search',
+            run: () => searchAllConversations(query),
+        });
+    }
+    return items;
+}
+
+function renderCommandPalette() {
+    const query = document.getElementById('command-palette-input').value;
+    const list = document.getElementById('command-palette-list');
+    paletteState.items = paletteItems(query);
+    paletteState.selected = Math.min(paletteState.selected, Math.max(0, paletteState.items.length - 1));
+
+    if (paletteState.items.length === 0) {
+        list.innerHTML = '<div class="palette-empty">No matching commands</div>';
+        return;
+    }
+    list.innerHTML = paletteState.items.map((item, i) => `
+        <div class="palette-item ${i === paletteState.selected ? 'active' : ''}" data-index="${i}" role="option">
+            <span class="palette-item-label">${escapeHtml(item.label)}</span>
+            <span class="palette-item-hint">${escapeHtml(item.hint)}</span>
+            ${(item.keys || []).slice(0, 1).map(renderCombo).join('')}
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.palette-item').forEach(el => {
+        const i = parseInt(el.dataset.index, 10);
+        el.addEventListener('mousemove', () => {
+            if (paletteState.selected === i) return;
+            paletteState.selected = i;
+            list.querySelectorAll('.palette-item').forEach(other => other.classList.toggle('active', other === el));
+        });
+        el.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the input
+        el.addEventListener('click', () => runPaletteItem(i));
+    });
+    list.querySelector('.palette-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+function runPaletteItem(i) {
+    const item = paletteState.items[i];
+    if (!item) return;
+    closeCommandPalette(false);
+    item.run();
+}
+
+function handlePaletteKey(e) {
+    const count = paletteState.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (count === 0) return;
+        paletteState.selected = (paletteState.selected + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+        renderCommandPalette();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteItem(paletteState.selected);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeCommandPalette();
+    }
+}
+
+// ── Cheat sheet ──
+
+function toggleShortcutHelp() {
+    if (document.getElementById('shortcut-help').classList.contains('hidden')) openShortcutHelp();
+    else closeShortcutHelp();
+}
+
+function openShortcutHelp() {
+    closeCommandPalette(false);
+    document.getElementById('shortcut-help').classList.remove('hidden');
+    renderShortcutHelp();
+}
+
+function closeShortcutHelp() {
+    shortcutRecorder = null;
+    document.getElementById('shortcut-help').classList.add('hidden');
+}
+
+function renderShortcutHelp() {
+    const groups = new Map();
+    for (const command of shortcutCommands) {
+        if (!groups.has(command.group)) groups.set(command.group, []);
+        groups.get(command.group).push(command);
+    }
+
+    const commandRow = (command) => {
+        const keys = commandKeys(command);
+        const recording = shortcutRecorder === command.id;
+        const binding = recording
+            ? '<span class="shortcut-recording">Press keys… (Esc cancels, Backspace removes)</span>'
+            : keys.length > 0 ? keys.map(renderCombo).join(' ') : '<span class="shortcut-unbound">—</span>';
+        return `
+            <div class="shortcut-row">
+                <span class="shortcut-title">${escapeHtml(command.title)}</span>
+                <span class="shortcut-keys">${binding}</span>
+                <span class="shortcut-actions">
+                    <button class="btn btn-ghost btn-sm" data-command="${command.id}" onclick="recordShortcut(this)">${recording ? 'Cancel' : 'Change'}</button>
+                    ${keyBindingOverrides[command.id] ? `<button class="btn btn-ghost btn-sm" data-command="${command.id}" onclick="resetShortcut(this)" title="Back to ${escapeHtml(command.keys.join(', ') || 'none')}">Reset</button>` : ''}
+                </span>
+            </div>
+        `;
+    };
+
+    document.getElementById('shortcut-help-body').innerHTML = [...groups].map(([group, commands]) => `
+        <div class="shortcut-group">
+            <h4>${escapeHtml(group)}</h4>
+            ${commands.map(commandRow).join('')}
+        </div>
+    `).join('') + `
+        <div class="shortcut-group">
+            <h4>Message box</h4>
+            ${COMPOSER_SHORTCUTS.map(([combo, title]) => `
+                <div class="shortcut-row">
+                    <span class="shortcut-title">${escapeHtml(title)}</span>
+                    <span class="shortcut-keys">${renderCombo(combo)}</span>
+                    <span class="shortcut-actions"></span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function recordShortcut(button) {
+    const id = button.dataset.command;
+    shortcutRecorder = shortcutRecorder === id ? null : id;
+    renderShortcutHelp();
+}
+
+function resetShortcut(button) {
+    delete keyBindingOverrides[button.dataset.command];
+    localStorage.setItem('sharpbot-keybindings', JSON.stringify(keyBindingOverrides));
+    renderShortcutHelp();
+}
+
+function recordShortcutKey(e) {
+    if (!shortcutRecorder) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const id = shortcutRecorder;
+
+    if (e.key === 'Escape' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        shortcutRecorder = null;
+        renderShortcutHelp();
+        return;
+    }
+    const combo = eventCombo(e);
+    if (!combo) return; // wait for a key to go with the modifiers
+
+    shortcutRecorder = null;
+    if (combo === 'Backspace' || combo === 'Delete') {
+        setCommandKeys(id, []);
+        renderShortcutHelp();
+        return;
+    }
+
+    // A combo runs one command: take it away from whichever command had it
+    const previous = shortcutCommands.find(c => c.id !== id && commandKeys(c).includes(combo));
+    if (previous) {
+        setCommandKeys(previous.id, commandKeys(previous).filter(k => k !== combo));
+        showToast(`${combo} no longer runs "${previous.title}"`);
+    }
+    setCommandKeys(id, [combo]);
+    renderShortcutHelp();
+}
+
 // ============================================================================
 // Theme
 // ============================================================================
@@ -2458,6 +5863,23 @@ function escapeHtml(str) {
     return div.innerHTML;
 }
 
+// navigator.clipboard only exists in secure contexts; fall back for plain-http LAN access
+async function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const ok = document.execCommand('copy');
+    textarea.remove();
+    if (!ok) throw new Error('Copy command was rejected');
+}
+
 function showToast(message) {
     const existing = document.querySelector('.toast');
     if (existing) existing.remove();
@@ -0,0 +1,139 @@
+// ============================================================================
+// Sharpbot — Offline chat store (IndexedDB)
+// ============================================================================
+// Keeps what should survive a reload or a dropped connection, per session key:
+//   drafts       composer text that was not sent yet
+//   transcripts  messages of recently viewed chats, shown at once on open while the server
+//                copy loads (the least recently viewed are evicted past MAX_TRANSCRIPTS)
+//   failedTurns  the last message whose send failed, so it can still be retried after a reload
+//
+// The server stays the source of truth; this is a cache. Calls never reject: they resolve to
+// null when there is nothing stored or IndexedDB is unavailable (e.g. some private windows).
+const ChatStore = (() => {
+    const DB_NAME = 'sharpbot-chat';
+    const DB_VERSION = 1;
+    const MAX_TRANSCRIPTS = 20;
+
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve) => {
+                let request;
+                try {
+                    request = indexedDB.open(DB_NAME, DB_VERSION);
+                } catch (err) {
+                    console.warn('Chat store unavailable:', err);
+                    resolve(null);
+                    return;
+                }
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('drafts', { keyPath: 'key' });
+                    db.createObjectStore('transcripts', { keyPath: 'key' }).createIndex('viewedAt', 'viewedAt');
+                    db.createObjectStore('failedTurns', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Chat store unavailable:', request.error);
+                    resolve(null);
+                };
+                request.onblocked = () => resolve(null);
+            });
+        }
+        return dbPromise;
+    }
+
+    // Run `work(store)` in one transaction; resolves to the result of the request it returns
+    async function run(storeName, mode, work) {
+        const db = await open();
+        if (!db) return null;
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(storeName, mode);
+                const request = work(tx.objectStore(storeName));
+                tx.oncomplete = () => resolve(request?.result ?? null);
+                tx.onerror = tx.onabort = () => {
+                    console.warn(`Chat store ${storeName} ${mode} failed:`, tx.error);
+                    resolve(null);
+                };
+            } catch (err) {
+                // DataCloneError and friends: skip the write, keep the page working
+                console.warn(`Chat store ${storeName} ${mode} failed:`, err);
+                resolve(null);
+            }
+        });
+    }
+
+    const get = (storeName, key) => run(storeName, 'readonly', store => store.get(key));
+    const put = (storeName, record) => run(storeName, 'readwrite', store => store.put(record));
+    const remove = (storeName, key) => run(storeName, 'readwrite', store => store.delete(key));
+
+    // ── Drafts ──────────────────────────────────────────────────────────────
+
+    async function getDraft(key) {
+        return (await get('drafts', key))?.text ?? null;
+    }
+
+    /** Save composer text; an empty draft is deleted. */
+    function saveDraft(key, text) {
+        return text ? put('drafts', { key, text, updatedAt: Date.now() }) : remove('drafts', key);
+    }
+
+    // ── Transcripts ─────────────────────────────────────────────────────────
+
+    /** @returns {Promise<{ messages: object[], offset: number } | null>} */
+    async function getTranscript(key) {
+        const record = await get('transcripts', key);
+        return record ? { messages: record.messages, offset: record.offset } : null;
+    }
+
+    /** Cache display messages (and the server offset of the first one), evicting the stalest chats. */
+    function saveTranscript(key, messages, offset) {
+        return run('transcripts', 'readwrite', (store) => {
+            store.put({ key, messages, offset, viewedAt: Date.now() });
+            const count = store.count();
+            count.onsuccess = () => {
+                let excess = count.result - MAX_TRANSCRIPTS;
+                if (excess <= 0) return;
+                store.index('viewedAt').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor || excess-- <= 0) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            };
+        });
+    }
+
+    // ── Failed turns ────────────────────────────────────────────────────────
+
+    /** @returns {Promise<{ text: string, attachments: object[], overrides: object, error: string } | null>} */
+    function getFailedTurn(key) {
+        return get('failedTurns', key);
+    }
+
+    function saveFailedTurn(key, turn) {
+        return put('failedTurns', { ...turn, key, failedAt: Date.now() });
+    }
+
+    function clearFailedTurn(key) {
+        return remove('failedTurns', key);
+    }
+
+    /** Drop everything stored for a session (it was deleted or cleared). */
+    async function forget(key) {
+        await Promise.all(['drafts', 'transcripts', 'failedTurns'].map(name => remove(name, key)));
+    }
+
+    return {
+        getDraft,
+        saveDraft,
+        getTranscript,
+        saveTranscript,
+        getFailedTurn,
+        saveFailedTurn,
+        clearFailedTurn,
+        forget,
+    };
+})();
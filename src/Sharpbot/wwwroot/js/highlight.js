@@ -0,0 +1,197 @@
+// ============================================================================
+// Sharpbot — Syntax highlighter for code blocks
+// ============================================================================
+// Small, self-contained (no network assets) rule-based tokenizer. Each language
+// is an ordered list of [tokenClass, regex] rules tried at the current position;
+// the first match wins and is wrapped in <span class="hl-{tokenClass}">.
+// Unmatched words are consumed whole so keywords never match inside identifiers.
+
+const Highlighter = (() => {
+    const LANGUAGES = {};
+    const SHELL_LANGUAGES = new Set();
+
+    function define(names, rules, { shell = false } = {}) {
+        const compiled = rules.map(([cls, re]) => [cls, new RegExp(re.source, re.flags.replace(/[gy]/g, '') + 'y')]);
+        for (const name of names) {
+            LANGUAGES[name] = compiled;
+            if (shell) SHELL_LANGUAGES.add(name);
+        }
+    }
+
+    const words = list => new RegExp(`(?:${list.split(' ').join('|')})\\b`);
+
+    // ── Shared rules ────────────────────────────────────────────────────────
+    const DQ_STRING = /"(?:[^"\\]|\\[\s\S])*"?/;
+    const SQ_STRING = /'(?:[^'\\]|\\[\s\S])*'?/;
+    const NUMBER = /(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/;
+    const LINE_COMMENT_SLASH = /\/\/.*/;
+    const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/;
+    const HASH_COMMENT = /#.*/;
+    const FUNCTION_CALL = /[A-Za-z_$][\w$]*(?=\s*\()/;
+
+    // ── Shell ───────────────────────────────────────────────────────────────
+    define(['bash', 'sh', 'shell', 'zsh', 'console', 'terminal', 'shellscript'], [
+        ['comment', /(?<=^|\s)#.*/],
+        ['string', DQ_STRING],
+        ['string', /'[^']*'?/],
+        ['variable', /\$(?:\{[^}]*\}?|\(|[A-Za-z_]\w*|[0-9@#?$!*-])/],
+        ['keyword', words('if then else elif fi for while until do done case esac function in select return export local readonly unset source alias')],
+        ['meta', /(?<=^|\n)[ \t]*[$#>](?=[ \t])/],
+        ['fn', /(?<=(?:^|[\n|;&({]|&&|\|\||\$\(|(?:^|\n)[ \t]*[$>])[ \t]*)[A-Za-z_./~][\w./~+-]*/],
+        ['attr', /(?<=\s)--?[A-Za-z0-9][\w-]*/],
+        ['number', /\b\d+\b/],
+        ['operator', /&&|\|\||[|;&]|>>?|<<?|2>&1/],
+    ], { shell: true });
+
+    define(['powershell', 'ps1', 'pwsh', 'ps'], [
+        ['comment', /<#[\s\S]*?(?:#>|$)/],
+        ['comment', HASH_COMMENT],
+        ['string', /@"[\s\S]*?(?:"@|$)/],
+        ['string', DQ_STRING],
+        ['string', /'(?:[^']|'')*'?/],
+        ['variable', /\$(?:\{[^}]*\}?|[A-Za-z_][\w:]*)/],
+        ['keyword', /(?:if|else|elseif|foreach|for|while|do|switch|function|param|return|try|catch|finally|throw|in|begin|process|end)\b/i],
+        ['fn', /[A-Z][a-z]+-[A-Z][A-Za-z]+/],
+        ['attr', /(?<=\s)-[A-Za-z][\w]*/],
+        ['type', /\[[A-Za-z_.]+(?:\[\])?\]/],
+        ['number', NUMBER],
+    ], { shell: true });
+
+    define(['cmd', 'bat', 'batch'], [
+        ['comment', /(?:^|(?<=\n))[ \t]*(?:rem\b|::).*/i],
+        ['string', /"[^"\n]*"?/],
+        ['variable', /%[\w~:]+%?|![\w]+!/],
+        ['keyword', /(?:if|else|for|do|in|goto|call|set|echo|exit|not|exist|defined|setlocal|endlocal)\b/i],
+    ], { shell: true });
+
+    // ── C-family ────────────────────────────────────────────────────────────
+    define(['csharp', 'cs', 'c#', 'dotnet'], [
+        ['comment', LINE_COMMENT_SLASH],
+        ['comment', BLOCK_COMMENT],
+        ['string', /\$?@"(?:[^"]|"")*"?|@?\$"(?:[^"\\]|\\[\s\S])*"?|"""[\s\S]*?(?:"""|$)/],
+        ['string', DQ_STRING],
+        ['string', /'(?:[^'\\]|\\.)'/],
+        ['meta', /(?<=^|\n)[ \t]*#\w+.*/],
+        ['keyword', words('abstract as async await base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern false finally fixed float for foreach get goto if implicit in init int interface internal is lock long namespace new null object operator out override params private protected public readonly record ref required return sbyte sealed set short sizeof stackalloc static string struct switch this throw true try typeof uint ulong unchecked unsafe ushort using var virtual void volatile when where while with yield')],
+        ['fn', FUNCTION_CALL],
+        ['type', /[A-Z][\w]*/],
+        ['number', NUMBER],
+    ]);
+
+    define(['javascript', 'js', 'jsx', 'typescript', 'ts', 'tsx', 'mjs', 'cjs'], [
+        ['comment', LINE_COMMENT_SLASH],
+        ['comment', BLOCK_COMMENT],
+        ['string', /`(?:[^`\\]|\\[\s\S])*`?/],
+        ['string', DQ_STRING],
+        ['string', SQ_STRING],
+        ['keyword', words('as async await break case catch class const continue debugger default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of private protected public readonly return set static super switch this throw true try type typeof undefined var void while with yield')],
+        ['fn', FUNCTION_CALL],
+        ['type', /[A-Z][\w$]*/],
+        ['number', NUMBER],
+    ]);
+
+    define(['json', 'jsonc', 'json5'], [
+        ['comment', LINE_COMMENT_SLASH],
+        ['comment', BLOCK_COMMENT],
+        ['property', /"(?:[^"\\]|\\.)*"(?=\s*:)/],
+        ['string', DQ_STRING],
+        ['keyword', words('true false null')],
+        ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/],
+    ]);
+
+    define(['python', 'py'], [
+        ['comment', HASH_COMMENT],
+        ['string', /[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/],
+        ['string', /[rRbBfFuU]{0,2}(?:"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/],
+        ['meta', /@[\w.]+/],
+        ['keyword', words('and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield match case self')],
+        ['fn', FUNCTION_CALL],
+        ['number', NUMBER],
+    ]);
+
+    define(['sql', 'sqlite', 'postgres', 'mysql'], [
+        ['comment', /--.*/],
+        ['comment', BLOCK_COMMENT],
+        ['string', /'(?:[^']|'')*'?/],
+        ['property', /"[^"]*"?|`[^`]*`?|\[[^\]]*\]/],
+        ['keyword', /(?:select|from|where|and|or|not|insert|into|values|update|set|delete|create|table|index|view|drop|alter|add|column|primary|key|foreign|references|join|inner|left|right|outer|on|group|by|order|having|limit|offset|as|distinct|union|all|null|is|in|like|between|case|when|then|else|end|exists|default|unique|if|begin|commit|rollback|transaction|pragma|asc|desc|integer|text|real|blob|varchar|int|boolean)\b/i],
+        ['fn', FUNCTION_CALL],
+        ['number', NUMBER],
+    ]);
+
+    define(['yaml', 'yml'], [
+        ['comment', /(?<=^|\s)#.*/],
+        ['property', /(?<=^|\n)[ \t]*(?:- )?[\w.\-"' ]+(?=:(?:\s|$))/],
+        ['string', DQ_STRING],
+        ['string', /'(?:[^']|'')*'?/],
+        ['keyword', /(?:true|false|null|yes|no|on|off|~)(?=\s|$)/i],
+        ['meta', /^---|(?<=\n)---|[&*][\w-]+|!\w+/],
+        ['number', /-?\d+(?:\.\d+)?(?=\s|$)/],
+    ]);
+
+    define(['xml', 'html', 'xaml', 'csproj', 'svg', 'razor'], [
+        ['comment', /<!--[\s\S]*?(?:-->|$)/],
+        ['meta', /<\?[\s\S]*?(?:\?>|$)|<!\w[^>]*>?/],
+        ['tag', /<\/?[\w:.-]+|\/?>/],
+        ['attr', /[\w:.-]+(?==)/],
+        ['string', /"[^"]*"?|'[^']*'?/],
+    ]);
+
+    define(['diff', 'patch'], [
+        ['meta', /(?<=^|\n)(?:@@.*|diff .*|index .*|--- .*|\+\+\+ .*)/],
+        ['inserted', /(?<=^|\n)\+.*/],
+        ['deleted', /(?<=^|\n)-.*/],
+    ]);
+
+    define(['dockerfile', 'docker'], [
+        ['comment', HASH_COMMENT],
+        ['keyword', /(?<=^|\n)[ \t]*(?:FROM|RUN|CMD|LABEL|EXPOSE|ENV|ADD|COPY|ENTRYPOINT|VOLUME|USER|WORKDIR|ARG|ONBUILD|STOPSIGNAL|HEALTHCHECK|SHELL|AS)\b/i],
+        ['string', DQ_STRING],
+        ['string', SQ_STRING],
+        ['variable', /\$(?:\{[^}]*\}?|[A-Za-z_]\w*)/],
+    ]);
+
+    // ── Tokenizer ───────────────────────────────────────────────────────────
+
+    function escape(str) {
+        return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    const PLAIN = /[A-Za-z0-9_$]+|[\s\S]/y;
+
+    /** Highlight `code` as `lang`; unknown languages are returned escaped. */
+    function highlight(code, lang) {
+        const rules = LANGUAGES[(lang || '').toLowerCase()];
+        if (!rules) return escape(code);
+
+        let out = '';
+        let plain = '';
+        let i = 0;
+
+        outer:
+        while (i < code.length) {
+            for (const [cls, re] of rules) {
+                re.lastIndex = i;
+                const m = re.exec(code);
+                if (m && m[0].length > 0) {
+                    out += escape(plain) + `<span class="hl-${cls}">${escape(m[0])}</span>`;
+                    plain = '';
+                    i += m[0].length;
+                    continue outer;
+                }
+            }
+            PLAIN.lastIndex = i;
+            const word = PLAIN.exec(code)[0];
+            plain += word;
+            i += word.length;
+        }
+
+        return out + escape(plain);
+    }
+
+    return {
+        highlight,
+        supports: lang => !!LANGUAGES[(lang || '').toLowerCase()],
+        isShell: lang => SHELL_LANGUAGES.has((lang || '').toLowerCase()),
+    };
+})();
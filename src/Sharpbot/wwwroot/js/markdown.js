@@ -0,0 +1,820 @@
+// ============================================================================
+// Sharpbot — Markdown renderer (CommonMark + GitHub Flavored Markdown)
+// ============================================================================
+// Block structure: ATX/setext headings, fenced and indented code, blockquotes,
+// nested bullet/ordered lists, task lists, GFM tables and thematic breaks.
+// Inline: code spans, emphasis (delimiter-run algorithm), strikethrough,
+// links, images, autolinks and GFM bare-URL autolinks.
+//
+// Deliberate deviations for chat:
+//   - raw HTML is never passed through; it is rendered as text
+//   - link targets are limited to http, https, mailto and relative URLs
+//   - remote images render as a click-to-load placeholder, so a reply cannot
+//     leak data to another host through an image URL just by being displayed
+//   - a single newline inside a paragraph is a line break (as in GitHub comments)
+//   - `*` between two digits is literal, so `2*3*4` stays arithmetic
+//   - link reference definitions are not supported
+//   - headings render one level down (# → h2) to sit under the page title
+
+const Markdown = (() => {
+    const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+    const PUNCTUATION = /[\p{P}\p{S}]/u;
+    const WHITESPACE = /\s/;
+
+    // ── Helpers ─────────────────────────────────────────────────────────────
+
+    function escape(str) {
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+    function decodeEntities(str) {
+        return str.replace(/&(#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/g, (m, body) => {
+            if (body[0] === '#') {
+                const code = body[1] === 'x' || body[1] === 'X'
+                    ? parseInt(body.slice(2), 16)
+                    : parseInt(body.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+            }
+            return NAMED_ENTITIES[body] ?? m;
+        });
+    }
+
+    function unescapeBackslashes(str) {
+        return str.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+    }
+
+    const LINK_SCHEMES = new Set(['http', 'https', 'mailto']);
+    const IMAGE_SCHEMES = new Set(['http', 'https']);
+
+    /**
+     * Returns the URL to use for href/src, or null if it must not be linked.
+     * Only allowlisted schemes and relative URLs pass. Browsers ignore control
+     * characters, tabs and newlines inside URLs (`java\tscript:`), so they are
+     * stripped before the scheme is checked. They also read a leading `\` as `/`,
+     * and `http:` / `https:` followed by any run of slashes (or none) as `//`, so
+     * `/\evil.com` and `https:\evil.com` are rewritten to the `//evil.com` they open.
+     */
+    function safeUrl(url, allowedSchemes = LINK_SCHEMES) {
+        const cleaned = url
+            .replace(/[\u0000-\u001f\u007f]/g, '')
+            .trim()
+            .replace(/^((?:[A-Za-z][A-Za-z0-9+.-]*:)?)([\\/]*)/, (m, scheme, slashes) =>
+                /^https?:$/i.test(scheme) ? `${scheme}//` : scheme + slashes.replace(/\\/g, '/'));
+        const scheme = /^([A-Za-z][A-Za-z0-9+.-]*):/.exec(cleaned);
+        if (scheme && !allowedSchemes.has(scheme[1].toLowerCase())) return null;
+        return cleaned;
+    }
+
+    const isBlank = line => /^[ \t]*$/.test(line);
+    const indentOf = line => line.match(/^ */)[0].length;
+
+    function expandTabs(line) {
+        return line.replace(/^[ \t]+/, lead => {
+            let col = 0;
+            for (const ch of lead) col = ch === '\t' ? col + 4 - (col % 4) : col + 1;
+            return ' '.repeat(col);
+        });
+    }
+
+    // ── Block-level line classification ─────────────────────────────────────
+
+    const BACKTICK_FENCE = /^( {0,3})(`{3,})[ \t]*([^`]*)$/;
+    const TILDE_FENCE = /^( {0,3})(~{3,})[ \t]*(.*)$/;
+    const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/;
+    const THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+    const BLOCKQUOTE = /^ {0,3}> ?/;
+    const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+    const TABLE_DELIMITER = /^ {0,3}\|?(?:[ \t]*:?-+:?[ \t]*\|)*[ \t]*:?-+:?[ \t]*\|?[ \t]*$/;
+
+    function matchFence(line) {
+        const m = BACKTICK_FENCE.exec(line) || TILDE_FENCE.exec(line);
+        if (!m) return null;
+        return { indent: m[1].length, fence: m[2], info: m[3].trim().split(/\s+/)[0] };
+    }
+
+    function matchListMarker(line) {
+        const m = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)( *)(.*)$/.exec(line);
+        if (!m) return null;
+        const [, lead, marker, spaces, rest] = m;
+        const ordered = /\d/.test(marker[0]);
+        let contentIndent = lead.length + marker.length + spaces.length;
+        let content = rest;
+        if (!rest) {
+            contentIndent = lead.length + marker.length + 1;
+        } else if (spaces.length > 4) {
+            // Content starting with 5+ spaces is indented code: the marker only consumes one
+            contentIndent = lead.length + marker.length + 1;
+            content = ' '.repeat(spaces.length - 1) + rest;
+        }
+        return {
+            ordered,
+            kind: ordered ? marker.slice(-1) : marker, // delimiter or bullet char
+            start: ordered ? parseInt(marker, 10) : 1,
+            contentIndent,
+            content,
+        };
+    }
+
+    function isTableStart(lines, i) {
+        if (i + 1 >= lines.length) return false;
+        const delimiter = lines[i + 1];
+        if (!delimiter.includes('|') || !TABLE_DELIMITER.test(delimiter)) return false;
+        return splitTableRow(lines[i]).length === splitTableRow(delimiter).length;
+    }
+
+    /** Whether `line` starts a block that may interrupt a paragraph. */
+    function interruptsParagraph(line) {
+        if (matchFence(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line)) return true;
+        const marker = matchListMarker(line);
+        return !!marker && marker.content.trim() !== '' && (!marker.ordered || marker.start === 1);
+    }
+
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += row[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    // ── Block parser ────────────────────────────────────────────────────────
+
+    function parseBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+
+        const push = (block, start) => {
+            block.afterBlank = start > 0 && isBlank(lines[start - 1]);
+            blocks.push(block);
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const start = i;
+
+            if (isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            // Fenced code
+            const fence = matchFence(line);
+            if (fence) {
+                const code = [];
+                const close = new RegExp(`^ {0,3}${fence.fence[0] === '`' ? '`' : '~'}{${fence.fence.length},}[ \\t]*$`);
+                i++;
+                while (i < lines.length && !close.test(lines[i])) {
+                    code.push(lines[i].replace(new RegExp(`^ {0,${fence.indent}}`), ''));
+                    i++;
+                }
+                i++; // closing fence (or end of input while streaming)
+                push({ type: 'code', lang: unescapeBackslashes(decodeEntities(fence.info)), text: code.join('\n') }, start);
+                continue;
+            }
+
+            // Indented code
+            if (indentOf(line) >= 4) {
+                const code = [];
+                while (i < lines.length && (indentOf(lines[i]) >= 4 || isBlank(lines[i]))) {
+                    code.push(lines[i].slice(4));
+                    i++;
+                }
+                while (code.length && isBlank(code[code.length - 1])) code.pop();
+                push({ type: 'code', lang: '', text: code.join('\n') }, start);
+                continue;
+            }
+
+            const heading = ATX_HEADING.exec(line);
+            if (heading) {
+                const text = (heading[2] || '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '');
+                push({ type: 'heading', level: heading[1].length, text }, start);
+                i++;
+                continue;
+            }
+
+            if (THEMATIC_BREAK.test(line)) {
+                push({ type: 'hr' }, start);
+                i++;
+                continue;
+            }
+
+            if (BLOCKQUOTE.test(line)) {
+                const inner = [];
+                let inFence = false;
+                while (i < lines.length) {
+                    const current = lines[i];
+                    if (BLOCKQUOTE.test(current)) {
+                        const stripped = current.replace(BLOCKQUOTE, '');
+                        if (matchFence(stripped)) inFence = !inFence;
+                        inner.push(stripped);
+                    } else if (!isBlank(current) && !inFence && inner.length && !isBlank(inner[inner.length - 1])
+                        && !interruptsParagraph(current)) {
+                        inner.push(current); // lazy continuation
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                push({ type: 'blockquote', children: parseBlocks(inner) }, start);
+                continue;
+            }
+
+            const marker = matchListMarker(line);
+            if (marker) {
+                const list = parseList(lines, i, marker);
+                i = list.end;
+                push(list.block, start);
+                continue;
+            }
+
+            if (isTableStart(lines, i)) {
+                const header = splitTableRow(line);
+                const align = splitTableRow(lines[i + 1]).map(cell => {
+                    const left = cell.startsWith(':');
+                    const right = cell.endsWith(':');
+                    return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+                });
+                const rows = [];
+                i += 2;
+                while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+                    const cells = splitTableRow(lines[i]).slice(0, header.length);
+                    while (cells.length < header.length) cells.push('');
+                    rows.push(cells);
+                    i++;
+                }
+                push({ type: 'table', header, align, rows }, start);
+                continue;
+            }
+
+            // Paragraph (possibly turned into a setext heading)
+            const para = [line];
+            i++;
+            let setextLevel = 0;
+            while (i < lines.length && !isBlank(lines[i])) {
+                const setext = SETEXT_UNDERLINE.exec(lines[i]);
+                if (setext) {
+                    setextLevel = setext[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (interruptsParagraph(lines[i]) || isTableStart(lines, i)) break;
+                para.push(lines[i]);
+                i++;
+            }
+            const text = para.map(l => l.trimStart()).join('\n');
+            push(setextLevel ? { type: 'heading', level: setextLevel, text } : { type: 'paragraph', text }, start);
+        }
+
+        return blocks;
+    }
+
+    function parseList(lines, i, first) {
+        const items = [];
+        let loose = false;
+
+        while (i < lines.length) {
+            const marker = matchListMarker(lines[i]);
+            if (!marker || marker.ordered !== first.ordered || marker.kind !== first.kind) break;
+
+            const content = [marker.content];
+            let inFence = !!matchFence(marker.content);
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (isBlank(line)) {
+                    content.push('');
+                } else if (indentOf(line) >= marker.contentIndent) {
+                    const stripped = line.slice(marker.contentIndent);
+                    if (matchFence(stripped)) inFence = !inFence;
+                    content.push(stripped);
+                } else if (!inFence && !isBlank(content[content.length - 1]) && !interruptsParagraph(line)
+                    && !matchListMarker(line)) {
+                    content.push(line); // lazy continuation
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            let trailingBlank = false;
+            while (content.length && isBlank(content[content.length - 1])) {
+                content.pop();
+                trailingBlank = true;
+            }
+
+            let task = null;
+            const taskMatch = /^\[([ xX])\](?=[ \t])/.exec(content[0] || '');
+            if (taskMatch) {
+                task = taskMatch[1] !== ' ';
+                content[0] = content[0].slice(3).trimStart();
+            }
+
+            const children = parseBlocks(content);
+            if (children.some((child, idx) => idx > 0 && child.afterBlank)) loose = true;
+            items.push({ task, children });
+
+            // A blank line between items makes the whole list loose
+            if (trailingBlank) {
+                const next = i < lines.length ? matchListMarker(lines[i]) : null;
+                if (next && next.ordered === first.ordered && next.kind === first.kind) loose = true;
+            }
+        }
+
+        return { end: i, block: { type: 'list', ordered: first.ordered, start: first.start, loose, items } };
+    }
+
+    // ── Block renderer ──────────────────────────────────────────────────────
+
+    function renderBlocks(blocks, tight = false) {
+        return blocks.map(block => renderBlock(block, tight)).join('\n');
+    }
+
+    function renderBlock(block, tight) {
+        switch (block.type) {
+            case 'paragraph':
+                return tight ? renderInline(block.text) : `<p>${renderInline(block.text)}</p>`;
+
+            case 'heading': {
+                const level = Math.min(block.level + 1, 6);
+                return `<h${level}>${renderInline(block.text)}</h${level}>`;
+            }
+
+            case 'code':
+                return renderCodeBlock(block);
+
+            case 'hr':
+                return '<hr>';
+
+            case 'blockquote':
+                return `<blockquote>${renderBlocks(block.children)}</blockquote>`;
+
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const hasTasks = block.items.some(item => item.task !== null);
+                const items = block.items.map(item => {
+                    const body = renderBlocks(item.children, !block.loose);
+                    if (item.task === null) return `<li>${body}</li>`;
+                    const checkbox = `<input type="checkbox" disabled${item.task ? ' checked' : ''}> `;
+                    return `<li class="task-list-item">${checkbox}${body}</li>`;
+                }).join('');
+                return `<${tag}${start}${hasTasks ? ' class="task-list"' : ''}>${items}</${tag}>`;
+            }
+
+            case 'table': {
+                const cell = (tagName, text, idx) => {
+                    const align = block.align[idx] ? ` style="text-align:${block.align[idx]}"` : '';
+                    return `<${tagName}${align}>${renderInline(text)}</${tagName}>`;
+                };
+                const head = `<tr>${block.header.map((text, idx) => cell('th', text, idx)).join('')}</tr>`;
+                const body = block.rows.map(row => `<tr>${row.map((text, idx) => cell('td', text, idx)).join('')}</tr>`).join('');
+                return `<div class="table-wrap"><table><thead>${head}</thead>${body ? `<tbody>${body}</tbody>` : ''}</table></div>`;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Code block with a header (language label + actions). The buttons carry
+     * `data-code-action` and are handled by a delegated listener in app.js.
+     */
+    function renderCodeBlock(block) {
+        const lang = block.lang.toLowerCase();
+        const body = typeof Highlighter !== 'undefined' ? Highlighter.highlight(block.text, lang) : escape(block.text);
+        const langClass = lang ? ` class="language-${escape(lang)}"` : '';
+        const shellAction = typeof Highlighter !== 'undefined' && Highlighter.isShell(lang)
+            ? '<button type="button" class="code-action" data-code-action="shell" title="Ask the agent to run this with the exec tool">Send to shell</button>'
+            : '';
+        return `<div class="code-block">` +
+            `<div class="code-block-header">` +
+            `<span class="code-lang">${escape(block.lang || 'text')}</span>` +
+            `<span class="code-actions">${shellAction}` +
+            `<button type="button" class="code-action" data-code-action="wrap" title="Toggle line wrapping">Wrap</button>` +
+            `<button type="button" class="code-action" data-code-action="copy" title="Copy to clipboard">Copy</button>` +
+            `</span></div>` +
+            `<pre><code${langClass}>${body}</code></pre></div>`;
+    }
+
+    // ── Inline parser ───────────────────────────────────────────────────────
+
+    function renderInline(src) {
+        const nodes = [];
+        const brackets = [];
+        let text = '';
+
+        const flush = () => {
+            if (text) {
+                nodes.push({ t: 'text', v: text });
+                text = '';
+            }
+        };
+        const raw = html => {
+            flush();
+            nodes.push({ t: 'raw', v: html });
+        };
+
+        let i = 0;
+        while (i < src.length) {
+            const ch = src[i];
+
+            // Backslash escape / hard break
+            if (ch === '\\') {
+                if (src[i + 1] === '\n') {
+                    raw('<br>');
+                    i += 2;
+                    continue;
+                }
+                if (i + 1 < src.length && ESCAPABLE.test(src[i + 1])) {
+                    text += src[i + 1];
+                    i += 2;
+                    continue;
+                }
+                text += ch;
+                i++;
+                continue;
+            }
+
+            // Code span
+            if (ch === '`') {
+                const run = /^`+/.exec(src.slice(i))[0];
+                const closeRe = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+                closeRe.lastIndex = i + run.length;
+                const close = closeRe.exec(src);
+                if (close) {
+                    let code = src.slice(i + run.length, close.index).replace(/\n/g, ' ');
+                    if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                    raw(`<code>${escape(code)}</code>`);
+                    i = close.index + run.length;
+                } else {
+                    text += run;
+                    i += run.length;
+                }
+                continue;
+            }
+
+            // Emphasis / strikethrough delimiter runs
+            if (ch === '*' || ch === '_' || ch === '~') {
+                let end = i;
+                while (src[end] === ch) end++;
+                const count = end - i;
+                const before = i > 0 ? src[i - 1] : '\n';
+                const after = end < src.length ? src[end] : '\n';
+
+                const beforeSpace = WHITESPACE.test(before);
+                const afterSpace = WHITESPACE.test(after);
+                const beforePunct = PUNCTUATION.test(before);
+                const afterPunct = PUNCTUATION.test(after);
+                const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+                const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+
+                let canOpen = leftFlanking;
+                let canClose = rightFlanking;
+                if (ch === '_') {
+                    canOpen = leftFlanking && (!rightFlanking || beforePunct);
+                    canClose = rightFlanking && (!leftFlanking || afterPunct);
+                } else if (ch === '*' && /\d/.test(before) && /\d/.test(after)) {
+                    canOpen = canClose = false; // 2*3*4 is arithmetic, not emphasis
+                } else if (ch === '~' && count > 2) {
+                    canOpen = canClose = false;
+                }
+
+                flush();
+                nodes.push({ t: 'delim', ch, count, origCount: count, canOpen, canClose, open: [], close: [] });
+                i = end;
+                continue;
+            }
+
+            // Link / image openers
+            if (ch === '[' || (ch === '!' && src[i + 1] === '[')) {
+                const image = ch === '!';
+                flush();
+                nodes.push({ t: 'text', v: image ? '![' : '[' });
+                brackets.push({ index: nodes.length - 1, image, active: true });
+                i += image ? 2 : 1;
+                continue;
+            }
+
+            if (ch === ']') {
+                const opener = brackets.pop();
+                const tail = opener && opener.active && src[i + 1] === '(' ? parseLinkTail(src, i + 1) : null;
+                if (!tail) {
+                    text += ']';
+                    i++;
+                    continue;
+                }
+
+                flush();
+                const inner = nodes.splice(opener.index + 1);
+                nodes.pop(); // the opener's "[" text
+                processEmphasis(inner);
+                const label = renderNodes(inner);
+
+                if (opener.image) {
+                    const url = safeUrl(tail.dest, IMAGE_SCHEMES);
+                    const alt = label.replace(/<[^>]*>/g, '');
+                    nodes.push({ t: 'raw', v: url ? image(url, alt, tail.title) : blocked(alt || 'image', tail.dest) });
+                } else {
+                    nodes.push({ t: 'raw', v: anchor(tail.dest, label, tail.title) });
+                    // Links may not contain other links
+                    for (const b of brackets) if (!b.image) b.active = false;
+                }
+                i = tail.end;
+                continue;
+            }
+
+            // Autolinks <https://...> / <user@example.com>; any other "<" is plain text
+            if (ch === '<') {
+                const rest = src.slice(i);
+                const uri = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/.exec(rest);
+                const email = /^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)>/.exec(rest);
+                if (uri) {
+                    raw(anchor(uri[1], escape(uri[1])));
+                    i += uri[0].length;
+                    continue;
+                }
+                if (email) {
+                    raw(anchor(`mailto:${email[1]}`, escape(email[1])));
+                    i += email[0].length;
+                    continue;
+                }
+            }
+
+            // GFM bare URL autolinks
+            if ((ch === 'h' || ch === 'w') && (i === 0 || /[\s*_~(]/.test(src[i - 1]))) {
+                const bare = matchBareUrl(src.slice(i));
+                if (bare) {
+                    raw(anchor(bare.startsWith('www.') ? `http://${bare}` : bare, escape(bare)));
+                    i += bare.length;
+                    continue;
+                }
+            }
+
+            // Entities pass through decoded (and re-escaped on output)
+            if (ch === '&') {
+                const entity = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/.exec(src.slice(i));
+                if (entity) {
+                    text += decodeEntities(entity[0]);
+                    i += entity[0].length;
+                    continue;
+                }
+            }
+
+            // Line breaks: chat messages treat every newline as a break
+            if (ch === '\n') {
+                text = text.replace(/ +$/, '');
+                raw('<br>');
+                i++;
+                while (src[i] === ' ') i++;
+                continue;
+            }
+
+            text += ch;
+            i++;
+        }
+
+        flush();
+        processEmphasis(nodes);
+        return renderNodes(nodes);
+    }
+
+    /**
+     * Render a link. The hover title always shows the real destination, so link
+     * text cannot disguise where it goes; disallowed targets render as inert text.
+     */
+    function anchor(dest, labelHtml, title = '') {
+        const url = safeUrl(dest);
+        if (!url) return blocked(labelHtml, dest);
+        const hover = title ? `${title}\n${url}` : url;
+        const target = /^(https?:)?\/\//i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${escape(url)}" title="${escape(hover)}"${target}>${labelHtml}</a>`;
+    }
+
+    /**
+     * Render an image. Same-origin images load directly; remote ones become a
+     * placeholder button that the page swaps for the real image when clicked.
+     */
+    function image(url, altHtml, title = '') {
+        if (/^(https?:)?\/\//i.test(url)) {
+            const hover = `Click to load image from ${url}`;
+            return `<button type="button" class="image-placeholder" data-image-src="${escape(url)}"`
+                + ` data-image-alt="${altHtml}" data-image-title="${escape(title)}" title="${escape(hover)}">`
+                + `🖼 ${altHtml || 'image'}</button>`;
+        }
+        const titleAttr = title ? ` title="${escape(title)}"` : '';
+        return `<img src="${escape(url)}" alt="${altHtml}"${titleAttr} loading="lazy">`;
+    }
+
+    function blocked(labelHtml, dest) {
+        return `<span class="link-blocked" title="${escape(`Blocked link: ${dest}`)}">${labelHtml}</span>`;
+    }
+
+    function matchBareUrl(rest) {
+        const m = /^(?:https?:\/\/|www\.)[^\s<]*/.exec(rest);
+        if (!m) return null;
+        let url = m[0];
+
+        // Trailing punctuation is not part of the URL; neither is an unbalanced ")"
+        while (url.length) {
+            const last = url[url.length - 1];
+            if (/[?!.,:*_~'";]/.test(last)) {
+                url = url.slice(0, -1);
+            } else if (last === ')' && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+                url = url.slice(0, -1);
+            } else {
+                break;
+            }
+        }
+
+        const host = url.replace(/^https?:\/\//, '').split(/[/?#]/)[0];
+        if (!/^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)+(:\d+)?$/.test(host) && !/^localhost(:\d+)?$/.test(host)) return null;
+        return url;
+    }
+
+    /** Parse `(dest "title")` starting at `pos` (the "("). */
+    function parseLinkTail(src, pos) {
+        let p = pos + 1;
+        const skipSpace = () => { while (p < src.length && /[ \t\n]/.test(src[p])) p++; };
+        skipSpace();
+
+        let dest = '';
+        if (src[p] === '<') {
+            const end = src.indexOf('>', p);
+            if (end === -1 || /[\n<]/.test(src.slice(p + 1, end))) return null;
+            dest = src.slice(p + 1, end);
+            p = end + 1;
+        } else {
+            let depth = 0;
+            const start = p;
+            while (p < src.length) {
+                const c = src[p];
+                if (c === '\\' && ESCAPABLE.test(src[p + 1] || '')) { p += 2; continue; }
+                if (/\s/.test(c)) break;
+                if (c === '(') depth++;
+                if (c === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                p++;
+            }
+            dest = src.slice(start, p);
+        }
+
+        const beforeTitle = p;
+        skipSpace();
+        let title = '';
+        const quote = src[p];
+        if (p > beforeTitle && (quote === '"' || quote === "'" || quote === '(')) {
+            const closeQuote = quote === '(' ? ')' : quote;
+            let q = p + 1;
+            while (q < src.length && src[q] !== closeQuote) q += src[q] === '\\' ? 2 : 1;
+            if (q >= src.length) return null;
+            title = src.slice(p + 1, q);
+            p = q + 1;
+            skipSpace();
+        }
+
+        if (src[p] !== ')') return null;
+        return {
+            dest: unescapeBackslashes(decodeEntities(dest)),
+            title: unescapeBackslashes(decodeEntities(title)),
+            end: p + 1,
+        };
+    }
+
+    /** CommonMark "process emphasis" over the delimiter runs in `nodes`. */
+    function processEmphasis(nodes) {
+        const delims = nodes.filter(n => n.t === 'delim' && !n.processed);
+
+        let ci = 0;
+        while (ci < delims.length) {
+            const closer = delims[ci];
+            if (!closer.canClose || closer.count === 0) {
+                ci++;
+                continue;
+            }
+
+            let found = -1;
+            for (let oi = ci - 1; oi >= 0; oi--) {
+                const opener = delims[oi];
+                if (opener.ch !== closer.ch || !opener.canOpen || opener.count === 0) continue;
+                if (closer.ch === '~') {
+                    if (opener.count === closer.count) { found = oi; break; }
+                    continue;
+                }
+                // "Rule of 3": a run that can both open and close cannot match one whose total length is a multiple of 3
+                const bothWays = opener.canClose || closer.canOpen;
+                const sum = opener.origCount + closer.origCount;
+                if (bothWays && sum % 3 === 0 && !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0)) continue;
+                found = oi;
+                break;
+            }
+
+            if (found === -1) {
+                if (!closer.canOpen) delims.splice(ci, 1);
+                else ci++;
+                continue;
+            }
+
+            const opener = delims[found];
+            const use = closer.ch === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+            const tag = closer.ch === '~' ? 'del' : use === 2 ? 'strong' : 'em';
+            opener.count -= use;
+            closer.count -= use;
+            opener.open.unshift(`<${tag}>`);
+            closer.close.push(`</${tag}>`);
+
+            // Delimiters between the pair can no longer match anything
+            delims.splice(found + 1, ci - found - 1);
+            ci = found + 1;
+            if (opener.count === 0) {
+                delims.splice(found, 1);
+                ci--;
+            }
+            if (closer.count === 0) delims.splice(ci, 1);
+        }
+
+        for (const n of nodes) if (n.t === 'delim') n.processed = true;
+    }
+
+    function renderNodes(nodes) {
+        return nodes.map(n => {
+            if (n.t === 'text') return escape(n.v);
+            if (n.t === 'raw') return n.v;
+            // Unmatched delimiter characters stay literal, outside the tags they produced
+            return n.close.join('') + n.ch.repeat(n.count) + n.open.join('');
+        }).join('');
+    }
+
+    // ── Streaming cache ─────────────────────────────────────────────────────
+    // While a reply streams the text only grows, so everything before the last
+    // block boundary renders once and is reused for every later delta.
+
+    const CACHE_LIMIT = 300;
+    const cache = new Map();
+
+    /** Offset of the last line that is guaranteed to start a fresh top-level block. */
+    function stableSplit(text) {
+        let split = 0;
+        let inFence = null;
+        let offset = 0;
+        let prevBlank = false;
+
+        for (const rawLine of text.split('\n')) {
+            const line = expandTabs(rawLine);
+            if (inFence) {
+                if (new RegExp(`^ {0,3}${inFence[0] === '`' ? '`' : '~'}{${inFence.length},}[ \\t]*$`).test(line)) inFence = null;
+            } else if (isBlank(line)) {
+                prevBlank = true;
+                offset += rawLine.length + 1;
+                continue;
+            } else {
+                if (prevBlank && indentOf(line) === 0 && !matchListMarker(line)) split = offset;
+                const fence = matchFence(line);
+                if (fence && indentOf(line) === 0) inFence = fence.fence;
+            }
+            prevBlank = false;
+            offset += rawLine.length + 1;
+        }
+        return split;
+    }
+
+    function render(text) {
+        if (!text) return '';
+        if (cache.has(text)) return cache.get(text);
+
+        const split = stableSplit(text);
+        const html = split > 0
+            ? render(text.slice(0, split)) + '\n' + renderBlocks(parseBlocks(text.slice(split).split('\n').map(expandTabs)))
+            : renderBlocks(parseBlocks(text.split('\n').map(expandTabs)));
+
+        cache.set(text, html);
+        if (cache.size > CACHE_LIMIT) cache.delete(cache.keys().next().value);
+        return html;
+    }
+
+    return { render, escape, safeUrl };
+})();
+
+function renderMarkdown(text) {
+    return Markdown.render(text);
+}
@@ -0,0 +1,219 @@
+// ============================================================================
+// Sharpbot — Server-Sent Events client
+// ============================================================================
+// Parses text/event-stream per the WHATWG spec (multi-line data, id/retry
+// fields, CR/LF/CRLF line endings split across chunks) and drives a chat turn
+// that can reattach to the server after a dropped connection.
+
+// ── Parser ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create an incremental SSE parser.
+ * @param {(evt: { type: string, data: string, id: string }) => void} onEvent
+ * @param {(ms: number) => void} [onRetry] called when the server sends a `retry:` field
+ */
+function createSseParser(onEvent, onRetry) {
+    let buffer = '';
+    let eventType = '';
+    let dataLines = [];
+    let lastEventId = '';
+
+    function dispatch() {
+        if (dataLines.length > 0) {
+            onEvent({ type: eventType || 'message', data: dataLines.join('\n'), id: lastEventId });
+        }
+        eventType = '';
+        dataLines = [];
+    }
+
+    function processLine(line) {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) return; // comment / keep-alive
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        switch (field) {
+            case 'event':
+                eventType = value;
+                break;
+            case 'data':
+                dataLines.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) lastEventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value) && onRetry) onRetry(parseInt(value, 10));
+                break;
+        }
+    }
+
+    return {
+        /** Feed a decoded text chunk. */
+        push(text) {
+            buffer += text;
+            let start = 0;
+            for (let i = 0; i < buffer.length; i++) {
+                const ch = buffer[i];
+                if (ch !== '\n' && ch !== '\r') continue;
+                // A trailing CR may be the first half of a CRLF in the next chunk
+                if (ch === '\r' && i === buffer.length - 1) break;
+                const line = buffer.slice(start, i);
+                if (ch === '\r' && buffer[i + 1] === '\n') i++;
+                start = i + 1;
+                processLine(line);
+            }
+            buffer = buffer.slice(start);
+        },
+
+        /** Stream ended. A trailing incomplete event is discarded, as the spec requires. */
+        end() {
+            if (buffer.endsWith('\r')) processLine(buffer.slice(0, -1));
+            buffer = '';
+            eventType = '';
+            dataLines = [];
+        },
+
+        get lastEventId() { return lastEventId; },
+    };
+}
+
+// ── Chat turn stream ────────────────────────────────────────────────────────
+
+const SSE_TERMINAL_EVENTS = new Set(['done', 'error', 'cancelled']);
+const SSE_DEFAULT_RETRY_MS = 2000;
+const SSE_MAX_RECONNECTS = 5;
+
+/**
+ * Start a chat turn and follow its events, resuming from the last seen event id
+ * if the connection drops before a terminal event (done/error/cancelled).
+ *
+ * @param {object} options
+ * @param {string} options.url          POST endpoint that starts the turn
+ * @param {object} options.body         JSON request body
+ * @param {(turnId: string) => string} options.resumeUrl  GET endpoint that replays a turn
+ * @param {(type: string, data: any) => void} options.onEvent
+ * @param {(attempt: number) => void} [options.onReconnecting]
+ * @param {() => void} [options.onReconnected]
+ * @param {AbortSignal} [options.signal]
+ */
+async function streamChatTurn({ url, body, resumeUrl, onEvent, onReconnecting, onReconnected, signal }) {
+    let turnId = null;
+    let lastEventId = '';
+    let retryMs = SSE_DEFAULT_RETRY_MS;
+    let finished = false;
+
+    const handle = (evt) => {
+        lastEventId = evt.id || lastEventId;
+        let data;
+        try {
+            data = JSON.parse(evt.data);
+        } catch (e) {
+            console.warn('Failed to parse SSE data:', evt.data, e);
+            return;
+        }
+        if (SSE_TERMINAL_EVENTS.has(evt.type)) finished = true;
+        // A bug in the caller's handler is not a dropped connection: report it and keep reading,
+        // rather than letting it surface as a network failure that triggers a resume
+        try {
+            onEvent(evt.type, data);
+        } catch (err) {
+            console.error(`SSE "${evt.type}" event handler failed:`, err);
+        }
+    };
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+    });
+    await ensureEventStream(response);
+    turnId = response.headers.get('X-Chat-Turn-Id');
+
+    let failure = null;
+    try {
+        await readEventStream(response, handle, ms => { retryMs = ms; });
+    } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        failure = err;
+    }
+
+    for (let attempt = 1; !finished; attempt++) {
+        // Nothing to resume from (e.g. the agent-not-ready response) — surface the original failure
+        if (!turnId || attempt > SSE_MAX_RECONNECTS) {
+            throw failure || new Error('Connection closed before the response finished');
+        }
+
+        if (onReconnecting) onReconnecting(attempt);
+        await sseDelay(retryMs * attempt, signal);
+
+        try {
+            const resumed = await fetch(resumeUrl(turnId), {
+                headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {},
+                signal,
+            });
+            if (resumed.status === 404) {
+                throw Object.assign(new Error('The response is no longer available on the server'), { fatal: true });
+            }
+            await ensureEventStream(resumed);
+            if (onReconnected) onReconnected();
+            await readEventStream(resumed, handle, ms => { retryMs = ms; });
+        } catch (err) {
+            if (err.name === 'AbortError' || err.fatal) throw err;
+            failure = err;
+        }
+    }
+}
+
+async function ensureEventStream(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    // Error responses may still be event streams (e.g. 503 with an `error` event)
+    if (response.ok || contentType.includes('text/event-stream')) return;
+
+    let errData = {};
+    try {
+        errData = await response.json();
+    } catch { /* not JSON */ }
+    const errorText = errData.message || errData.error;
+    // A 409 names the turn already running in the session, so the caller can offer to stop it
+    throw Object.assign(new Error(typeof errorText === 'string' ? errorText : `HTTP ${response.status}`), {
+        fatal: true,
+        status: response.status,
+        activeTurnId: errData.activeTurnId ?? null,
+    });
+}
+
+async function readEventStream(response, onEvent, onRetry) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parser = createSseParser(onEvent, onRetry);
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.end();
+}
+
+function sseDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }, { once: true });
+    });
+}
